@@ -0,0 +1,132 @@
+// ===============================================
+//  Per-business API keys
+//  Credentials for the voice agent (Synthflow). Only a SHA-256 of
+//  the key is stored; the plaintext is returned once, on create or
+//  rotate. Rotation can keep the old key working for a grace period
+//  so the agent config can be updated without dropped calls.
+// ===============================================
+const crypto = require('crypto');
+const supabase = require('./supabase');
+
+const KEY_PREFIX = 'upk_';
+const MAX_GRACE_MIN = 7 * 24 * 60;
+// last_used_at is only refreshed this often
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const KEY_COLUMNS = 'id, business_id, name, prefix, created_at, last_used_at, expires_at, revoked_at, replaced_by';
+
+const isApiKey = (s) => typeof s === 'string' && s.startsWith(KEY_PREFIX);
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const newKey = () => {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  return { key, prefix: key.slice(0, 12), key_hash: hashKey(key) };
+};
+
+const notFound = () => Object.assign(new Error('api_key_not_found'), { code: 'api_key_not_found' });
+
+/**
+ * Look up a presented key.
+ * @returns {Promise<{ id: string, business_id: string }|null>} null when unknown, revoked or expired
+ */
+async function verifyApiKey(key) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select('id, business_id, expires_at, last_used_at')
+    .eq('key_hash', hashKey(key))
+    .is('revoked_at', null)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+  if (data.expires_at && new Date(data.expires_at) <= new Date()) return null;
+
+  if (!data.last_used_at || Date.now() - Date.parse(data.last_used_at) > TOUCH_INTERVAL_MS) {
+    supabase.from('api_keys').update({ last_used_at: new Date().toISOString() }).eq('id', data.id)
+      .then(({ error: e }) => { if (e) console.error('[apiKeys] touch_failed', { id: data.id, e }); });
+  }
+  return { id: data.id, business_id: data.business_id };
+}
+
+/**
+ * Issue a new key for a business.
+ * @returns {Promise<{ apiKey: string, key: object }>} plaintext (shown once) and the stored row
+ */
+async function createApiKey(businessId, { name, createdBy } = {}) {
+  const { key, prefix, key_hash } = newKey();
+  const { data, error } = await supabase
+    .from('api_keys')
+    .insert([{ business_id: businessId, name: name || 'Voice agent', prefix, key_hash, created_by: createdBy || null }])
+    .select(KEY_COLUMNS)
+    .single();
+  if (error) throw error;
+  console.log('[apiKeys] created', { businessId, id: data.id, prefix });
+  return { apiKey: key, key: data };
+}
+
+async function listApiKeys(businessId) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select(KEY_COLUMNS)
+    .eq('business_id', businessId)
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+async function revokeApiKey(businessId, id) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('business_id', businessId)
+    .is('revoked_at', null)
+    .select(KEY_COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw notFound();
+  console.log('[apiKeys] revoked', { businessId, id });
+  return data;
+}
+
+/**
+ * Replace a key. The old key stops working after `graceMinutes`
+ * (immediately with 0).
+ */
+async function rotateApiKey(businessId, id, { graceMinutes = 0, createdBy } = {}) {
+  const { data: old, error } = await supabase
+    .from('api_keys')
+    .select(KEY_COLUMNS)
+    .eq('id', id)
+    .eq('business_id', businessId)
+    .is('revoked_at', null)
+    .maybeSingle();
+  if (error) throw error;
+  if (!old) throw notFound();
+
+  const created = await createApiKey(businessId, { name: old.name, createdBy });
+
+  const grace = Math.min(Math.max(Number(graceMinutes) || 0, 0), MAX_GRACE_MIN);
+  const retire = grace > 0
+    ? { expires_at: new Date(Date.now() + grace * 60000).toISOString(), replaced_by: created.key.id }
+    : { revoked_at: new Date().toISOString(), replaced_by: created.key.id };
+  const { data: previous, error: updErr } = await supabase
+    .from('api_keys')
+    .update(retire)
+    .eq('id', id)
+    .select(KEY_COLUMNS)
+    .single();
+  if (updErr) throw updErr;
+
+  console.log('[apiKeys] rotated', { businessId, from: id, to: created.key.id, graceMinutes: grace });
+  return { ...created, previous };
+}
+
+module.exports = {
+  MAX_GRACE_MIN,
+  isApiKey,
+  verifyApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  rotateApiKey
+};
@@ -0,0 +1,105 @@
+// ===============================================
+//  Appointment type catalogue
+//  Per-business types (sales consult, service drop-off, test drive,
+//  financing, ...) each with their own duration, buffers, capacity,
+//  optional dedicated calendar and optional resource requirement.
+// ===============================================
+const supabase = require('./supabase');
+
+// Resources a type can require. 'car_unit' = allocate a unit via pick_free_car.
+const RESOURCES = ['car_unit'];
+
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+// "Test Drive" / "test-drive" / "testdrive" -> "testdrive"
+const normKey = (v) => String(v || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Active catalogue rows for a business (cached briefly).
+ * @returns {Promise<object[]>} empty when the business has no catalogue
+ */
+async function loadAppointmentTypes(businessId) {
+  if (!businessId) return [];
+
+  const hit = cache.get(businessId);
+  if (hit && hit.expires > Date.now()) return hit.rows;
+
+  const { data, error } = await supabase
+    .from('appointment_types')
+    .select('*')
+    .eq('business_id', businessId)
+    .eq('is_active', true)
+    .order('name', { ascending: true });
+
+  if (error) {
+    console.error('[appointmentTypes] load_failed', { businessId, error });
+    throw Object.assign(new Error('settings_unavailable'), { code: 'settings_unavailable' });
+  }
+
+  cache.set(businessId, { rows: data || [], expires: Date.now() + CACHE_TTL_MS });
+  return data || [];
+}
+
+// Row -> the shape config resolution works with
+function toType(row) {
+  return {
+    key: row.key,
+    name: row.name || row.key,
+    durationMin: row.duration_min,
+    bufferBeforeMin: row.buffer_before_min || 0,
+    bufferAfterMin: row.buffer_after_min || 0,
+    capacity: row.capacity || null,
+    maxPartySize: row.max_party_size || null,
+    calendarId: row.calendar_id || null,
+    blockingCalendarId: row.blocking_calendar_id || null,
+    resource: RESOURCES.includes(row.resource) ? row.resource : null
+  };
+}
+
+// Types every business has before it defines a catalogue, built from
+// business_settings.appointment_durations so old configs keep working.
+// The test drive takes a car unit, as /testdrive always has.
+function builtinTypes(durations) {
+  return Object.entries(durations).map(([key, minutes]) => toType({
+    key,
+    name: key === 'default' ? 'Appointment' : key === 'testdrive' ? 'Test drive' : key,
+    duration_min: minutes,
+    resource: key === 'testdrive' ? 'car_unit' : null
+  }));
+}
+
+/**
+ * Pick the type for a request.
+ *
+ * With a catalogue, `requested` must match a type key or name (loosely:
+ * case, spaces and punctuation are ignored) — unknown types throw
+ * `unknown_appointment_type`, except 'testdrive', which falls back to the
+ * built-in test drive so /testdrive works without a catalogue entry.
+ * Without a catalogue, unknown names fall back to the built-in default so
+ * free-form agent labels keep booking.
+ *
+ * @param {object[]} catalogue  rows from loadAppointmentTypes()
+ * @param {object}   durations  business_settings.appointment_durations
+ * @param {string}   [requested]
+ */
+function resolveType(catalogue, durations, requested) {
+  const wanted = normKey(requested || 'default');
+  const types = catalogue.length ? catalogue.map(toType) : builtinTypes(durations);
+  const fallback = builtinTypes(durations);
+
+  const found = types.find(t => normKey(t.key) === wanted || normKey(t.name) === wanted);
+  if (found) return { ...found, durationMin: found.durationMin || durations.default };
+
+  if (catalogue.length && requested && wanted !== 'default' && wanted !== 'testdrive') {
+    throw Object.assign(new Error('unknown_appointment_type'), {
+      code: 'unknown_appointment_type',
+      types: types.map(t => t.key)
+    });
+  }
+
+  const base = fallback.find(t => normKey(t.key) === wanted) || fallback.find(t => t.key === 'default');
+  return { ...base, label: requested || base.key };
+}
+
+module.exports = { RESOURCES, loadAppointmentTypes, resolveType, toType };
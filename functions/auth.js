@@ -0,0 +1,125 @@
+// ===============================================
+//  Authentication and business scoping
+//  Two credentials:
+//    - API keys (apiKeys.js) for the voice agent, bound to one business
+//    - Supabase user access tokens for the dashboard; the user owns a
+//      business through the businesses table (id = auth user id)
+//  Either way the request ends up scoped to one business_id. A
+//  business_id in the body or query string must match it; when it's
+//  missing it is filled in, so handlers keep reading it as before.
+// ===============================================
+const supabase = require('./supabase');
+const { isApiKey, verifyApiKey } = require('./apiKeys');
+
+const bearer = (req) => req.headers.authorization?.split('Bearer ')[1] || null;
+
+// Response shapes of the two route families
+const DENY = {
+  agent: (res, status, code) => res.status(status).json({ status: 'error', message: code }),
+  dashboard: (res, status, code) => res.status(status).json({ ok: false, error: DASHBOARD_MESSAGES[code] || code })
+};
+const DASHBOARD_MESSAGES = {
+  missing_credentials: 'Missing auth token',
+  invalid_credentials: 'Invalid or expired token',
+  forbidden_business: 'Not allowed for this business',
+  missing_business_id: 'Missing business_id',
+  server_error: 'Server error'
+};
+
+// business_id the caller asked for; conflicting body/query values are
+// reported as a mismatch rather than picking one
+function requestedBusinessId(req) {
+  const ids = [req.body?.business_id, req.query.business_id]
+    .filter(v => v !== undefined && v !== null && String(v).trim() !== '')
+    .map(v => String(v).trim());
+  return { id: ids[0] || null, conflict: new Set(ids).size > 1 };
+}
+
+// Businesses owned by the signed-in user
+async function ownedBusinessIds(userId) {
+  const { data, error } = await supabase.from('businesses').select('business_id').eq('id', userId);
+  if (error) throw error;
+  return (data || []).map(r => r.business_id);
+}
+
+/**
+ * Express middleware factory.
+ *
+ * @param {object} [opts]
+ * @param {('api_key'|'user')[]} [opts.allow=['api_key','user']]  accepted credentials
+ * @param {'agent'|'dashboard'} [opts.style='agent']               error response shape
+ *
+ * Sets req.auth = { type, businessId, keyId?, user? } and req.businessId.
+ * API keys go in `Authorization: Bearer upk_...` or `X-Api-Key`.
+ */
+function authenticate({ allow = ['api_key', 'user'], style = 'agent' } = {}) {
+  const deny = DENY[style];
+
+  return async (req, res, next) => {
+    const headerKey = req.headers['x-api-key'];
+    const token = headerKey || bearer(req);
+    if (!token) return deny(res, 401, 'missing_credentials');
+
+    const requested = requestedBusinessId(req);
+    if (requested.conflict) return deny(res, 403, 'forbidden_business');
+
+    let auth;
+    try {
+      if (headerKey || isApiKey(token)) {
+        if (!allow.includes('api_key')) return deny(res, 401, 'invalid_credentials');
+        const key = await verifyApiKey(token);
+        if (!key) return deny(res, 401, 'invalid_credentials');
+        if (requested.id && requested.id !== key.business_id) {
+          console.warn('[auth] business_mismatch', { keyId: key.id, requested: requested.id });
+          return deny(res, 403, 'forbidden_business');
+        }
+        auth = { type: 'api_key', businessId: key.business_id, keyId: key.id };
+      } else {
+        if (!allow.includes('user')) return deny(res, 401, 'invalid_credentials');
+        const { data: userData, error: userError } = await supabase.auth.getUser(token);
+        if (userError || !userData?.user) return deny(res, 401, 'invalid_credentials');
+
+        const owned = await ownedBusinessIds(userData.user.id);
+        const businessId = requested.id || (owned.length === 1 ? owned[0] : null);
+        if (!businessId) return deny(res, 400, 'missing_business_id');
+        if (!owned.includes(businessId)) return deny(res, 403, 'forbidden_business');
+        auth = { type: 'user', businessId, user: userData.user };
+        req.user = userData.user;
+      }
+    } catch (e) {
+      console.error('[auth] check_failed', { requested: requested.id, e });
+      return deny(res, 500, 'server_error');
+    }
+
+    req.auth = auth;
+    req.businessId = auth.businessId;
+    if (req.body && typeof req.body === 'object' && !Array.isArray(req.body)) req.body.business_id = auth.businessId;
+    req.query.business_id = auth.businessId;
+    return next();
+  };
+}
+
+/**
+ * Signed-in user, no business yet (onboarding). Sets req.user.
+ */
+async function requireUser(req, res, next) {
+  const token = bearer(req);
+  if (!token || isApiKey(token)) return DENY.dashboard(res, 401, token ? 'invalid_credentials' : 'missing_credentials');
+  try {
+    const { data: userData, error: userError } = await supabase.auth.getUser(token);
+    if (userError || !userData?.user) return DENY.dashboard(res, 401, 'invalid_credentials');
+    req.user = userData.user;
+  } catch (e) {
+    console.error('[auth] check_failed', { e });
+    return DENY.dashboard(res, 500, 'server_error');
+  }
+  return next();
+}
+
+/**
+ * Dashboard-only routes: the caller must be signed in and own the
+ * business. Sets req.user and req.businessId.
+ */
+const requireBusinessUser = authenticate({ allow: ['user'], style: 'dashboard' });
+
+module.exports = { authenticate, requireUser, requireBusinessUser };
@@ -0,0 +1,122 @@
+// ===============================================
+//  Availability search
+//  Fetch busy time once for a whole range, then find free slots in
+//  memory instead of one freebusy/events round-trip per candidate.
+// ===============================================
+const { DateTime } = require('luxon');
+
+const { openIntervals, contains } = require('./schedule');
+
+const MAX_RANGE_DAYS = 31;
+
+// Provider event -> { start, end } in epoch ms (all-day events span their dates)
+function eventInterval(ev, timezone) {
+  const s = ev.allDay ? DateTime.fromISO(ev.start || '', { zone: timezone }) : DateTime.fromISO(ev.start || '');
+  const e = ev.allDay ? DateTime.fromISO(ev.end || '', { zone: timezone }) : DateTime.fromISO(ev.end || '');
+  if (!s.isValid || !e.isValid) return null;
+  return { start: s.toMillis(), end: e.toMillis(), id: ev.id };
+}
+
+/**
+ * Load everything slot search needs for [timeMin, timeMax) in two calls:
+ * one list on the main calendar (individual events, so overlaps can be
+ * counted) and one freebusy query on the blocking calendar.
+ *
+ * @param {import('./calendars').CalendarProvider} calendar
+ * @returns {Promise<{ events: {start:number,end:number,id:string}[], blocks: {start:number,end:number}[] }>}
+ */
+async function fetchBusy(calendar, { calendarId, blockingId, timeMin, timeMax, timezone }) {
+  const events = [];
+  for (const ev of await calendar.list(calendarId, { timeMin, timeMax })) {
+    if (ev.status === 'cancelled' || ev.transparent) continue;
+    const iv = eventInterval(ev, timezone);
+    if (iv) events.push(iv);
+  }
+
+  let blocks;
+  if (blockingId === calendarId) {
+    // No separate blocking calendar: any event blocks, same as checkSlot()
+    blocks = events;
+  } else {
+    const busy = await calendar.freebusy({ calendarIds: [blockingId], timeMin, timeMax });
+    blocks = (busy[blockingId] || []).map(b => ({
+      start: Date.parse(b.start),
+      end: Date.parse(b.end)
+    }));
+  }
+
+  return { events, blocks };
+}
+
+const overlaps = (a, s, e) => a.start < e && a.end > s;
+
+/**
+ * Enumerate bookable slots between rangeStart and rangeEnd.
+ *
+ * Candidates sit on a `stepMin` grid starting at `gridOrigin` (default:
+ * midnight of the first day in the business timezone) and must pass the
+ * same opening-hours (schedule.js), lead-time, blocking and maxOverlaps
+ * rules book() applies. Blocking and capacity are checked over the
+ * window widened by the appointment type's buffers.
+ *
+ * With `staff` ([{ schedule, busy }], see staff.js) a slot also needs one
+ * person free: inside their hours, their busy time clear of the buffered
+ * window. `free` is then capped by how many of them are.
+ *
+ * @returns {{ start: DateTime, end: DateTime, free: number }[]} chronological
+ */
+function computeSlots({
+  rangeStart, rangeEnd, timezone,
+  schedule, durationMin, maxOverlaps,
+  bufferBeforeMin = 0, bufferAfterMin = 0,
+  events = [], blocks = [], staff = null,
+  notBefore = null, stepMin = 15, gridOrigin = null
+}) {
+  const slots = [];
+  const first = rangeStart.setZone(timezone);
+  const last = rangeEnd.setZone(timezone);
+  const open = openIntervals(schedule, first, last);
+  const people = staff && staff.map(p => ({ open: openIntervals(p.schedule, first, last), busy: p.busy }));
+
+  for (let cur = (gridOrigin || first.startOf('day')).setZone(timezone); cur < last; cur = cur.plus({ minutes: stepMin })) {
+    const end = cur.plus({ minutes: durationMin });
+    if (cur < first || end > last) continue;
+    if (notBefore && cur < notBefore) continue;
+
+    const s = cur.toMillis(), e = end.toMillis();
+    if (!contains(open, s, e)) continue;
+
+    // Capacity is checked over the buffered window
+    const hs = s - bufferBeforeMin * 60000, he = e + bufferAfterMin * 60000;
+    if (blocks.some(b => overlaps(b, hs, he))) continue;
+
+    const taken = events.filter(ev => overlaps(ev, hs, he)).length;
+    if (taken >= maxOverlaps) continue;
+
+    let free = maxOverlaps - taken;
+    if (people) {
+      const available = people.filter(p => contains(p.open, s, e) && !p.busy.some(b => overlaps(b, hs, he))).length;
+      if (!available) continue;
+      free = Math.min(free, available);
+    }
+
+    slots.push({ start: cur, end, free });
+  }
+
+  return slots;
+}
+
+/**
+ * Order slots for the caller and keep the best `limit`.
+ *   target given -> closest to the target first (ties: earlier wins)
+ *   no target    -> earliest first
+ */
+function rankSlots(slots, { target = null, limit = 3 } = {}) {
+  const ranked = target
+    ? [...slots].sort((a, b) =>
+      Math.abs(a.start - target) - Math.abs(b.start - target) || a.start - b.start)
+    : slots;
+  return ranked.slice(0, limit);
+}
+
+module.exports = { MAX_RANGE_DAYS, fetchBusy, computeSlots, rankSlots };
@@ -0,0 +1,157 @@
+// ===============================================
+//  CalDAV provider (RFC 4791)
+//  Basic auth against any CalDAV server (Nextcloud, Fastmail, iCloud,
+//  Radicale, ...). A calendarId is the collection path, relative to
+//  the configured url or absolute. Each event is one <uid>.ics
+//  resource; the uid is the event id.
+//
+//  config: { url, username, password }
+// ===============================================
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+const { CalendarError } = require('./calendars');
+const { eventCalendar, parseEvents } = require('./ical');
+
+const calStamp = (d) => DateTime.fromJSDate(d, { zone: 'utc' }).toFormat("yyyyMMdd'T'HHmmss'Z'");
+
+const decodeXml = (s) => s
+  .replace(/^<!\[CDATA\[|\]\]>$/g, '')
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&#13;/g, '\r').replace(/&#(\d+);/g, (_, n) => String.fromCharCode(Number(n)))
+  .replace(/&amp;/g, '&');
+
+// <d:response> blocks of a multistatus body -> { href, etag, data }
+function multistatus(xml) {
+  const tag = (name) => new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, 'i');
+  const responses = xml.match(new RegExp(tag('response').source, 'gi')) || [];
+  return responses.map(r => ({
+    href: decodeXml((r.match(tag('href')) || [])[1] || '').trim(),
+    etag: decodeXml((r.match(tag('getetag')) || [])[1] || '').trim() || null,
+    data: decodeXml((r.match(tag('calendar-data')) || [])[1] || '')
+  }));
+}
+
+const eventIdOf = (href) => decodeURIComponent(href.split('/').filter(Boolean).pop() || '').replace(/\.ics$/i, '');
+
+function fromParsed(p, id) {
+  return {
+    id,
+    summary: p.summary,
+    description: p.description,
+    location: p.location,
+    start: p.start,
+    end: p.end,
+    allDay: p.allDay,
+    status: p.status,
+    transparent: p.transparent,
+    updated: p.updated
+  };
+}
+
+function createCaldavProvider({ url, username, password } = {}) {
+  if (!url) throw new CalendarError('caldav: url is not configured', { provider: 'caldav' });
+  const auth = 'Basic ' + Buffer.from(`${username || ''}:${password || ''}`).toString('base64');
+
+  const collection = (calendarId) => {
+    const u = new URL(calendarId, url);
+    if (!u.pathname.endsWith('/')) u.pathname += '/';
+    return u;
+  };
+  const resource = (calendarId, eventId) => new URL(`${encodeURIComponent(eventId)}.ics`, collection(calendarId));
+
+  async function request(method, target, { headers = {}, body, ok = [200, 201, 204, 207] } = {}) {
+    let res;
+    try {
+      res = await fetch(target, { method, headers: { Authorization: auth, ...headers }, body });
+    } catch (err) {
+      throw new CalendarError(`caldav ${method} failed: ${err.message}`, { provider: 'caldav', cause: err });
+    }
+    if (!ok.includes(res.status)) {
+      throw new CalendarError(`caldav ${method} ${target.pathname} -> ${res.status}`, { status: res.status, provider: 'caldav' });
+    }
+    return res;
+  }
+
+  async function list(calendarId, { timeMin, timeMax }) {
+    const range = `start="${calStamp(timeMin)}" end="${calStamp(timeMax)}"`;
+    const body = `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop><d:getetag/><c:calendar-data><c:expand ${range}/></c:calendar-data></d:prop>
+  <c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT"><c:time-range ${range}/></c:comp-filter></c:comp-filter></c:filter>
+</c:calendar-query>`;
+    const res = await request('REPORT', collection(calendarId), {
+      headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+      body
+    });
+
+    const events = [];
+    for (const r of multistatus(await res.text())) {
+      const id = eventIdOf(r.href);
+      for (const p of parseEvents(r.data)) {
+        if (p.status === 'cancelled') continue;
+        events.push(fromParsed(p, id));
+      }
+    }
+    return events.sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+  }
+
+  async function load(calendarId, eventId) {
+    const res = await request('GET', resource(calendarId, eventId), { ok: [200] });
+    const [p] = parseEvents(await res.text());
+    if (!p) throw new CalendarError(`caldav: ${eventId} has no VEVENT`, { status: 404, provider: 'caldav' });
+    return { event: fromParsed(p, eventId), etag: res.headers.get('etag') };
+  }
+
+  const write = (calendarId, event, headers) => request('PUT', resource(calendarId, event.id), {
+    headers: { 'Content-Type': 'text/calendar; charset=utf-8', ...headers },
+    body: eventCalendar({ ...event, uid: event.id })
+  });
+
+  return {
+    name: 'caldav',
+
+    async freebusy({ calendarIds, timeMin, timeMax }) {
+      const out = {};
+      for (const id of new Set(calendarIds)) {
+        // All-day entries carry no timezone to place them in; slot search
+        // still sees them through list()
+        out[id] = (await list(id, { timeMin, timeMax }))
+          .filter(ev => !ev.transparent && !ev.allDay)
+          .map(ev => ({ start: ev.start, end: ev.end }));
+      }
+      return Object.fromEntries(calendarIds.map(id => [id, out[id]]));
+    },
+
+    list,
+
+    async get(calendarId, eventId) {
+      return (await load(calendarId, eventId)).event;
+    },
+
+    async insert(calendarId, event) {
+      const ev = { status: 'confirmed', ...event, id: event.id || crypto.randomUUID() };
+      try {
+        await write(calendarId, ev, { 'If-None-Match': '*' });
+      } catch (err) {
+        // 412: the resource exists, an earlier attempt created it
+        if (!event.id || err.status !== 412) throw err;
+        return (await load(calendarId, ev.id)).event;
+      }
+      return ev;
+    },
+
+    async patch(calendarId, eventId, fields) {
+      // Read-modify-write; the etag guards against a concurrent edit
+      const { event, etag } = await load(calendarId, eventId);
+      const next = { ...event, ...fields, id: eventId };
+      await write(calendarId, next, etag ? { 'If-Match': etag } : {});
+      return next;
+    },
+
+    async delete(calendarId, eventId) {
+      await request('DELETE', resource(calendarId, eventId), { ok: [200, 204] });
+    }
+  };
+}
+
+module.exports = { createCaldavProvider };
@@ -0,0 +1,188 @@
+// ===============================================
+//  Google Calendar provider
+//  Service-account access. The key file defaults to the path the
+//  backend has always used; GOOGLE_SERVICE_ACCOUNT_KEY_FILE (or a
+//  per-business keyFile) points elsewhere.
+//
+//  Google refuses attendees on events a bare service account writes.
+//  With `subject` (a Workspace user the account impersonates through
+//  domain-wide delegation) attendees are invited; without it they are
+//  only listed in the event description.
+//
+//  config: { keyFile?, subject? }
+// ===============================================
+const { google } = require('googleapis');
+const { CalendarError } = require('./calendars');
+
+const DEFAULT_KEY_FILE = '/etc/secrets/upreach-key.json';
+
+const clients = new Map();
+
+/**
+ * Raw googleapis calendar client (onboarding provisions calendars and
+ * ACLs with it, which the provider interface doesn't cover).
+ */
+function googleCalendar({ keyFile, subject } = {}) {
+  const file = keyFile || process.env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE || DEFAULT_KEY_FILE;
+  const cacheKey = subject ? `${file}#${subject}` : file;
+  if (!clients.has(cacheKey)) {
+    const auth = new google.auth.GoogleAuth({
+      keyFile: file,
+      scopes: ['https://www.googleapis.com/auth/calendar'],
+      ...(subject ? { clientOptions: { subject } } : {})
+    });
+    clients.set(cacheKey, google.calendar({ version: 'v3', auth }));
+  }
+  return clients.get(cacheKey);
+}
+
+// Google event <-> CalendarEvent
+function fromGoogle(ev) {
+  const allDay = !ev.start?.dateTime;
+  return {
+    id: ev.id,
+    summary: ev.summary || '',
+    description: ev.description || '',
+    location: ev.location || '',
+    start: ev.start?.dateTime || ev.start?.date,
+    end: ev.end?.dateTime || ev.end?.date,
+    allDay,
+    status: ev.status || 'confirmed',
+    transparent: ev.transparency === 'transparent',
+    updated: ev.updated
+  };
+}
+
+function toGoogle(fields, { inviteAttendees = false } = {}) {
+  const body = {};
+  if (fields.id !== undefined) body.id = fields.id;
+  for (const f of ['summary', 'description', 'location']) {
+    if (fields[f] !== undefined) body[f] = fields[f];
+  }
+  const when = (v) => (fields.allDay ? { date: v } : { dateTime: new Date(v).toISOString() });
+  if (fields.start !== undefined) body.start = when(fields.start);
+  if (fields.end !== undefined) body.end = when(fields.end);
+  if (fields.status !== undefined) body.status = fields.status;
+  if (fields.transparent !== undefined) body.transparency = fields.transparent ? 'transparent' : 'opaque';
+  if (fields.attendees !== undefined && inviteAttendees) {
+    body.attendees = fields.attendees.map(a => ({ email: a.email, ...(a.name ? { displayName: a.name } : {}) }));
+  }
+  return body;
+}
+
+// googleapis errors carry the HTTP status in `code`
+const wrap = (err, what) => new CalendarError(`google ${what} failed: ${err?.message}`, {
+  status: typeof err?.code === 'number' ? err.code : err?.response?.status ?? null,
+  provider: 'google',
+  cause: err
+});
+
+function createGoogleProvider(config = {}) {
+  const calendar = googleCalendar(config);
+  const inviteAttendees = !!config.subject;
+  // invitations go out when guests are on the event
+  const updatesFor = (fields) => (inviteAttendees && fields.attendees?.length ? { sendUpdates: 'all' } : {});
+
+  const call = async (what, fn) => {
+    try {
+      return await fn();
+    } catch (err) {
+      throw wrap(err, what);
+    }
+  };
+
+  return {
+    name: 'google',
+
+    freebusy: ({ calendarIds, timeMin, timeMax }) => call('freebusy', async () => {
+      const { data } = await calendar.freebusy.query({
+        requestBody: {
+          timeMin: timeMin.toISOString(),
+          timeMax: timeMax.toISOString(),
+          items: [...new Set(calendarIds)].map(id => ({ id }))
+        }
+      });
+      return Object.fromEntries(calendarIds.map(id => [id, data.calendars?.[id]?.busy || []]));
+    }),
+
+    list: (calendarId, { timeMin, timeMax }) => call('list', async () => {
+      const events = [];
+      let pageToken;
+      do {
+        const { data } = await calendar.events.list({
+          calendarId,
+          timeMin: timeMin.toISOString(),
+          timeMax: timeMax.toISOString(),
+          singleEvents: true,
+          maxResults: 2500,
+          pageToken
+        });
+        events.push(...(data.items || []).map(fromGoogle));
+        pageToken = data.nextPageToken;
+      } while (pageToken);
+      return events;
+    }),
+
+    get: (calendarId, eventId) => call('get', async () =>
+      fromGoogle((await calendar.events.get({ calendarId, eventId })).data)),
+
+    insert: (calendarId, event) => call('insert', async () => {
+      try {
+        return fromGoogle((await calendar.events.insert({
+          calendarId, requestBody: toGoogle(event, { inviteAttendees }), ...updatesFor(event)
+        })).data);
+      } catch (err) {
+        // 409: an earlier attempt already created this id
+        if (!event.id || err?.code !== 409) throw err;
+        return fromGoogle((await calendar.events.get({ calendarId, eventId: event.id })).data);
+      }
+    }),
+
+    patch: (calendarId, eventId, fields) => call('patch', async () =>
+      fromGoogle((await calendar.events.patch({
+        calendarId, eventId, requestBody: toGoogle(fields, { inviteAttendees }), ...updatesFor(fields)
+      })).data)),
+
+    delete: (calendarId, eventId) => call('delete', async () => {
+      await calendar.events.delete({ calendarId, eventId });
+    }),
+
+    // ---- push notifications + incremental sync (calendarSync.js)
+
+    watch: (calendarId, { id, token, address, ttlSec }) => call('watch', async () => {
+      const { data } = await calendar.events.watch({
+        calendarId,
+        requestBody: { id, token, address, type: 'web_hook', params: { ttl: String(ttlSec) } }
+      });
+      return { id: data.id, resourceId: data.resourceId, expiresAt: new Date(Number(data.expiration)).toISOString() };
+    }),
+
+    unwatch: ({ id, resourceId }) => call('unwatch', async () => {
+      await calendar.channels.stop({ requestBody: { id, resourceId } });
+    }),
+
+    // Events changed since `syncToken`, deletions included. Without a
+    // token this lists the whole calendar to get a first one. An expired
+    // token fails with status 410.
+    changes: (calendarId, syncToken) => call('changes', async () => {
+      const events = [];
+      let pageToken;
+      let nextSyncToken = null;
+      do {
+        const { data } = await calendar.events.list({
+          calendarId,
+          singleEvents: true,
+          maxResults: 2500,
+          pageToken,
+          ...(syncToken ? { syncToken } : {})
+        });
+        events.push(...(data.items || []).map(fromGoogle));
+        pageToken = data.nextPageToken;
+        nextSyncToken = data.nextSyncToken || nextSyncToken;
+      } while (pageToken);
+      return { events, nextSyncToken };
+    })
+  };
+}
+
+module.exports = { googleCalendar, createGoogleProvider };
@@ -0,0 +1,95 @@
+// ===============================================
+//  In-memory calendar provider
+//  Same behaviour as the real providers, nothing leaves the process.
+//  For local runs (CALENDAR_PROVIDER=memory) and tests; state is lost
+//  on restart.
+// ===============================================
+const crypto = require('crypto');
+const { CalendarError } = require('./calendars');
+
+const overlaps = (ev, from, to) => Date.parse(ev.start) < to.getTime() && Date.parse(ev.end) > from.getTime();
+const blocksTime = (ev) => ev.status !== 'cancelled' && !ev.transparent && !ev.allDay;
+
+// All-day events keep their YYYY-MM-DD dates, like the other providers
+const when = (v, allDay) => (allDay ? String(v).slice(0, 10) : new Date(v).toISOString());
+
+function createMemoryProvider() {
+  const calendars = new Map(); // calendarId -> Map(eventId -> event)
+
+  const eventsOf = (calendarId) => {
+    if (!calendars.has(calendarId)) calendars.set(calendarId, new Map());
+    return calendars.get(calendarId);
+  };
+
+  const find = (calendarId, eventId) => {
+    const ev = eventsOf(calendarId).get(eventId);
+    if (!ev || ev.status === 'cancelled') {
+      throw new CalendarError(`memory: no event ${eventId}`, { status: 404, provider: 'memory' });
+    }
+    return ev;
+  };
+
+  const copy = (ev) => ({ ...ev });
+
+  return {
+    name: 'memory',
+
+    async freebusy({ calendarIds, timeMin, timeMax }) {
+      return Object.fromEntries(calendarIds.map(id => [id,
+        [...eventsOf(id).values()]
+          .filter(ev => blocksTime(ev) && overlaps(ev, timeMin, timeMax))
+          .sort((a, b) => Date.parse(a.start) - Date.parse(b.start))
+          .map(ev => ({ start: ev.start, end: ev.end }))
+      ]));
+    },
+
+    async list(calendarId, { timeMin, timeMax }) {
+      return [...eventsOf(calendarId).values()]
+        .filter(ev => ev.status !== 'cancelled' && overlaps(ev, timeMin, timeMax))
+        .sort((a, b) => Date.parse(a.start) - Date.parse(b.start))
+        .map(copy);
+    },
+
+    async get(calendarId, eventId) {
+      return copy(find(calendarId, eventId));
+    },
+
+    async insert(calendarId, event) {
+      const existing = event.id && eventsOf(calendarId).get(event.id);
+      if (existing) return copy(existing);
+      const ev = {
+        summary: '', description: '', location: '', status: 'confirmed', transparent: false,
+        ...event,
+        start: when(event.start, event.allDay),
+        end: when(event.end, event.allDay),
+        id: event.id || crypto.randomUUID().replace(/-/g, ''),
+        updated: new Date().toISOString()
+      };
+      eventsOf(calendarId).set(ev.id, ev);
+      return copy(ev);
+    },
+
+    async patch(calendarId, eventId, fields) {
+      const ev = find(calendarId, eventId);
+      Object.assign(ev, fields, { id: eventId, updated: new Date().toISOString() });
+      if (fields.start !== undefined) ev.start = when(fields.start, ev.allDay);
+      if (fields.end !== undefined) ev.end = when(fields.end, ev.allDay);
+      return copy(ev);
+    },
+
+    async delete(calendarId, eventId) {
+      find(calendarId, eventId).status = 'cancelled';
+    },
+
+    // test helper: drop everything
+    reset() {
+      calendars.clear();
+    }
+  };
+}
+
+// One shared store, so every business on `memory` sees the same calendars
+let shared = null;
+const sharedMemoryProvider = () => (shared = shared || createMemoryProvider());
+
+module.exports = { createMemoryProvider, sharedMemoryProvider };
@@ -0,0 +1,165 @@
+// ===============================================
+//  Microsoft 365 / Outlook provider (Microsoft Graph)
+//  App-only access with client credentials; the app needs the
+//  Calendars.ReadWrite application permission. A calendarId is the
+//  mailbox ("sales@dealer.com", its default calendar) or
+//  "<mailbox>/<calendar id>" for another calendar in it.
+//
+//  config: { tenantId, clientId, clientSecret }
+// ===============================================
+const { CalendarError } = require('./calendars');
+
+const GRAPH = 'https://graph.microsoft.com/v1.0';
+const PAGE_SIZE = 500;
+
+function parseCalendarId(calendarId) {
+  const [mailbox, ...rest] = String(calendarId).split('/');
+  const user = `/users/${encodeURIComponent(mailbox)}`;
+  const cal = rest.length ? `${user}/calendars/${encodeURIComponent(rest.join('/'))}` : `${user}/calendar`;
+  return { user, cal };
+}
+
+// Graph date-times in UTC (Prefer: outlook.timezone="UTC") lack the "Z"
+const utcIso = (v) => new Date(/[zZ]|[+-]\d\d:\d\d$/.test(v) ? v : `${v}Z`).toISOString();
+
+function fromGraph(ev) {
+  return {
+    id: ev.id,
+    summary: ev.subject || '',
+    description: ev.body?.content || ev.bodyPreview || '',
+    location: ev.location?.displayName || '',
+    start: ev.isAllDay ? ev.start.dateTime.slice(0, 10) : utcIso(ev.start.dateTime),
+    end: ev.isAllDay ? ev.end.dateTime.slice(0, 10) : utcIso(ev.end.dateTime),
+    allDay: !!ev.isAllDay,
+    status: ev.isCancelled ? 'cancelled' : ev.showAs === 'tentative' ? 'tentative' : 'confirmed',
+    transparent: ev.showAs === 'free' || ev.showAs === 'workingElsewhere',
+    updated: ev.lastModifiedDateTime
+  };
+}
+
+function toGraph(fields) {
+  const body = {};
+  // Graph drops a second POST with the same transactionId
+  if (fields.id !== undefined) body.transactionId = fields.id;
+  if (fields.summary !== undefined) body.subject = fields.summary;
+  if (fields.description !== undefined) body.body = { contentType: 'text', content: fields.description };
+  if (fields.location !== undefined) body.location = { displayName: fields.location };
+  const when = (v) => fields.allDay
+    ? { dateTime: `${String(v).slice(0, 10)}T00:00:00`, timeZone: 'UTC' }
+    : { dateTime: new Date(v).toISOString().replace('Z', ''), timeZone: 'UTC' };
+  if (fields.start !== undefined) body.start = when(fields.start);
+  if (fields.end !== undefined) body.end = when(fields.end);
+  if (fields.allDay !== undefined) body.isAllDay = !!fields.allDay;
+  if (fields.status === 'tentative' || fields.status === 'confirmed') body.showAs = fields.status === 'tentative' ? 'tentative' : 'busy';
+  if (fields.transparent !== undefined) body.showAs = fields.transparent ? 'free' : 'busy';
+  if (fields.attendees !== undefined) {
+    body.attendees = fields.attendees.map(a => ({ emailAddress: { address: a.email, name: a.name || a.email }, type: 'required' }));
+  }
+  return body;
+}
+
+function createOutlookProvider({ tenantId, clientId, clientSecret } = {}) {
+  if (!tenantId || !clientId || !clientSecret) {
+    throw new CalendarError('outlook: tenantId, clientId and clientSecret are required', { provider: 'outlook' });
+  }
+
+  let token = null;
+  async function accessToken() {
+    if (token && token.expires > Date.now()) return token.value;
+    const res = await fetch(`https://login.microsoftonline.com/${encodeURIComponent(tenantId)}/oauth2/v2.0/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: clientId,
+        client_secret: clientSecret,
+        scope: 'https://graph.microsoft.com/.default',
+        grant_type: 'client_credentials'
+      })
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || !json.access_token) {
+      throw new CalendarError(`outlook token request failed: ${json.error || res.status}`, { status: res.status, provider: 'outlook' });
+    }
+    token = { value: json.access_token, expires: Date.now() + (json.expires_in - 60) * 1000 };
+    return token.value;
+  }
+
+  async function graph(method, path, body, extraHeaders = {}) {
+    let res;
+    try {
+      res = await fetch(path.startsWith('http') ? path : `${GRAPH}${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${await accessToken()}`,
+          Prefer: 'outlook.timezone="UTC", outlook.body-content-type="text"',
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+          ...extraHeaders
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+    } catch (err) {
+      if (err instanceof CalendarError) throw err;
+      throw new CalendarError(`outlook ${method} failed: ${err.message}`, { provider: 'outlook', cause: err });
+    }
+    if (!res.ok) {
+      const json = await res.json().catch(() => ({}));
+      throw new CalendarError(`outlook ${method} ${path} -> ${res.status} ${json.error?.code || ''}`.trim(), { status: res.status, provider: 'outlook' });
+    }
+    return res.status === 204 ? null : res.json();
+  }
+
+  async function list(calendarId, { timeMin, timeMax }) {
+    const { cal } = parseCalendarId(calendarId);
+    const qs = new URLSearchParams({
+      startDateTime: timeMin.toISOString(),
+      endDateTime: timeMax.toISOString(),
+      $top: String(PAGE_SIZE)
+    });
+    const events = [];
+    let next = `${cal}/calendarView?${qs}`;
+    while (next) {
+      const page = await graph('GET', next);
+      events.push(...(page.value || []).map(fromGraph).filter(ev => ev.status !== 'cancelled'));
+      next = page['@odata.nextLink'] || null;
+    }
+    return events;
+  }
+
+  return {
+    name: 'outlook',
+
+    async freebusy({ calendarIds, timeMin, timeMax }) {
+      const out = {};
+      for (const id of new Set(calendarIds)) {
+        out[id] = (await list(id, { timeMin, timeMax }))
+          .filter(ev => !ev.transparent && !ev.allDay)
+          .map(ev => ({ start: ev.start, end: ev.end }));
+      }
+      return Object.fromEntries(calendarIds.map(id => [id, out[id]]));
+    },
+
+    list,
+
+    async get(calendarId, eventId) {
+      const { user } = parseCalendarId(calendarId);
+      return fromGraph(await graph('GET', `${user}/events/${encodeURIComponent(eventId)}`));
+    },
+
+    async insert(calendarId, event) {
+      const { cal } = parseCalendarId(calendarId);
+      return fromGraph(await graph('POST', `${cal}/events`, toGraph(event)));
+    },
+
+    async patch(calendarId, eventId, fields) {
+      const { user } = parseCalendarId(calendarId);
+      return fromGraph(await graph('PATCH', `${user}/events/${encodeURIComponent(eventId)}`, toGraph(fields)));
+    },
+
+    async delete(calendarId, eventId) {
+      const { user } = parseCalendarId(calendarId);
+      await graph('DELETE', `${user}/events/${encodeURIComponent(eventId)}`);
+    }
+  };
+}
+
+module.exports = { createOutlookProvider };
@@ -0,0 +1,520 @@
+// ===============================================
+//  Calendar sync
+//  Keeps appointments in step with edits staff make directly in the
+//  calendar. Booked rows are matched to events by gcal_event_id:
+//    event deleted / cancelled -> appointment cancelled, unit freed
+//    event moved               -> appointment rescheduled (successor row),
+//                                 unit kept or reallocated
+//
+//  Google pushes a notification to /webhooks/google-calendar when a
+//  watched calendar changes; the changed events are then fetched with
+//  the calendar's syncToken. Channels expire, so renewWatches() replaces
+//  them a day ahead. reconcileAll() compares every upcoming booking with
+//  its event, for notifications that never arrived and for providers
+//  without push.
+// ===============================================
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+const supabase = require('./supabase');
+const { loadSettings, getConfig } = require('./settings');
+const { calendarFor, isGone } = require('./calendars');
+const { notifyCapacityFreed } = require('./waitlist');
+const { notify } = require('./notifications');
+const { issueToken, manageUrl } = require('./tokens');
+const { callerKey } = require('./customers');
+
+const WEBHOOK_PATH = '/webhooks/google-calendar';
+const CHANNEL_TTL_SEC = 7 * 24 * 60 * 60;
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+
+// Rows changed this recently are left alone: our own calendar write for
+// them (reschedule patch, cancel delete) may not have landed yet
+const SETTLE_MS = 2 * 60 * 1000;
+
+const watchKey = (businessId, calendarId) => `${businessId}:${calendarId}`;
+
+// Push needs a public https address
+function webhookAddress() {
+  const base = process.env.PUBLIC_BASE_URL;
+  if (!base || !base.startsWith('https://')) return null;
+  return `${base.replace(/\/+$/, '')}${WEBHOOK_PATH}`;
+}
+
+const safeEqual = (a, b) => {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+// Config for a booking's type, falling back to the business default when
+// the type has since left the catalogue
+async function configFor(appt) {
+  const type = appt.appointment_type || (appt.call_type === 'testdrive' ? 'testdrive' : undefined);
+  try {
+    return await getConfig(appt.business_id, {}, type);
+  } catch (e) {
+    if (e.code === 'unknown_appointment_type') return getConfig(appt.business_id, {});
+    throw e;
+  }
+}
+
+// ===============================================
+//  Reconciling one appointment
+// ===============================================
+
+async function cancelExternally(appt, cfg) {
+  const { data: row, error } = await supabase
+    .from('appointments')
+    .update({
+      status: 'cancelled',
+      status_changed_at: new Date().toISOString(),
+      status_source: 'calendar',
+      idem_key: `${appt.idem_key}#${appt.id}`
+    })
+    .eq('id', appt.id)
+    .eq('status', 'booked')
+    .select('id')
+    .maybeSingle();
+  if (error) throw error;
+  if (!row) return 'unchanged';
+
+  console.log('[calendarSync] cancelled', { businessId: appt.business_id, apptId: appt.id, eventId: appt.gcal_event_id });
+  notifyCapacityFreed(appt.business_id);
+  notify('cancellation', {
+    business_id: appt.business_id, ref: appt.id, name: appt.name, email: appt.email, phone: appt.phone,
+    model: appt.model, start: appt.starts_at, typeName: cfg.appointmentType.name
+  });
+  return 'cancelled';
+}
+
+// The event already sits at its new time, so unlike a reschedule through
+// the API nothing is checked against hours or capacity; only the car unit
+// has to fit. Without a free unit the booking moves without one.
+async function moveExternally(appt, ev, cfg) {
+  const businessId = appt.business_id;
+  const start = new Date(ev.start);
+  const end = new Date(ev.end);
+  const timezone = appt.timezone || cfg.timezone;
+
+  const moved = {
+    starts_at: start.toISOString(),
+    ends_at: end.toISOString(),
+    booking_time_local: DateTime.fromJSDate(start, { zone: timezone }).toISO(),
+    idem_key: [businessId, appt.call_type, start.toISOString(), callerKey(appt)].join('|'),
+    status_source: 'calendar'
+  };
+  const moveRow = (patch) => supabase.rpc('reschedule_appointment', {
+    p_id: appt.id,
+    p_expected_start: appt.starts_at,
+    p_patch: patch
+  });
+
+  let carUnitId = appt.car_unit_id || null;
+  let upd = await moveRow({ ...moved, car_unit_id: carUnitId });
+
+  if (upd.error && upd.error.code === '23P01' && appt.model) {
+    const { data: carId, error: rpcErr } = await supabase.rpc('pick_free_car', {
+      p_business_id: businessId,
+      p_model: appt.model,
+      p_start: new Date(start.getTime() - (cfg.bufferBeforeMin || 0) * 60000).toISOString(),
+      p_end:   new Date(end.getTime() + (cfg.bufferAfterMin || 0) * 60000).toISOString(),
+      p_trim:  appt.preferred_trim || null,
+      p_require_exact_trim: !!appt.require_exact_trim
+    });
+    if (rpcErr) throw rpcErr;
+    if (!carId) console.warn('[calendarSync] no_unit_available, moved without a unit', { businessId, apptId: appt.id });
+    carUnitId = carId || null;
+    upd = await moveRow({ ...moved, car_unit_id: carUnitId });
+  }
+
+  if (upd.error) {
+    // Same caller already booked at the new time, or a unit race; the
+    // row stays as it is and the next pass tries again
+    if (upd.error.code === '23505' || upd.error.code === '23P01') {
+      console.warn('[calendarSync] move_conflict', { businessId, apptId: appt.id, code: upd.error.code });
+      return 'conflict';
+    }
+    throw upd.error;
+  }
+  if (!upd.data) return 'unchanged';
+  const newId = upd.data;
+
+  // Keep the event's "Unit:" line right; best effort
+  if (carUnitId !== (appt.car_unit_id || null)) {
+    const lines = (ev.description || '').split('\n').filter(l => !l.startsWith('Unit: '));
+    if (carUnitId) lines.push(`Unit: ${carUnitId}`);
+    await cfg.calendar.patch(appt.calendar_id || cfg.calendarId, ev.id, { description: lines.join('\n') })
+      .catch(err => console.warn('[calendarSync] unit_note_failed', { apptId: newId, err: err?.message }));
+  }
+
+  console.log('[calendarSync] moved', { businessId, apptId: newId, previousId: appt.id, from: appt.starts_at, to: moved.starts_at, carUnitId });
+  notifyCapacityFreed(businessId);
+  const token = issueToken({
+    business_id: businessId, kind: appt.call_type === 'testdrive' ? 'testdrive' : 'appointment', ref: newId, end: moved.ends_at
+  });
+  notify('reschedule', {
+    business_id: businessId, ref: newId, previousRef: appt.id,
+    name: appt.name, email: appt.email, phone: appt.phone, model: appt.model,
+    start: moved.starts_at, typeName: cfg.appointmentType.name, manageUrl: manageUrl(token) || undefined
+  });
+  return 'moved';
+}
+
+/**
+ * Bring one booked appointment in line with its calendar event.
+ *
+ * @param {object} appt  appointments row (status 'booked')
+ * @param {import('./calendars').CalendarEvent|null} ev  null when the event is gone
+ * @returns {Promise<'unchanged'|'cancelled'|'moved'|'conflict'|'skipped'>}
+ */
+async function reconcileAppointment(appt, ev) {
+  if (appt.status_changed_at && Date.now() - Date.parse(appt.status_changed_at) < SETTLE_MS) return 'skipped';
+
+  const cfg = await configFor(appt);
+  if (!ev || ev.status === 'cancelled') return cancelExternally(appt, cfg);
+
+  // Turned into an all-day event: no time to move the booking to
+  if (ev.allDay) {
+    console.warn('[calendarSync] all_day_event_ignored', { apptId: appt.id, eventId: ev.id });
+    return 'skipped';
+  }
+  if (Date.parse(ev.start) === Date.parse(appt.starts_at) && Date.parse(ev.end) === Date.parse(appt.ends_at)) {
+    return 'unchanged';
+  }
+  return moveExternally(appt, ev, cfg);
+}
+
+// Booked rows for the given event ids, in chunks the query string can hold
+async function bookedForEvents(businessId, eventIds) {
+  const rows = [];
+  for (let i = 0; i < eventIds.length; i += 100) {
+    const { data, error } = await supabase
+      .from('appointments')
+      .select('*')
+      .eq('business_id', businessId)
+      .eq('status', 'booked')
+      .in('gcal_event_id', eventIds.slice(i, i + 100));
+    if (error) throw error;
+    rows.push(...(data || []));
+  }
+  return rows;
+}
+
+const tally = (results) => results.reduce((acc, r) => ({ ...acc, [r]: (acc[r] || 0) + 1 }), {});
+
+// ===============================================
+//  Incremental sync (push)
+// ===============================================
+
+/**
+ * Apply everything that changed in one watched calendar since its last
+ * sync. The first run (or one after Google expired the token) only takes
+ * a new token and reconciles the business in full.
+ */
+async function syncCalendar(businessId, calendarId) {
+  const calendar = calendarFor(await loadSettings(businessId));
+  if (typeof calendar.changes !== 'function') return null;
+
+  const { data: watch, error } = await supabase
+    .from('calendar_watches')
+    .select('sync_token')
+    .eq('business_id', businessId)
+    .eq('calendar_id', calendarId)
+    .maybeSingle();
+  if (error) throw error;
+
+  let syncToken = watch?.sync_token || null;
+  let changes;
+  try {
+    changes = await calendar.changes(calendarId, syncToken);
+  } catch (err) {
+    if (!syncToken || err?.status !== 410) throw err;
+    console.warn('[calendarSync] sync_token_expired', { businessId, calendarId });
+    syncToken = null;
+    changes = await calendar.changes(calendarId, null);
+  }
+
+  let summary;
+  if (!syncToken) {
+    summary = await reconcileBusiness(businessId);
+  } else {
+    const byId = new Map(changes.events.map(ev => [ev.id, ev]));
+    const appts = byId.size ? await bookedForEvents(businessId, [...byId.keys()]) : [];
+    const results = [];
+    for (const appt of appts.filter(a => !a.calendar_id || a.calendar_id === calendarId)) {
+      results.push(await reconcileAppointment(appt, byId.get(appt.gcal_event_id)));
+    }
+    summary = { checked: appts.length, ...tally(results) };
+  }
+
+  // Token saved last: a failed pass is replayed from the old one
+  const { error: saveErr } = await supabase
+    .from('calendar_watches')
+    .update({ sync_token: changes.nextSyncToken, synced_at: new Date().toISOString(), last_error: null })
+    .eq('business_id', businessId)
+    .eq('calendar_id', calendarId);
+  if (saveErr) throw saveErr;
+
+  if (changes.events.length) console.log('[calendarSync] synced', { businessId, calendarId, changed: changes.events.length, ...summary });
+  return summary;
+}
+
+// One sync per calendar at a time; notifications during a run queue one more
+const running = new Map();
+
+function scheduleSync(businessId, calendarId) {
+  const key = watchKey(businessId, calendarId);
+  const current = running.get(key);
+  if (current) {
+    current.again = true;
+    return;
+  }
+  const state = { again: false };
+  running.set(key, state);
+  (async () => {
+    do {
+      state.again = false;
+      try {
+        await syncCalendar(businessId, calendarId);
+      } catch (e) {
+        console.error('[calendarSync] sync_failed', { businessId, calendarId, err: e?.message || e });
+        await supabase.from('calendar_watches')
+          .update({ last_error: String(e?.message || e).slice(0, 500) })
+          .eq('business_id', businessId)
+          .eq('calendar_id', calendarId);
+      }
+    } while (state.again);
+  })().finally(() => running.delete(key));
+}
+
+/**
+ * Handle one push notification (X-Goog-* headers). Replies right away;
+ * the sync runs in the background.
+ *
+ * @returns {Promise<boolean>} false for a channel we don't know
+ */
+async function handleNotification({ channelId, channelToken, resourceId, state }) {
+  if (!channelId) return false;
+  const { data: watch, error } = await supabase
+    .from('calendar_watches')
+    .select('business_id, calendar_id, channel_token, resource_id')
+    .eq('channel_id', channelId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!watch || !safeEqual(watch.channel_token, channelToken)) return false;
+  if (watch.resource_id && resourceId && watch.resource_id !== resourceId) return false;
+
+  // "sync" only confirms a new channel
+  if (state !== 'sync') scheduleSync(watch.business_id, watch.calendar_id);
+  return true;
+}
+
+// ===============================================
+//  Channels
+// ===============================================
+
+// Calendars that should be watched: each business's main calendar plus
+// any appointment type booking into its own, on providers that can push
+async function watchTargets() {
+  const { data: settings, error } = await supabase.from('business_settings').select('*');
+  if (error) throw error;
+  const { data: types, error: typesErr } = await supabase
+    .from('appointment_types')
+    .select('business_id, calendar_id')
+    .eq('is_active', true)
+    .not('calendar_id', 'is', null);
+  if (typesErr) throw typesErr;
+
+  const targets = new Map();
+  for (const row of settings || []) {
+    let calendar;
+    try {
+      calendar = calendarFor(row);
+    } catch {
+      continue; // logged by calendarFor
+    }
+    if (typeof calendar.watch !== 'function') continue;
+    const ids = [row.calendar_id, ...(types || []).filter(t => t.business_id === row.business_id).map(t => t.calendar_id)];
+    for (const calendarId of new Set(ids.filter(Boolean))) {
+      targets.set(watchKey(row.business_id, calendarId), { businessId: row.business_id, calendarId, calendar });
+    }
+  }
+  return targets;
+}
+
+async function startWatch({ businessId, calendarId, calendar }, previous, address) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const channel = await calendar.watch(calendarId, {
+    id: crypto.randomUUID(),
+    token,
+    address,
+    ttlSec: CHANNEL_TTL_SEC
+  });
+
+  const { error } = await supabase.from('calendar_watches').upsert({
+    business_id: businessId,
+    calendar_id: calendarId,
+    channel_id: channel.id,
+    resource_id: channel.resourceId,
+    channel_token: token,
+    expires_at: channel.expiresAt,
+    last_error: null,
+    updated_at: new Date().toISOString()
+  }, { onConflict: 'business_id,calendar_id' });
+  if (error) {
+    await calendar.unwatch(channel).catch(() => {});
+    throw error;
+  }
+  console.log('[calendarSync] watching', { businessId, calendarId, channelId: channel.id, expiresAt: channel.expiresAt });
+
+  if (previous?.channel_id) await stopChannel(calendar, previous);
+  if (!previous?.sync_token) scheduleSync(businessId, calendarId);
+}
+
+async function stopChannel(calendar, watch) {
+  try {
+    await calendar.unwatch({ id: watch.channel_id, resourceId: watch.resource_id });
+  } catch (err) {
+    // Already expired or stopped
+    if (!isGone(err)) console.warn('[calendarSync] unwatch_failed', { channelId: watch.channel_id, err: err?.message });
+  }
+}
+
+let warnedNoAddress = false;
+
+/**
+ * Start channels for calendars without one, renew those expiring within
+ * a day and stop the ones no longer needed. Runs on a timer (jobs.js).
+ */
+async function renewWatches() {
+  const address = webhookAddress();
+  if (!address) {
+    if (!warnedNoAddress) console.warn('[calendarSync] push disabled: PUBLIC_BASE_URL must be an https URL');
+    warnedNoAddress = true;
+    return;
+  }
+
+  const targets = await watchTargets();
+  const { data: watches, error } = await supabase.from('calendar_watches').select('*');
+  if (error) throw error;
+  const existing = new Map((watches || []).map(w => [watchKey(w.business_id, w.calendar_id), w]));
+
+  let started = 0;
+  for (const [key, target] of targets) {
+    const watch = existing.get(key);
+    if (watch?.channel_id && Date.parse(watch.expires_at) - Date.now() > RENEW_BEFORE_MS) continue;
+    try {
+      await startWatch(target, watch, address);
+      started++;
+    } catch (e) {
+      console.error('[calendarSync] watch_failed', { businessId: target.businessId, calendarId: target.calendarId, err: e?.message });
+      await supabase.from('calendar_watches').upsert({
+        business_id: target.businessId,
+        calendar_id: target.calendarId,
+        last_error: String(e?.message || e).slice(0, 500),
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'business_id,calendar_id' });
+    }
+  }
+
+  for (const [key, watch] of existing) {
+    if (targets.has(key)) continue;
+    if (watch.channel_id) {
+      try {
+        await stopChannel(calendarFor(await loadSettings(watch.business_id)), watch);
+      } catch {
+        // provider no longer configured; the channel just expires
+      }
+    }
+    await supabase.from('calendar_watches').delete().eq('business_id', watch.business_id).eq('calendar_id', watch.calendar_id);
+    console.log('[calendarSync] unwatched', { businessId: watch.business_id, calendarId: watch.calendar_id });
+  }
+
+  if (started) console.log('[calendarSync] channels started', { started });
+}
+
+// ===============================================
+//  Full reconcile (fallback)
+// ===============================================
+
+/**
+ * Compare every upcoming booked appointment of a business with its event.
+ * Events are listed over the bookings' span; any not listed there (moved
+ * far away or deleted) are fetched one by one.
+ *
+ * @returns {Promise<{ checked: number, unchanged?: number, cancelled?: number, moved?: number, conflict?: number, skipped?: number }>}
+ */
+async function reconcileBusiness(businessId) {
+  const { data: appts, error } = await supabase
+    .from('appointments')
+    .select('*')
+    .eq('business_id', businessId)
+    .eq('status', 'booked')
+    .gte('ends_at', new Date().toISOString())
+    .not('gcal_event_id', 'is', null)
+    .order('starts_at', { ascending: true });
+  if (error) throw error;
+  if (!appts?.length) return { checked: 0 };
+
+  const cfg = await getConfig(businessId, {});
+  const byCalendar = new Map();
+  for (const appt of appts) {
+    const calendarId = appt.calendar_id || cfg.calendarId;
+    if (!calendarId) continue;
+    if (!byCalendar.has(calendarId)) byCalendar.set(calendarId, []);
+    byCalendar.get(calendarId).push(appt);
+  }
+
+  const results = [];
+  for (const [calendarId, group] of byCalendar) {
+    const timeMin = new Date(Math.min(...group.map(a => Date.parse(a.starts_at))));
+    const timeMax = new Date(Math.max(...group.map(a => Date.parse(a.ends_at))));
+    const listed = new Map((await cfg.calendar.list(calendarId, { timeMin, timeMax })).map(ev => [ev.id, ev]));
+
+    for (const appt of group) {
+      let ev = listed.get(appt.gcal_event_id) || null;
+      if (!ev) {
+        try {
+          ev = await cfg.calendar.get(calendarId, appt.gcal_event_id);
+        } catch (err) {
+          if (!isGone(err)) throw err;
+        }
+      }
+      results.push(await reconcileAppointment(appt, ev));
+    }
+  }
+  return { checked: appts.length, ...tally(results) };
+}
+
+/**
+ * reconcileBusiness() for every business with upcoming calendar bookings.
+ * Runs on a timer (jobs.js).
+ */
+async function reconcileAll() {
+  const { data, error } = await supabase
+    .from('appointments')
+    .select('business_id')
+    .eq('status', 'booked')
+    .gte('ends_at', new Date().toISOString())
+    .not('gcal_event_id', 'is', null);
+  if (error) throw error;
+
+  for (const businessId of new Set((data || []).map(r => r.business_id))) {
+    try {
+      const summary = await reconcileBusiness(businessId);
+      if (summary.cancelled || summary.moved || summary.conflict) console.log('[calendarSync] reconciled', { businessId, ...summary });
+    } catch (e) {
+      console.error('[calendarSync] reconcile_failed', { businessId, err: e?.message || e });
+    }
+  }
+}
+
+module.exports = {
+  WEBHOOK_PATH,
+  reconcileAppointment,
+  syncCalendar,
+  handleNotification,
+  renewWatches,
+  reconcileBusiness,
+  reconcileAll
+};
@@ -0,0 +1,112 @@
+// ===============================================
+//  Calendar providers
+//  Scheduling code talks to calendars through one small interface;
+//  each business picks its provider in business_settings
+//  (calendar_provider + calendar_provider_config).
+//
+//    google  Google Calendar, service account (calendarGoogle.js)
+//    outlook Microsoft 365 via Graph, app credentials (calendarOutlook.js)
+//    caldav  any CalDAV server, basic auth (calendarCaldav.js)
+//    memory  in-process, for local runs and tests (calendarMemory.js)
+//
+//  CALENDAR_PROVIDER=<name> in the environment overrides every
+//  business (e.g. "memory" to run without Google).
+// ===============================================
+
+/**
+ * Provider-neutral event. Timed events use ISO date-times; all-day
+ * events use YYYY-MM-DD dates with allDay set.
+ *
+ * @typedef {object} CalendarEvent
+ * @property {string}  id
+ * @property {string}  [summary]
+ * @property {string}  [description]
+ * @property {string}  [location]
+ * @property {string}  start
+ * @property {string}  end
+ * @property {boolean} [allDay]
+ * @property {'confirmed'|'tentative'|'cancelled'} [status]
+ * @property {boolean} [transparent]  doesn't block time
+ * @property {{ email: string, name?: string }[]} [attendees]  invited guests (write-only)
+ * @property {string}  [updated]
+ */
+
+/**
+ * @typedef {object} CalendarProvider
+ * @property {string} name
+ * @property {(q: { calendarIds: string[], timeMin: Date, timeMax: Date }) => Promise<Object<string, {start: string, end: string}[]>>} freebusy
+ * @property {(calendarId: string, q: { timeMin: Date, timeMax: Date }) => Promise<CalendarEvent[]>} list
+ *           single instances (recurring events expanded), every page
+ * @property {(calendarId: string, eventId: string) => Promise<CalendarEvent>} get
+ * @property {(calendarId: string, event: Partial<CalendarEvent>) => Promise<CalendarEvent>} insert
+ *           with `event.id` set the insert is idempotent: repeating it returns
+ *           the event the first call created (the outbox relies on this)
+ * @property {(calendarId: string, eventId: string, fields: Partial<CalendarEvent>) => Promise<CalendarEvent>} patch
+ * @property {(calendarId: string, eventId: string) => Promise<void>} delete
+ *
+ * Optional, for providers that push changes (google; see calendarSync.js):
+ * @property {(calendarId: string, channel: { id: string, token: string, address: string, ttlSec: number }) => Promise<{ id: string, resourceId: string, expiresAt: string }>} [watch]
+ * @property {(channel: { id: string, resourceId: string }) => Promise<void>} [unwatch]
+ * @property {(calendarId: string, syncToken: string|null) => Promise<{ events: CalendarEvent[], nextSyncToken: string }>} [changes]
+ */
+
+const crypto = require('crypto');
+
+const FACTORIES = {
+  google: (config) => require('./calendarGoogle').createGoogleProvider(config),
+  outlook: (config) => require('./calendarOutlook').createOutlookProvider(config),
+  caldav: (config) => require('./calendarCaldav').createCaldavProvider(config),
+  memory: () => require('./calendarMemory').sharedMemoryProvider()
+};
+const PROVIDERS = Object.keys(FACTORIES);
+const DEFAULT_PROVIDER = 'google';
+
+/**
+ * Provider error. `status` follows HTTP (404/410 = event is gone).
+ */
+class CalendarError extends Error {
+  constructor(message, { status = null, provider = null, cause } = {}) {
+    super(message);
+    this.name = 'CalendarError';
+    this.status = status;
+    this.provider = provider;
+    if (cause) this.cause = cause;
+  }
+}
+
+// Event id for an idempotency key. Lowercase hex only, which every
+// provider accepts (Google ids must be base32hex, 5-1024 chars).
+const eventIdFor = (key) => crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 40);
+
+// Event no longer exists at the provider (deleted or never there)
+const isGone = (err) => {
+  const status = err?.status ?? err?.code;
+  return status === 404 || status === 410;
+};
+
+// Instances are reused per provider + config
+const instances = new Map();
+
+/**
+ * Provider for a business_settings row (or null for the default).
+ * @returns {CalendarProvider}
+ */
+function calendarFor(row) {
+  const name = process.env.CALENDAR_PROVIDER || row?.calendar_provider || DEFAULT_PROVIDER;
+  const config = row?.calendar_provider_config || {};
+  const cacheKey = `${name}:${JSON.stringify(config)}`;
+  if (instances.has(cacheKey)) return instances.get(cacheKey);
+
+  let provider;
+  try {
+    if (!FACTORIES[name]) throw new Error(`unknown provider "${name}"`);
+    provider = FACTORIES[name](config);
+  } catch (e) {
+    console.error('[calendars] provider_unavailable', { businessId: row?.business_id, provider: name, err: e.message });
+    throw Object.assign(new Error('calendar_misconfigured'), { code: 'calendar_misconfigured', provider: name });
+  }
+  instances.set(cacheKey, provider);
+  return provider;
+}
+
+module.exports = { PROVIDERS, DEFAULT_PROVIDER, CalendarError, eventIdFor, isGone, calendarFor };
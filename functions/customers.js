@@ -0,0 +1,310 @@
+// ===============================================
+//  Customers / leads
+//  One record per person per business, keyed by an E.164 phone number
+//  and a normalised email. Every booking and logged call resolves its
+//  caller to a customer; when the phone matches one record and the email
+//  another, the two are merged (oldest survives). Merged records keep
+//  their contacts and point at the survivor (merged_into_id), so an old
+//  number still finds the right person.
+// ===============================================
+const supabase = require('./supabase');
+
+const E164_RE = /^\+[1-9]\d{7,14}$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Phone number in E.164, or null when it can't be one.
+ * Numbers without a "+" or "00" prefix are read as national numbers of
+ * `countryCode` (business_settings.phone_country_code); for NANP ("1")
+ * a leading 1 is accepted.
+ *
+ * @param {string|number} raw
+ * @param {string} [countryCode='1']  calling code without "+"
+ * @returns {string|null}
+ */
+function normalizePhone(raw, countryCode = '1') {
+  if (raw === null || raw === undefined) return null;
+  const s = String(raw).trim().replace(/\s*(?:ext\.?|x|#)\s*\d+$/i, ''); // drop extensions
+  let digits = s.replace(/\D/g, '');
+  if (!digits) return null;
+
+  let e164;
+  if (s.startsWith('+')) {
+    e164 = `+${digits}`;
+  } else if (digits.startsWith('00')) {
+    e164 = `+${digits.slice(2)}`;
+  } else if (countryCode === '1') {
+    if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+    e164 = digits.length === 10 ? `+1${digits}` : null;
+  } else {
+    e164 = `+${countryCode}${digits.replace(/^0+/, '')}`; // national trunk prefix
+  }
+  return e164 && E164_RE.test(e164) ? e164 : null;
+}
+
+/**
+ * Trimmed, lowercased email, or null when it isn't one.
+ */
+function normalizeEmail(raw) {
+  if (typeof raw !== 'string') return null;
+  const s = raw.trim().toLowerCase();
+  return EMAIL_RE.test(s) ? s : null;
+}
+
+/**
+ * The caller part of an appointment's idem_key: the customer when known,
+ * else the lowercased name (rows from before customers existed).
+ */
+const callerKey = ({ customer_id, name }) => customer_id || (name || '').trim().toLowerCase();
+
+// Contacts -> { phone, email } in stored form
+const contactsOf = ({ phone, email }, countryCode) => ({
+  phone: normalizePhone(phone, countryCode),
+  email: normalizeEmail(email)
+});
+
+// Surviving customers whose current or merged-away contacts match, oldest first
+async function matchingCustomers(businessId, { phone, email }) {
+  const ors = [];
+  if (phone) ors.push(`phone.eq.${phone}`);
+  if (email) ors.push(`email.eq."${email.replace(/"/g, '')}"`);
+  if (!ors.length) return [];
+
+  const { data, error } = await supabase
+    .from('customers')
+    .select('*')
+    .eq('business_id', businessId)
+    .or(ors.join(','));
+  if (error) throw error;
+
+  const roots = new Map();
+  const missing = new Set();
+  for (const row of data || []) {
+    if (row.merged_into_id) missing.add(row.merged_into_id);
+    else roots.set(row.id, row);
+  }
+  const toLoad = [...missing].filter(id => !roots.has(id));
+  if (toLoad.length) {
+    const { data: survivors, error: loadErr } = await supabase
+      .from('customers')
+      .select('*')
+      .in('id', toLoad)
+      .is('merged_into_id', null);
+    if (loadErr) throw loadErr;
+    for (const row of survivors || []) roots.set(row.id, row);
+  }
+  return [...roots.values()].sort((a, b) => Date.parse(a.first_seen_at) - Date.parse(b.first_seen_at));
+}
+
+/**
+ * Customer with this phone or email, without creating one.
+ *
+ * @param {string} businessId
+ * @param {{ phone?: string, email?: string }} contacts  raw input
+ * @param {{ countryCode?: string }} [opts]
+ * @returns {Promise<object|null>}
+ */
+async function findCustomer(businessId, contacts, { countryCode } = {}) {
+  const normalized = contactsOf(contacts, countryCode);
+  if (!normalized.phone && !normalized.email) return null;
+  const [customer] = await matchingCustomers(businessId, normalized);
+  return customer || null;
+}
+
+/**
+ * Customer by id; a merged-away id resolves to its survivor.
+ *
+ * @returns {Promise<object|null>}
+ */
+async function getCustomer(businessId, id) {
+  const { data, error } = await supabase
+    .from('customers')
+    .select('*')
+    .eq('business_id', businessId)
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw error;
+  if (data?.merged_into_id) return getCustomer(businessId, data.merged_into_id);
+  return data || null;
+}
+
+/**
+ * Fold `mergeIds` into `keepId`: their appointments and calls move over
+ * and gaps in the survivor's contacts are filled from them.
+ * Throws code customer_not_found when the survivor doesn't exist.
+ *
+ * @returns {Promise<object>} the surviving customer
+ */
+async function mergeCustomers(businessId, keepId, mergeIds) {
+  const { data, error } = await supabase
+    .rpc('merge_customers', { p_business_id: businessId, p_keep: keepId, p_merge: mergeIds })
+    .single();
+  if (error) {
+    if (error.code === 'P0002') throw Object.assign(new Error('customer_not_found'), { code: 'customer_not_found' });
+    throw error;
+  }
+  console.log('[customers] merged', { businessId, keepId, mergeIds });
+  return data;
+}
+
+/**
+ * Find or create the customer for a caller and mark them seen. Returns
+ * null when neither the phone nor the email is usable.
+ *
+ * @param {string} businessId
+ * @param {{ name?: string, phone?: string, email?: string }} caller  raw input
+ * @param {{ countryCode?: string, seenAt?: string }} [opts]  seenAt defaults to now
+ * @returns {Promise<object|null>}
+ */
+async function resolveCustomer(businessId, caller, { countryCode, seenAt } = {}, retried = false) {
+  const { phone, email } = contactsOf(caller, countryCode);
+  if (!phone && !email) return null;
+  const name = (caller.name || '').trim() || null;
+  const now = new Date().toISOString();
+  const seen = seenAt || now;
+
+  const matches = await matchingCustomers(businessId, { phone, email });
+  if (!matches.length) {
+    const { data, error } = await supabase
+      .from('customers')
+      .insert({ business_id: businessId, name, phone, email, first_seen_at: seen, last_seen_at: seen })
+      .select('*')
+      .single();
+    // Created concurrently by another request: use that one
+    if (error && error.code === '23505' && !retried) return resolveCustomer(businessId, caller, { countryCode, seenAt }, true);
+    if (error) throw error;
+    console.log('[customers] created', { businessId, id: data.id });
+    return data;
+  }
+
+  let customer = matches[0];
+  if (matches.length > 1) customer = await mergeCustomers(businessId, customer.id, matches.slice(1).map(m => m.id));
+
+  // Fill gaps; a known name or contact is never overwritten
+  const patch = { updated_at: now };
+  if (Date.parse(seen) > Date.parse(customer.last_seen_at)) patch.last_seen_at = seen;
+  if (Date.parse(seen) < Date.parse(customer.first_seen_at)) patch.first_seen_at = seen;
+  if (!customer.name && name) patch.name = name;
+  if (!customer.phone && phone) patch.phone = phone;
+  if (!customer.email && email) patch.email = email;
+  const { data, error } = await supabase
+    .from('customers')
+    .update(patch)
+    .eq('id', customer.id)
+    .select('*')
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+const APPOINTMENT_FIELDS = 'id, call_type, appointment_type, status, outcome, starts_at, ends_at, timezone, model, preferred_trim, car_unit_id';
+
+/**
+ * Bookings and call outcomes of one customer.
+ *
+ * @returns {Promise<{ upcoming: object[], recent: object[], calls: object[] }>}
+ */
+async function customerHistory(businessId, customerId, { limit = 10 } = {}) {
+  const nowISO = new Date().toISOString();
+  const [upcoming, recent, calls] = await Promise.all([
+    supabase
+      .from('appointments')
+      .select(APPOINTMENT_FIELDS)
+      .eq('business_id', businessId)
+      .eq('customer_id', customerId)
+      .eq('status', 'booked')
+      .gte('starts_at', nowISO)
+      .order('starts_at', { ascending: true })
+      .limit(limit),
+    supabase
+      .from('appointments')
+      .select(APPOINTMENT_FIELDS)
+      .eq('business_id', businessId)
+      .eq('customer_id', customerId)
+      .lt('starts_at', nowISO)
+      .order('starts_at', { ascending: false })
+      .limit(limit),
+    supabase
+      .from('stats')
+      .select('id, call_type, timestamp, appointment_id, metadata')
+      .eq('business_id', businessId)
+      .eq('customer_id', customerId)
+      .order('timestamp', { ascending: false })
+      .limit(limit)
+  ]);
+  for (const r of [upcoming, recent, calls]) if (r.error) throw r.error;
+
+  return {
+    upcoming: upcoming.data || [],
+    recent: recent.data || [],
+    calls: (calls.data || []).map(c => ({
+      id: c.id,
+      callType: c.call_type,
+      at: c.timestamp,
+      appointmentId: c.appointment_id || null,
+      reason: c.metadata?.reason || null
+    }))
+  };
+}
+
+// Appointments not yet linked to a customer, walked by id
+let backfillCursor = null;
+
+/**
+ * Link older appointments (booked before customers existed) to their
+ * customers, a batch per run. Runs on a timer (jobs.js) and goes idle
+ * once it reaches the end.
+ */
+async function backfillCustomers(batch = 100) {
+  if (backfillCursor === 'done') return 0;
+  let query = supabase
+    .from('appointments')
+    .select('id, business_id, name, email, phone, starts_at')
+    .is('customer_id', null)
+    .order('id', { ascending: true })
+    .limit(batch);
+  if (backfillCursor) query = query.gt('id', backfillCursor);
+  const { data, error } = await query;
+  if (error) throw error;
+  if (!data?.length) {
+    backfillCursor = 'done';
+    return 0;
+  }
+
+  const countryCodes = new Map();
+  let linked = 0;
+  for (const appt of data) {
+    if (!countryCodes.has(appt.business_id)) {
+      const { data: s } = await supabase
+        .from('business_settings')
+        .select('phone_country_code')
+        .eq('business_id', appt.business_id)
+        .maybeSingle();
+      countryCodes.set(appt.business_id, s?.phone_country_code || '1');
+    }
+    const customer = await resolveCustomer(appt.business_id, appt, {
+      countryCode: countryCodes.get(appt.business_id),
+      seenAt: appt.starts_at
+    });
+    if (customer) {
+      const { error: linkErr } = await supabase.from('appointments').update({ customer_id: customer.id }).eq('id', appt.id);
+      if (linkErr) throw linkErr;
+      linked++;
+    }
+    backfillCursor = appt.id;
+  }
+  if (linked) console.log('[customers] backfill', { linked, scanned: data.length });
+  return linked;
+}
+
+module.exports = {
+  normalizePhone,
+  normalizeEmail,
+  callerKey,
+  findCustomer,
+  getCustomer,
+  resolveCustomer,
+  mergeCustomers,
+  customerHistory,
+  backfillCustomers
+};
@@ -0,0 +1,132 @@
+// ===============================================
+//  Test-drive holds
+//  For units in short supply the agent can hold a slot while the caller
+//  makes up their mind (/testdrive with hold: true). A hold is a booked
+//  appointment with hold_state 'held', so the car unit, the salesperson
+//  and calendar capacity are taken exactly as for a booking; its event
+//  is tentative and no confirmation goes out. It is confirmed or
+//  released through the API, or expires after
+//  business_settings.hold_ttl_minutes (never later than the start),
+//  which cancels it and frees the unit.
+// ===============================================
+const supabase = require('./supabase');
+const { runNow, releaseHoldWithEffects } = require('./outbox');
+const { notifyCapacityFreed } = require('./waitlist');
+
+const holdError = (code) => Object.assign(new Error(code), { code });
+
+/**
+ * When a hold taken now for an appointment starting at `start` runs out.
+ *
+ * @param {{ holdTtlMin: number }} cfg
+ * @param {Date} start
+ * @returns {Date}
+ */
+function holdExpiry(cfg, start) {
+  // whole seconds, so the time read back to the caller is clean
+  const until = Math.floor((Date.now() + cfg.holdTtlMin * 60 * 1000) / 1000) * 1000;
+  return new Date(Math.min(until, start.getTime()));
+}
+
+async function getHold(businessId, id) {
+  const { data, error } = await supabase
+    .from('appointments')
+    .select('*')
+    .eq('business_id', businessId)
+    .eq('id', id)
+    .not('hold_state', 'is', null)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+// Why a hold that couldn't be claimed is gone
+const settledError = (appt) =>
+  holdError(appt.hold_state === 'released' ? 'hold_released' : 'hold_expired');
+
+/**
+ * Turn a hold into a normal booking. Confirming it again is a no-op.
+ * Throws code hold_not_found, hold_expired or hold_released.
+ *
+ * @returns {Promise<{ appt: object, confirmed: boolean }>} confirmed false
+ *          when it already was
+ */
+async function confirmHold(businessId, id) {
+  const { data, error } = await supabase
+    .from('appointments')
+    .update({ hold_state: 'confirmed', status_changed_at: new Date().toISOString() })
+    .eq('business_id', businessId)
+    .eq('id', id)
+    .eq('status', 'booked')
+    .eq('hold_state', 'held')
+    .gt('hold_expires_at', new Date().toISOString())
+    .select('*')
+    .maybeSingle();
+  if (error) throw error;
+  if (data) {
+    console.log('[holds] confirmed', { businessId, appointmentId: id });
+    return { appt: data, confirmed: true };
+  }
+
+  const appt = await getHold(businessId, id);
+  if (!appt) throw holdError('hold_not_found');
+  if (appt.hold_state === 'confirmed') return { appt, confirmed: false };
+  throw settledError(appt);
+}
+
+// Cancel one held row and delete its event right away
+async function settle(appt, state) {
+  const { released, jobKeys } = await releaseHoldWithEffects(appt, state, { calendarId: appt.calendar_id });
+  if (!released) return false;
+  for (const key of jobKeys) {
+    await runNow(key).catch(e => console.error('[holds] calendar_delete_failed', { appointmentId: appt.id, e }));
+  }
+  return true;
+}
+
+/**
+ * Give a hold up before it runs out. Releasing it again is a no-op.
+ * Throws code hold_not_found, or hold_confirmed once it is a booking
+ * (cancel it like one).
+ *
+ * @returns {Promise<{ appt: object, released: boolean }>}
+ */
+async function releaseHold(businessId, id) {
+  const appt = await getHold(businessId, id);
+  if (!appt) throw holdError('hold_not_found');
+  if (appt.hold_state === 'held' && await settle(appt, 'released')) {
+    console.log('[holds] released', { businessId, appointmentId: id });
+    notifyCapacityFreed(businessId);
+    return { appt: { ...appt, status: 'cancelled', hold_state: 'released' }, released: true };
+  }
+
+  const current = await getHold(businessId, id);
+  if (current.hold_state === 'confirmed') throw holdError('hold_confirmed');
+  return { appt: current, released: false };
+}
+
+/**
+ * Cancel holds past hold_expires_at and free their units. Runs on a
+ * timer (jobs.js).
+ */
+async function expireHolds() {
+  const { data, error } = await supabase
+    .from('appointments')
+    .select('*')
+    .eq('status', 'booked')
+    .eq('hold_state', 'held')
+    .lte('hold_expires_at', new Date().toISOString())
+    .order('hold_expires_at', { ascending: true })
+    .limit(100);
+  if (error) throw error;
+
+  const businesses = new Set();
+  for (const appt of data || []) {
+    if (await settle(appt, 'expired')) businesses.add(appt.business_id);
+  }
+  for (const businessId of businesses) notifyCapacityFreed(businessId);
+  if (data?.length) console.log('[holds] expired', { count: data.length, businesses: businesses.size });
+  return data?.length || 0;
+}
+
+module.exports = { holdExpiry, getHold, confirmHold, releaseHold, expireHolds };
@@ -0,0 +1,270 @@
+// ===============================================
+//  iCalendar (RFC 5545) feeds
+//  Read-only .ics views of booked appointments so staff can
+//  subscribe without access to the service-account calendar.
+//  Times are written with TZID plus a generated VTIMEZONE.
+//  Also single-event documents and a VEVENT parser for CalDAV.
+// ===============================================
+const { DateTime, Duration } = require('luxon');
+
+const PRODID = '-//Upreach//Booking Backend//EN';
+
+// TEXT escaping (RFC 5545 §3.3.11)
+const escapeText = (v) => String(v ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines at 75 octets without splitting a UTF-8 sequence
+function fold(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let start = 0;
+  let limit = 75;
+  while (start < bytes.length) {
+    let end = Math.min(start + limit, bytes.length);
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    parts.push(bytes.subarray(start, end).toString('utf8'));
+    start = end;
+    limit = 74; // continuation lines start with a space
+  }
+  return parts.join('\r\n ');
+}
+
+const localStamp = (dt) => dt.toFormat("yyyyMMdd'T'HHmmss");
+const utcStamp = (dt) => dt.toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+};
+
+// Offset changes of `zone` within [from, to), found by scanning days and
+// narrowing each change down to the minute.
+function transitions(zone, from, to) {
+  const offsetAt = (ms) => DateTime.fromMillis(ms, { zone }).offset;
+  const found = [];
+  const DAY = 24 * 60 * 60 * 1000;
+
+  for (let t = from.toMillis(); t < to.toMillis(); t += DAY) {
+    const a = offsetAt(t);
+    const b = offsetAt(t + DAY);
+    if (a === b) continue;
+
+    // binary search in whole minutes; changes happen on minute boundaries
+    const MIN = 60 * 1000;
+    let lo = Math.floor(t / MIN), hi = Math.ceil((t + DAY) / MIN);
+    while (hi - lo > 1) {
+      const mid = lo + Math.floor((hi - lo) / 2);
+      if (offsetAt(mid * MIN) === a) lo = mid; else hi = mid;
+    }
+    found.push({ at: hi * MIN, from: a, to: b });
+  }
+  return found;
+}
+
+/**
+ * VTIMEZONE for the years the feed covers. One observance per actual
+ * transition (no RRULEs), so historic rule changes come out right.
+ */
+function vtimezone(zone, from, to) {
+  const start = from.setZone(zone).startOf('year');
+  const end = to.setZone(zone).endOf('year');
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${zone}`];
+
+  // The offset in force at the start of the range, then each change
+  const initial = start.isInDST ? 'DAYLIGHT' : 'STANDARD';
+  const offset = formatOffset(start.offset);
+  lines.push(`BEGIN:${initial}`, `DTSTART:${localStamp(start)}`,
+    `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`,
+    `TZNAME:${start.offsetNameShort}`, `END:${initial}`);
+
+  for (const c of transitions(zone, start, end)) {
+    const after = DateTime.fromMillis(c.at, { zone });
+    const kind = after.isInDST ? 'DAYLIGHT' : 'STANDARD';
+    // DTSTART is the wall-clock time the change happens, in the old offset
+    const wall = DateTime.fromMillis(c.at, { zone: 'utc' }).plus({ minutes: c.from });
+    lines.push(`BEGIN:${kind}`, `DTSTART:${localStamp(wall)}`,
+      `TZOFFSETFROM:${formatOffset(c.from)}`, `TZOFFSETTO:${formatOffset(c.to)}`,
+      `TZNAME:${after.offsetNameShort}`, `END:${kind}`);
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Render a calendar.
+ *
+ * @param {object} cal
+ * @param {string} cal.name      X-WR-CALNAME
+ * @param {string} cal.timezone  IANA zone used for DTSTART/DTEND
+ * @param {{ uid: string, start: string, end: string, summary: string, description?: string, location?: string, status?: string, updated?: string }[]} cal.events
+ * @returns {string}
+ */
+function buildCalendar({ name, timezone, events }) {
+  const now = DateTime.now();
+  const starts = events.map(e => DateTime.fromISO(e.start));
+  const first = starts.length ? DateTime.min(...starts) : now;
+  const last = events.length ? DateTime.max(...events.map(e => DateTime.fromISO(e.end))) : now;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timezone}`,
+    ...vtimezone(timezone, first, last)
+  ];
+
+  for (const e of events) {
+    const start = DateTime.fromISO(e.start).setZone(timezone);
+    const end = DateTime.fromISO(e.end).setZone(timezone);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${e.uid}`,
+      `DTSTAMP:${utcStamp(e.updated ? DateTime.fromISO(e.updated) : now)}`,
+      `DTSTART;TZID=${timezone}:${localStamp(start)}`,
+      `DTEND;TZID=${timezone}:${localStamp(end)}`,
+      `SUMMARY:${escapeText(e.summary)}`,
+      ...(e.description ? [`DESCRIPTION:${escapeText(e.description)}`] : []),
+      ...(e.location ? [`LOCATION:${escapeText(e.location)}`] : []),
+      `STATUS:${e.status || 'CONFIRMED'}`,
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+// ===============================================
+//  Single events (CalDAV) and parsing
+// ===============================================
+
+const dateStamp = (v) => String(v).slice(0, 10).replace(/-/g, '');
+
+/**
+ * One VEVENT wrapped in a VCALENDAR, as stored on a CalDAV server.
+ * Timed events are written in UTC.
+ *
+ * @param {{ uid: string, start: string, end: string, allDay?: boolean, summary?: string, description?: string, location?: string, status?: string, transparent?: boolean }} e
+ * @returns {string}
+ */
+function eventCalendar(e) {
+  const when = (prop, v) => e.allDay
+    ? `${prop};VALUE=DATE:${dateStamp(v)}`
+    : `${prop}:${utcStamp(DateTime.fromISO(new Date(v).toISOString()))}`;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'BEGIN:VEVENT',
+    `UID:${e.uid}`,
+    `DTSTAMP:${utcStamp(DateTime.now())}`,
+    when('DTSTART', e.start),
+    when('DTEND', e.end),
+    `SUMMARY:${escapeText(e.summary)}`,
+    ...(e.description ? [`DESCRIPTION:${escapeText(e.description)}`] : []),
+    ...(e.location ? [`LOCATION:${escapeText(e.location)}`] : []),
+    ...(e.attendees || []).map(a =>
+      `ATTENDEE;ROLE=REQ-PARTICIPANT${a.name ? `;CN="${String(a.name).replace(/"/g, "'")}"` : ''}:mailto:${a.email}`),
+    `STATUS:${(e.status || 'confirmed').toUpperCase()}`,
+    `TRANSP:${e.transparent ? 'TRANSPARENT' : 'OPAQUE'}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+const unescapeText = (v) => v.replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+
+// "NAME;P1=a;P2="b:c":value" -> { name, params, value }
+function parseLine(line) {
+  let i = 0;
+  let quoted = false;
+  for (; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) break;
+  }
+  const [name, ...rawParams] = line.slice(0, i).split(';');
+  const params = Object.fromEntries(rawParams.map(p => {
+    const eq = p.indexOf('=');
+    return [p.slice(0, eq).toUpperCase(), p.slice(eq + 1).replace(/^"|"$/g, '')];
+  }));
+  return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+// DATE / DATE-TIME (UTC, TZID or floating) -> { value, allDay }
+function parseWhen({ params, value }, defaultZone) {
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    return { value: `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`, allDay: true };
+  }
+  const utc = value.endsWith('Z');
+  const zone = utc ? 'utc' : (params.TZID && DateTime.local().setZone(params.TZID).isValid ? params.TZID : defaultZone);
+  const dt = DateTime.fromFormat(value.replace(/Z$/, ''), "yyyyMMdd'T'HHmmss", { zone });
+  return dt.isValid ? { value: dt.toUTC().toISO(), allDay: false } : null;
+}
+
+/**
+ * VEVENTs in an iCalendar document (alarms and other components are
+ * skipped). Times come back as UTC ISO strings, all-day dates as
+ * YYYY-MM-DD.
+ *
+ * @param {string} text
+ * @param {string} [defaultZone='utc']  zone for floating times
+ * @returns {{ uid: string, summary: string, description: string, location: string, start: string, end: string, allDay: boolean, status: string, transparent: boolean, updated: string|null, recurrenceId: string|null }[]}
+ */
+function parseEvents(text, defaultZone = 'utc') {
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let ev = null;
+  let nested = 0;
+
+  for (const raw of lines) {
+    if (!raw) continue;
+    const prop = parseLine(raw);
+    if (prop.name === 'BEGIN' && prop.value.toUpperCase() === 'VEVENT') { ev = { props: {} }; continue; }
+    if (!ev) continue;
+    if (prop.name === 'BEGIN') { nested++; continue; }
+    if (prop.name === 'END' && nested) { nested--; continue; }
+    if (nested) continue;
+    if (prop.name === 'END' && prop.value.toUpperCase() === 'VEVENT') {
+      const p = ev.props;
+      const start = p.DTSTART && parseWhen(p.DTSTART, defaultZone);
+      let end = p.DTEND && parseWhen(p.DTEND, defaultZone);
+      if (start && !end) {
+        const duration = p.DURATION ? Duration.fromISO(p.DURATION.value) : Duration.fromObject(start.allDay ? { days: 1 } : {});
+        const endDt = DateTime.fromISO(start.value, { zone: 'utc' }).plus(duration);
+        end = { value: start.allDay ? endDt.toISODate() : endDt.toISO(), allDay: start.allDay };
+      }
+      if (start) {
+        events.push({
+          uid: p.UID?.value || '',
+          summary: unescapeText(p.SUMMARY?.value || ''),
+          description: unescapeText(p.DESCRIPTION?.value || ''),
+          location: unescapeText(p.LOCATION?.value || ''),
+          start: start.value,
+          end: end.value,
+          allDay: start.allDay,
+          status: (p.STATUS?.value || 'CONFIRMED').toLowerCase(),
+          transparent: (p.TRANSP?.value || '').toUpperCase() === 'TRANSPARENT',
+          updated: p['LAST-MODIFIED'] ? parseWhen(p['LAST-MODIFIED'], 'utc')?.value || null : null,
+          recurrenceId: p['RECURRENCE-ID'] ? parseWhen(p['RECURRENCE-ID'], defaultZone)?.value || null : null
+        });
+      }
+      ev = null;
+      continue;
+    }
+    ev.props[prop.name] = prop;
+  }
+  return events;
+}
+
+module.exports = { buildCalendar, eventCalendar, parseEvents, escapeText, fold };
@@ -1,84 +1,271 @@
 // ===============================================
 //  Google Calendar Automation Backend (v2)
-//  Updated to support agent-passed config variables
+//  Config is resolved per business from business_settings
 // ===============================================
-const { createClient } = require('@supabase/supabase-js');
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY; // Use service role for server
-const supabase = createClient(supabaseUrl, supabaseKey);
-const { google } = require('googleapis');
+const supabase = require('./supabase');
 const express    = require('express');
 const bodyParser = require('body-parser');
 const cors       = require('cors');
+const crypto = require('crypto');
 const { DateTime } = require('luxon');
-
-// Default fallback config (used if not provided by agent)
-const DEFAULTS = {
-  timezone: 'America/Vancouver',
-  officeStart: 9,          // 9 AM
-  officeEnd: 17,           // 5 PM 
-  durationMin: 15,         // appointment length (min)
-  maxOverlaps: 5           // max simultaneous events
-};
-
-// Google Auth
-const auth = new google.auth.GoogleAuth({
-  keyFile: '/etc/secrets/upreach-key.json',
-  scopes: ['https://www.googleapis.com/auth/calendar']
-});
-const calendar = google.calendar({ version: 'v3', auth });
+const { validate } = require('./schema');
+const { MAX_RANGE_DAYS, fetchBusy, computeSlots, rankSlots } = require('./availability');
+const { DEFAULT_SETTINGS, loadSettings, getConfig } = require('./settings');
+const { loadAppointmentTypes, resolveType, toType } = require('./appointmentTypes');
+const { joinWaitlist, waitlistRejection, processWaitlist, notifyCapacityFreed, expireOffers } = require('./waitlist');
+const { notify, deliverDue } = require('./notifications');
+const { parseRRule, expandRRule } = require('./recurrence');
+const { normalizePhone, normalizeEmail, callerKey, findCustomer, getCustomer, resolveCustomer, mergeCustomers, customerHistory, backfillCustomers } = require('./customers');
+const { runNow, processOutbox, bookAppointment, cancelAppointmentWithEffects, abandonBooking, deadLetters, retryDead } = require('./outbox');
+const { STATS_SCHEMA, resolveRange, statsReport } = require('./stats');
+const { issueToken, issueFeedToken, verifyToken, manageUrl, feedUrl } = require('./tokens');
+const { streamCsv } = require('./csv');
+const { buildCalendar } = require('./ical');
+const { authenticate, requireUser, requireBusinessUser } = require('./auth');
+const { ONBOARD_SCHEMA, onboard, onboardingStatus } = require('./onboarding');
+const { MAX_GRACE_MIN, createApiKey, listApiKeys, revokeApiKey, rotateApiKey } = require('./apiKeys');
+const { EDITABLE, validateUnit, parseFeed, planImport, applyImport, makeOf, upcomingBookingsFor } = require('./inventory');
+const { staffingFor, findStaff, staffSchedule, staffBusy, freeStaff, rankStaff, assignStaff, markAssigned, validateStaff, listStaff, createStaff, updateStaff, upcomingFor, EDITABLE: STAFF_EDITABLE } = require('./staff');
+const { holdExpiry, confirmHold, releaseHold, expireHolds } = require('./holds');
+const { OUTCOME_SCHEMA, recordOutcome, awaitingOutcome, flagPastAppointments } = require('./outcomes');
+const { matchModel } = require('./modelMatch');
+const { SEARCH_SCHEMA, searchCars } = require('./inventorySearch');
+const jobs = require('./jobs');
+const { checkHours } = require('./schedule');
+
+// Calendars are reached through each business's provider (cfg.calendar,
+// see calendars.js); onboarding provisions Google calendars directly
+const { isGone } = require('./calendars');
+const { googleCalendar } = require('./calendarGoogle');
+const { WEBHOOK_PATH, handleNotification, renewWatches, reconcileBusiness, reconcileAll } = require('./calendarSync');
 
 const app = express();
 app.use((req,res,next)=>{ console.log(new Date().toISOString(), req.method, req.originalUrl); next(); });
 
 app.use(cors());
 app.use(bodyParser.json());
-app.post("/stats", async (req, res) => {
-  const { business_id } = req.body;
-  const supabase = createClient(supabaseUrl, supabaseKey);
 
-  const { data, error } = await supabase
-    .from("stats")
-    .select("*")
-    .eq("business_id", business_id);
+// Business-scoped routes take a voice-agent API key or a dashboard
+// session, and only ever see the business_id the credential is for
+const agentAuth = authenticate();
+const dashboardAuth = authenticate({ style: "dashboard" });
+// POST /stats { business_id, from?, to?, timezone?, bucket? }  (GET takes the same as query params)
+// Totals, day/week/month series, conversion, rejection reasons, per-type
+// and per-model breakdowns for [from, to), aggregated in the database.
+async function statsHandler(input, res) {
+  const { ok, value, errors } = validate(STATS_SCHEMA, input);
+  if (!ok) return res.status(400).json({ error: "invalid_input", errors });
 
-  if (error) {
-    console.error("Supabase error:", error);
+  try {
+    const range = await resolveRange(value);
+    const report = await statsReport(range);
+
+    return res.json({
+      // original fields, kept for existing dashboards
+      total_calls: report.totals.calls,
+      total_bookings: report.totals.bookings,
+      total_rejected: report.totals.rejected,
+      daily_bookings: report.recent_bookings?.daily ?? 0,
+      weekly_bookings: report.recent_bookings?.weekly ?? 0,
+      monthly_bookings: report.recent_bookings?.monthly ?? 0,
+
+      range: {
+        from: range.from.toISO({ suppressMilliseconds: true }),
+        to: range.to.toISO({ suppressMilliseconds: true }),
+        timezone: range.timezone,
+        bucket: range.bucket
+      },
+      conversion_rate: report.conversion_rate,
+      series: report.series || [],
+      rejection_reasons: report.rejection_reasons || {},
+      appointment_types: report.appointment_types || [],
+      testdrives: report.testdrives || [],
+      attendees: report.attendees ?? 0,
+      recurring: report.recurring || { series: 0, occurrences: 0 },
+      outcomes: report.outcomes,
+      testdrive_outcomes: report.testdrive_outcomes
+    });
+  } catch (e) {
+    if (e.code === "invalid_range") return res.status(400).json({ error: "invalid_range" });
+    if (e.code === "settings_unavailable") return res.status(503).json({ error: "settings_unavailable" });
+    console.error("Supabase error:", e);
     return res.status(500).json({ error: "Failed to fetch stats" });
   }
+}
+app.post("/stats", dashboardAuth, (req, res) => statsHandler(req.body || {}, res));
+app.get("/stats", dashboardAuth, (req, res) => statsHandler(req.query, res));
 
-  const now = DateTime.now();
-  const total_calls = data.length;
-  const total_bookings = data.filter(row => row.call_type === "booking").length;
-  const total_rejected = data.filter(row => row.call_type === "rejected").length;
+// ===============================
+// Exports
+// ===============================
+// GET /exports/appointments.csv and /exports/stats.csv take the same
+// filters as /stats (business_id, from, to, timezone) and stream CSV.
+const localTime = (iso, timezone) => iso ? DateTime.fromISO(iso).setZone(timezone).toISO({ suppressMilliseconds: true }) : "";
+
+const APPOINTMENT_COLUMNS = (tz) => [
+  { header: "id",                  value: r => r.id },
+  { header: "kind",                value: r => r.call_type },
+  { header: "appointment_type",    value: r => r.appointment_type },
+  { header: "status",              value: r => r.status },
+  { header: "start",               value: r => localTime(r.starts_at, tz) },
+  { header: "end",                 value: r => localTime(r.ends_at, tz) },
+  { header: "name",                value: r => r.name },
+  { header: "email",               value: r => r.email },
+  { header: "phone",               value: r => r.phone },
+  { header: "model",               value: r => r.model },
+  { header: "preferred_trim",      value: r => r.preferred_trim },
+  { header: "car_unit_id",         value: r => r.car_unit_id },
+  { header: "calendar_id",         value: r => r.calendar_id },
+  { header: "gcal_event_id",       value: r => r.gcal_event_id },
+  { header: "source",              value: r => r.source },
+  { header: "special_notes",       value: r => r.special_notes },
+  { header: "rescheduled_from_id", value: r => r.rescheduled_from_id },
+  { header: "party_size",          value: r => r.party_size },
+  { header: "attendees",           value: r => r.attendees?.length ? r.attendees : "" },
+  { header: "series_id",           value: r => r.series_id },
+  { header: "staff_id",            value: r => r.staff_id },
+  { header: "outcome",             value: r => r.outcome },
+  { header: "outcome_notes",       value: r => r.outcome_notes }
+];
+
+const STATS_COLUMNS = (tz) => [
+  { header: "timestamp",        value: r => localTime(r.timestamp, tz) },
+  { header: "call_type",        value: r => r.call_type },
+  { header: "reason",           value: r => r.metadata?.reason },
+  { header: "appointment_type", value: r => r.metadata?.appointment_type },
+  { header: "name",             value: r => r.metadata?.name },
+  { header: "email",            value: r => r.metadata?.email },
+  { header: "phone",            value: r => r.phone },
+  { header: "appointment_id",   value: r => r.appointment_id },
+  { header: "metadata",         value: r => r.metadata }
+];
+
+function exportRoute(path, build) {
+  app.get(path, dashboardAuth, async (req, res) => {
+    const { ok, value, errors } = validate(STATS_SCHEMA, req.query);
+    if (!ok) return res.status(400).json({ status: "error", message: "invalid_input", errors });
+
+    try {
+      const range = await resolveRange(value);
+      const rows = await streamCsv(res, build(range));
+      console.log("[export] done", { path, businessId: range.businessId, rows });
+    } catch (e) {
+      if (res.headersSent) return res.end();
+      if (e.code === "invalid_range") return res.status(400).json({ status: "error", message: "invalid_range" });
+      if (sendConfigError(res, e)) return;
+      console.error("[export] failed", { path, e });
+      return res.status(500).json({ status: "error", message: "export_failed" });
+    }
+  });
+}
 
-  const daily = data.filter(row =>
-    row.call_type === "booking" &&
-    DateTime.fromISO(row.timestamp).diff(now, 'days').days >= -1
-  ).length;
+const fileDate = (range) => `${range.from.toISODate()}_${range.to.minus({ milliseconds: 1 }).toISODate()}`;
+
+exportRoute("/exports/appointments.csv", (range) => ({
+  filename: `appointments_${range.businessId}_${fileDate(range)}.csv`,
+  columns: APPOINTMENT_COLUMNS(range.timezone),
+  page: (a, b) => supabase
+    .from("appointments")
+    .select("*")
+    .eq("business_id", range.businessId)
+    .gte("starts_at", range.from.toUTC().toISO())
+    .lt("starts_at", range.to.toUTC().toISO())
+    .order("starts_at", { ascending: true })
+    .order("id", { ascending: true })
+    .range(a, b)
+}));
+
+exportRoute("/exports/stats.csv", (range) => ({
+  filename: `stats_${range.businessId}_${fileDate(range)}.csv`,
+  columns: STATS_COLUMNS(range.timezone),
+  page: (a, b) => supabase
+    .from("stats")
+    .select("*")
+    .eq("business_id", range.businessId)
+    .gte("timestamp", range.from.toUTC().toISO())
+    .lt("timestamp", range.to.toUTC().toISO())
+    .order("timestamp", { ascending: true })
+    .order("id", { ascending: true })
+    .range(a, b)
+}));
 
-  const weekly = data.filter(row =>
-    row.call_type === "booking" &&
-    DateTime.fromISO(row.timestamp).diff(now, 'days').days >= -7
-  ).length;
+// ===============================
+// Calendar feeds
+// ===============================
+// GET /feeds/url?business_id=...&calendarId=...  -> subscription link
+// GET /feeds/:token.ics                          -> iCalendar feed of booked
+// appointments from 30 days back to 180 days ahead, for the whole business
+// or the one calendar named in the token.
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 180;
+
+app.get("/feeds/url", agentAuth, (req, res) => {
+  const business_id = req.query.business_id;
+  if (!business_id) return res.status(400).json({ status: "error", message: "missing_business_id" });
+
+  const token = issueFeedToken({ business_id, calendarId: req.query.calendarId });
+  if (!token) return res.status(503).json({ status: "error", message: "tokens_disabled" });
+  return res.json({ status: "success", results: { status: "ok", data: { token, url: feedUrl(token) } } });
+});
 
-  const monthly = data.filter(row =>
-    row.call_type === "booking" &&
-    DateTime.fromISO(row.timestamp).diff(now, 'days').days >= -30
-  ).length;
+app.get("/feeds/:token.ics", async (req, res) => {
+  const token = verifyToken(req.params.token);
+  if (!token.ok || token.kind !== "feed") {
+    return res.status(token.reason === "tokens_disabled" ? 503 : 401).json({ status: "error", message: token.reason || "invalid_token" });
+  }
 
-  return res.json({
-    total_calls,
-    total_bookings,
-    total_rejected,
-    daily_bookings: daily,
-    weekly_bookings: weekly,
-    monthly_bookings: monthly
-  });
+  try {
+    const settings = await loadSettings(token.business_id);
+    const timezone = settings?.timezone || DEFAULT_SETTINGS.timezone;
+    const now = DateTime.now();
+
+    let q = supabase
+      .from("appointments")
+      .select("*")
+      .eq("business_id", token.business_id)
+      .in("status", ["booked", "awaiting_outcome", "completed"])
+      .gte("starts_at", now.minus({ days: FEED_PAST_DAYS }).toUTC().toISO())
+      .lt("starts_at", now.plus({ days: FEED_FUTURE_DAYS }).toUTC().toISO())
+      .order("starts_at", { ascending: true })
+      .limit(5000);
+    if (token.ref !== "*") q = q.eq("calendar_id", token.ref);
+
+    const { data: rows, error } = await q;
+    if (error) throw error;
+
+    const events = (rows || []).map(r => ({
+      uid: `${r.id}@upreach`,
+      start: r.starts_at,
+      end: r.ends_at,
+      summary: r.call_type === "testdrive"
+        ? `Test drive — ${r.name}${r.model ? ` (${r.model})` : ""}`
+        : `${r.appointment_type && r.appointment_type !== "default" ? r.appointment_type : "Appointment"} — ${r.name}`,
+      description: [
+        `Email: ${r.email || "N/A"}`,
+        `Phone: ${r.phone || "N/A"}`,
+        r.car_unit_id ? `Unit: ${r.car_unit_id}` : null,
+        r.special_notes ? `Notes: ${r.special_notes}` : null
+      ].filter(Boolean).join("\n"),
+      ...(r.hold_state === "held" ? { status: "TENTATIVE" } : {}),
+      updated: r.status_changed_at || undefined
+    }));
+
+    const name = token.ref === "*" ? `${token.business_id} appointments` : `${token.business_id} — ${token.ref}`;
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", `inline; filename="${token.business_id}.ics"`);
+    return res.send(buildCalendar({ name, timezone, events }));
+  } catch (e) {
+    if (sendConfigError(res, e)) return;
+    console.error("[feeds] failed", { businessId: token.business_id, e });
+    return res.status(500).json({ status: "error", message: "feed_failed" });
+  }
 });
+
 // GET /inventory/models?business_id=...&activeOnly=true
 // Returns unique model names (e.g., ["Audi R8","Audi A8","Q5"])
-app.get("/inventory/models", async (req, res) => {
+app.get("/inventory/models", dashboardAuth, async (req, res) => {
   try {
     const business_id = req.query.business_id;
     const activeOnly  = (req.query.activeOnly ?? "true").toString().toLowerCase() === "true";
@@ -104,196 +291,436 @@ app.get("/inventory/models", async (req, res) => {
   }
 });
 
-// (Optional) GET /inventory/cars?business_id=...&activeOnly=true
-// Returns individual units if you want finer control later.
+// GET /inventory/match?business_id=...&model=audi%20r-8&trim=...
+// Ranks active models (and that model's trims) against spoken input.
+// `autoAccepted` means the top match can be used without confirming.
+app.get("/inventory/match", dashboardAuth, async (req, res) => {
+  const business_id = (req.query.business_id || "").toString().trim();
+  const model = (req.query.model || "").toString().trim();
+  const trim  = (req.query.trim || "").toString().trim() || undefined;
+
+  if (!business_id) return res.status(400).json({ ok: false, error: "Missing business_id" });
+  if (!model) return res.status(400).json({ ok: false, error: "Missing model" });
+
+  try {
+    const match = await matchModel(business_id, model, { trim });
+    return res.json({ ok: true, business_id, ...match });
+  } catch (e) {
+    console.error("[inventory] match_failed", { business_id, e });
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+});
+
+// GET /inventory/cars?business_id=...
+//   Filters:    model (fuzzy, see /inventory/match), trim, year, yearMin, yearMax,
+//               colour, bodyType, priceMin, priceMax, q (free text), activeOnly=true
+//   Available:  availableAt=<ISO, business timezone if no offset>[&duration=<min>]
+//               only units with no overlapping booked test drive (pick_free_car's rule)
+//   Paging:     sort=model|trim|year|price|colour|body_type (prefix "-" for desc),
+//               limit (<= 200), cursor (nextCursor from the previous page)
+//   distinct=true[&includeTrims=true] returns the matching models instead of units.
 // Optional tiny helper for request IDs (Node 18+ has crypto.randomUUID)
 const reqId = () => {
   try { return require("crypto").randomUUID(); } catch { return Math.random().toString(36).slice(2); }
 };
 
-app.get("/inventory/cars", async (req, res) => {
-  console.log("fhjhfidshgfdshgifdshgsghorahgiahjfdhgfdsghiehfdshfjidsajfidsahgiagjifdhoiah")
+const CAR_COLUMNS = "id, make, model, trim, vin, year, colour, price, body_type, is_active";
+
+app.get("/inventory/cars", dashboardAuth, async (req, res) => {
   const rid = reqId();
   const startedAt = Date.now();
 
-  try {
-    // --- Parse & log inputs
-    const business_id = (req.query.business_id || "").trim();
-    const activeOnly   = ((req.query.activeOnly   ?? "true") + "").toLowerCase() === "true";
-    const distinct     = ((req.query.distinct     ?? "false") + "").toLowerCase() === "true";
-    const includeTrims = ((req.query.includeTrims ?? "false") + "").toLowerCase() === "true";
+  const { ok, value: f, errors } = validate(SEARCH_SCHEMA, req.query);
+  if (!ok) return res.status(400).json({ ok: false, error: "invalid_input", errors });
+  const business_id = f.business_id;
 
-    console.log(`[getModels][${rid}] start`, {
-      business_id,
-      activeOnly,
-      distinct,
-      includeTrims,
-      ip: req.ip,
-      ua: req.headers["user-agent"]
-    });
+  console.log(`[getModels][${rid}] start`, {
+    query: req.query,
+    ip: req.ip,
+    ua: req.headers["user-agent"]
+  });
 
-    if (!business_id) {
-      console.warn(`[getModels][${rid}] missing business_id`);
-      return res.status(400).json({ ok: false, error: "Missing business_id" });
+  try {
+    // --- Spoken model -> canonical model (and trim)
+    let model, trim, modelMatch;
+    if (f.model) {
+      modelMatch = await matchModel(business_id, f.model, { trim: f.trim });
+      if (!modelMatch.autoAccepted) {
+        console.log(`[getModels][${rid}] unknown_model`, { model: f.model, suggestions: modelMatch.suggestions.length });
+        return res.json({ ok: true, business_id, activeOnly: f.activeOnly, cars: [], nextCursor: null, modelMatch });
+      }
+      model = modelMatch.model.value;
+      if (modelMatch.trim?.autoAccepted) trim = modelMatch.trim.value;
     }
 
-    // --- Query
-    let q = supabase
-      .from("cars")
-      .select("id, model, trim, vin, is_active", { count: "exact" })
-      .eq("business_id", business_id)
-      .order("model", { ascending: true })
-      .order("trim",  { ascending: true });
-
-    if (activeOnly) q = q.eq("is_active", true);
-
-    const { data, error, count } = await q;
-
-    if (error) {
-      console.error(`[getModels][${rid}] supabase error`, error);
-      return res.status(500).json({ ok: false, error: error.message || "DB error" });
+    // --- Test drive window, held the same way /testdrive holds it
+    let window;
+    if (f.availableAt) {
+      const cfg = await getConfig(business_id, {}, "testdrive");
+      const startLux = DateTime.fromISO(f.availableAt, { zone: cfg.timezone });
+      const start = new Date(startLux.toUTC().toISO());
+      const end = new Date(startLux.plus({ minutes: f.duration || cfg.durationMin }).toUTC().toISO());
+      window = bufferedWindow(cfg, start, end);
     }
 
-    const cars = data || [];
-    const models = [...new Set(cars.map(c => c.model))];
-
-    // Build model -> trims[] map only if needed
-    let modelsWithTrims = undefined;
-    if (includeTrims) {
-      const map = new Map();
-      for (const c of cars) {
-        if (!map.has(c.model)) map.set(c.model, new Set());
-        if (c.trim) map.get(c.model).add(c.trim);
-      }
-      modelsWithTrims = Object.fromEntries(
-        [...map.entries()].map(([m, trims]) => [m, [...trims]])
-      );
-    }
+    const { cars, nextCursor } = await searchCars(f, { model, trim, window, all: f.distinct });
+    const models = [...new Set(cars.map(c => c.model))].sort((a, b) =>
+      a.localeCompare(b, undefined, { sensitivity: "base" })
+    );
 
-    // --- Log summary
     console.log(`[getModels][${rid}] result`, {
-      totalUnits: count ?? cars.length,
+      units: cars.length,
       uniqueModels: models.length,
-      returnedMode: distinct
-        ? (includeTrims ? "models+trims" : "models-only")
-        : "full-units",
+      returnedMode: f.distinct ? (f.includeTrims ? "models+trims" : "models-only") : "full-units",
       ms: Date.now() - startedAt
     });
 
-    // --- Shape response
-    if (distinct) {
+    const extra = {
+      ...(modelMatch ? { modelMatch } : {}),
+      ...(window ? { availableAt: window.start.toISOString(), availableUntil: window.end.toISOString() } : {})
+    };
+
+    if (f.distinct) {
       // Agent-friendly: unique models (and optional trims). No unit rows.
+      let modelsWithTrims;
+      if (f.includeTrims) {
+        const map = new Map(models.map(m => [m, new Set()]));
+        for (const c of cars) if (c.trim) map.get(c.model).add(c.trim);
+        modelsWithTrims = Object.fromEntries([...map].map(([m, trims]) => [m, [...trims]]));
+      }
       return res.json({
         ok: true,
         business_id,
-        activeOnly,
+        activeOnly: f.activeOnly,
         models,
-        ...(includeTrims ? { modelsWithTrims } : {})
+        ...(f.includeTrims ? { modelsWithTrims } : {}),
+        ...extra
       });
     }
 
-    // Original behavior (full unit list)
-    return res.json({
-      ok: true,
-      business_id,
-      activeOnly,
-      cars
-    });
-
+    return res.json({ ok: true, business_id, activeOnly: f.activeOnly, cars, nextCursor, ...extra });
   } catch (e) {
+    if (e.code === "invalid_cursor") return res.status(400).json({ ok: false, error: "invalid_cursor" });
+    if (e.code === "settings_unavailable" || e.code === "unknown_appointment_type") {
+      return res.status(e.code === "settings_unavailable" ? 503 : 400).json({ ok: false, error: e.code });
+    }
     console.error(`[getModels][${rid}] server error`, e);
     return res.status(500).json({ ok: false, error: "Server error" });
   }
 });
 
+// ===============================
+// Inventory management (dashboard, signed-in business owner)
+// ===============================
+// POST  /inventory/cars                 { business_id, model, make?, trim?, vin, year?, colour?, price?, body_type?, is_active? }
+// PATCH /inventory/cars/:id             { business_id, any of the above }
+// POST  /inventory/cars/:id/deactivate  { business_id }
+// POST  /inventory/import[?dryRun=true] { business_id, csv: "..." } or { business_id, units: [...] }
+//                                       or a text/csv body with ?business_id=...
+// Units that become available re-run the waitlist; retiring units reports
+// the upcoming test drives allocated to them.
+
+// Another unit of this business already has the VIN?
+async function vinTaken(businessId, vin, exceptId = null) {
+  let q = supabase.from("cars").select("id").eq("business_id", businessId).ilike("vin", vin).limit(1);
+  if (exceptId) q = q.neq("id", exceptId);
+  const { data, error } = await q;
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+app.post("/inventory/cars", requireBusinessUser, async (req, res) => {
+  const { ok, value, errors } = validateUnit(req.body || {});
+  if (!ok) return res.status(400).json({ ok: false, error: "invalid_input", errors });
 
-app.post('/onboard', async (req, res) => {
-  const data = req.body;
-  const businessId = data.business_id; // coming from Synthflow
-    if (!businessId) {
-      return res.status(400).json({ status: 'error', message: 'Missing business_id' });
+  try {
+    if (await vinTaken(req.businessId, value.vin)) {
+      return res.status(409).json({ ok: false, error: "duplicate_vin", vin: value.vin });
+    }
+    const { data: car, error } = await supabase
+      .from("cars")
+      .insert([{ ...value, business_id: req.businessId }])
+      .select(CAR_COLUMNS)
+      .single();
+    if (error) {
+      console.error("[inventory] create error", error);
+      return res.status(500).json({ ok: false, error: "Server error" });
     }
 
-  const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_SERVICE_ROLE_KEY
-  );
+    console.log("[inventory] created", { businessId: req.businessId, id: car.id, vin: car.vin });
+    if (car.is_active) notifyCapacityFreed(req.businessId);
+    return res.status(201).json({ ok: true, car });
+  } catch (e) {
+    console.error("[inventory] create error", e);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+});
 
-  // 1. Get the logged-in user from the access token
-  const token = req.headers.authorization?.split('Bearer ')[1];
-  if (!token) {
-    return res.status(401).json({ error: 'Missing auth token' });
+async function updateCar(req, res, patch) {
+  try {
+    if (patch.vin && await vinTaken(req.businessId, patch.vin, req.params.id)) {
+      return res.status(409).json({ ok: false, error: "duplicate_vin", vin: patch.vin });
+    }
+    const { data: car, error } = await supabase
+      .from("cars")
+      .update(patch)
+      .eq("id", req.params.id)
+      .eq("business_id", req.businessId)
+      .select(CAR_COLUMNS)
+      .maybeSingle();
+    if (error) {
+      console.error("[inventory] update error", error);
+      return res.status(500).json({ ok: false, error: "Server error" });
+    }
+    if (!car) return res.status(404).json({ ok: false, error: "Car not found" });
+
+    console.log("[inventory] updated", { businessId: req.businessId, id: car.id, fields: Object.keys(patch) });
+    if (patch.is_active === true) notifyCapacityFreed(req.businessId);
+    const affectedBookings = patch.is_active === false
+      ? await upcomingBookingsFor(req.businessId, [car.id])
+      : undefined;
+    return res.json({ ok: true, car, ...(affectedBookings ? { affectedBookings } : {}) });
+  } catch (e) {
+    console.error("[inventory] update error", e);
+    return res.status(500).json({ ok: false, error: "Server error" });
   }
+}
 
-  const { data: userData, error: userError } = await supabase.auth.getUser(token);
-  if (userError || !userData.user) {
-    return res.status(401).json({ error: 'Invalid or expired token' });
+app.patch("/inventory/cars/:id", requireBusinessUser, (req, res) => {
+  const { business_id, ...fields } = req.body || {};
+  const { ok, value, errors } = validateUnit(fields, { partial: true });
+  if (!ok) return res.status(400).json({ ok: false, error: "invalid_input", errors });
+  if (Object.keys(value).length === 0) {
+    return res.status(400).json({ ok: false, error: "invalid_input", errors: [{ field: "body", message: `nothing to update (${EDITABLE.join(", ")})` }] });
   }
+  return updateCar(req, res, value);
+});
 
-  const uid = userData.user.id;
+app.post("/inventory/cars/:id/deactivate", requireBusinessUser, (req, res) =>
+  updateCar(req, res, { is_active: false }));
+
+app.post("/inventory/import",
+  bodyParser.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  (req, res, next) => {
+    // raw CSV upload: business_id comes from the query string
+    if (typeof req.body === "string") req.body = { csv: req.body };
+    next();
+  },
+  requireBusinessUser,
+  async (req, res) => {
+    const body = req.body || {};
+    const dryRun = String(req.query.dryRun ?? body.dryRun ?? "false").toLowerCase() === "true";
+    const deactivateMissing = String(req.query.deactivateMissing ?? body.deactivateMissing ?? "true").toLowerCase() !== "false";
+
+    let rows;
+    try {
+      rows = parseFeed(body);
+    } catch {
+      return res.status(400).json({ ok: false, error: "invalid_feed", message: "Send csv (string) or units (array)" });
+    }
 
-  // 2. Extract business info from form
-  const { business_id, name, email } = data;
-  if (!business_id || !name || !email) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
+    try {
+      const plan = await planImport(req.businessId, rows, { deactivateMissing });
+      if (dryRun) return res.json({ ok: true, dryRun: true, ...plan });
+
+      const { freed, affectedBookings } = await applyImport(req.businessId, plan);
+      console.log("[inventory] import", { businessId: req.businessId, ...plan.summary });
+      if (freed.length) notifyCapacityFreed(req.businessId);
+
+      return res.json({ ok: true, dryRun: false, ...plan, affectedBookings });
+    } catch (e) {
+      console.error("[inventory] import error", e);
+      return res.status(500).json({ ok: false, error: "Server error" });
+    }
+  });
+
+// GET /appointment-types?business_id=...
+// The business's bookable appointment types (built-ins if it has no catalogue)
+app.get("/appointment-types", dashboardAuth, async (req, res) => {
+  try {
+    const business_id = (req.query.business_id || "").trim();
+    if (!business_id) {
+      return res.status(400).json({ ok: false, error: "Missing business_id" });
+    }
+
+    const [settingsRow, catalogue] = await Promise.all([
+      loadSettings(business_id),
+      loadAppointmentTypes(business_id)
+    ]);
+    const durations = { ...DEFAULT_SETTINGS.appointment_durations, ...(settingsRow?.appointment_durations || {}) };
+    const types = catalogue.length
+      ? catalogue.map(toType)
+      : Object.keys(durations).map(key => resolveType([], durations, key));
 
-  // 3. Insert business row
-  const { error: insertError } = await supabase.from('businesses').insert([
-    {
-      id: uid,
+    return res.json({
+      ok: true,
       business_id,
-      name,
-      email,
-    },
-  ]);
+      source: catalogue.length ? "appointment_types" : "defaults",
+      types: types.map(t => ({
+        key: t.key,
+        name: t.name,
+        durationMin: t.durationMin,
+        bufferBeforeMin: t.bufferBeforeMin,
+        bufferAfterMin: t.bufferAfterMin,
+        capacity: t.capacity ?? settingsRow?.max_overlaps ?? DEFAULT_SETTINGS.max_overlaps,
+        maxPartySize: t.maxPartySize ?? null,
+        resource: t.resource
+      }))
+    });
+  } catch (e) {
+    console.error("[appointment-types] server error", e);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+});
 
-  if (insertError) {
-    return res.status(400).json({ error: insertError.message });
+// ===============================
+// API keys (dashboard, signed-in business owner)
+// ===============================
+// GET  /api-keys                 { business_id }
+// POST /api-keys                 { business_id, name? }           -> apiKey (shown once)
+// POST /api-keys/:id/rotate      { business_id, graceMinutes? }   -> new apiKey; the old one
+//                                  keeps working for graceMinutes (default 0, max 7 days)
+// POST /api-keys/:id/revoke      { business_id }
+function sendApiKeyError(res, e, what) {
+  if (e.code === "api_key_not_found") return res.status(404).json({ ok: false, error: "API key not found" });
+  console.error(`[api-keys] ${what} error`, e);
+  return res.status(500).json({ ok: false, error: "Server error" });
+}
+
+app.get("/api-keys", requireBusinessUser, async (req, res) => {
+  try {
+    return res.json({ ok: true, keys: await listApiKeys(req.businessId) });
+  } catch (e) {
+    return sendApiKeyError(res, e, "list");
+  }
+});
+
+app.post("/api-keys", requireBusinessUser, async (req, res) => {
+  try {
+    const { apiKey, key } = await createApiKey(req.businessId, { name: req.body?.name, createdBy: req.user.id });
+    return res.status(201).json({ ok: true, apiKey, key });
+  } catch (e) {
+    return sendApiKeyError(res, e, "create");
+  }
+});
+
+app.post("/api-keys/:id/rotate", requireBusinessUser, async (req, res) => {
+  const graceMinutes = Number(req.body?.graceMinutes ?? 0);
+  if (!Number.isFinite(graceMinutes) || graceMinutes < 0 || graceMinutes > MAX_GRACE_MIN) {
+    return res.status(400).json({ ok: false, error: "invalid_input", errors: [{ field: "graceMinutes", message: `must be between 0 and ${MAX_GRACE_MIN}` }] });
+  }
+  try {
+    const { apiKey, key, previous } = await rotateApiKey(req.businessId, req.params.id, { graceMinutes, createdBy: req.user.id });
+    return res.status(201).json({ ok: true, apiKey, key, previous });
+  } catch (e) {
+    return sendApiKeyError(res, e, "rotate");
+  }
+});
+
+app.post("/api-keys/:id/revoke", requireBusinessUser, async (req, res) => {
+  try {
+    return res.json({ ok: true, key: await revokeApiKey(req.businessId, req.params.id) });
+  } catch (e) {
+    return sendApiKeyError(res, e, "revoke");
+  }
+});
+
+// ===============================
+// Onboarding (dashboard, signed-in user)
+// ===============================
+// POST /onboard { business_id, name, email, timezone?, calendarId?, blockingCalendarId? }
+// Creates or links the main and blocking calendars, shares them with the
+// business email, seeds settings and appointment types and issues the
+// voice agent's API key (returned once). Safe to call again: finished
+// steps are kept, unfinished ones are retried.
+// GET /onboard/status — which steps are complete
+const ONBOARD_ERRORS = {
+  invalid_business_id: [400, "business_id may only contain lowercase letters, digits, - and _ (3-63 characters)"],
+  calendar_not_accessible: [400, "The service account can't access that calendar"],
+  already_onboarded: [409, "This account already has a business"],
+  business_id_taken: [409, "That business_id is already in use"]
+};
+
+app.post("/onboard", requireUser, async (req, res) => {
+  const { ok, value, errors } = validate(ONBOARD_SCHEMA, req.body);
+  if (!ok) return res.status(400).json({ error: "Missing required fields", errors });
+
+  try {
+    const result = await onboard(googleCalendar(), req.user, value);
+    return res.json({ success: true, uid: req.user.id, ...result });
+  } catch (e) {
+    const known = ONBOARD_ERRORS[e.code];
+    if (known) {
+      return res.status(known[0]).json({ error: known[1], code: e.code, ...(e.business_id ? { business_id: e.business_id } : {}) });
+    }
+    const status = await onboardingStatus(req.user).catch(() => null);
+    // googleapis errors carry the HTTP status as a number
+    if (typeof e.code === "number" || e.response) {
+      console.error("[onboard] calendar_failed", { uid: req.user.id, err: e.message });
+      return res.status(502).json({ error: "Calendar provisioning failed, try again", code: "calendar_failed", steps: status?.steps });
+    }
+    console.error("[onboard] failed", { uid: req.user.id, e });
+    return res.status(500).json({ error: "Onboarding failed, try again", code: "server_error", steps: status?.steps });
   }
+});
 
-  return res.json({ success: true, uid });
+app.get("/onboard/status", requireUser, async (req, res) => {
+  try {
+    return res.json({ ok: true, ...(await onboardingStatus(req.user)) });
+  } catch (e) {
+    console.error("[onboard] status error", e);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
 });
 /// ===============================
 // POST /testdrive
 // ===============================
-// /testdrive — book a test drive without storing officeStart/End in DB
-app.post("/testdrive", async (req, res) => {
-  const data = req.body;
+// /testdrive — book a test drive using the business's settings.
+// hold: true books it tentatively (holds.js) until confirmed or released
+// through /testdrive/holds/:id, or until the hold runs out.
+app.post("/testdrive", agentAuth, (req, res) => testdrive(req.body || {}, res));
+
+// Calendar title of a test drive; holds are marked so they stand out
+const testdriveSummary = (name, model, held = false) =>
+  `${held ? "Hold: " : ""}Test Drive (${name})${model ? ` — ${model}` : ""}`;
+
+// waitlist: false as for book()
+async function testdrive(data, res, { waitlist: autoWaitlist = true } = {}) {
   const startedAt = Date.now();
 
   try {
     const {
       name, email, phone,
-      bookingTime, calendarId, blockingCalendarId,
-      specialNotes, model,
-      trim,               // <— NEW (optional)
+      bookingTime,
+      specialNotes,
       requireExactTrim    // <— NEW (optional boolean)
     } = data;
+    const hold = data.hold === true || data.hold === "true";
+    let { model, trim } = data; // replaced by the canonical names once matched
 
     const businessId = data.business_id;
 
     // ---- validation
-    if (!name || !bookingTime || !calendarId || !businessId) {
-      console.warn("[testdrive] missing_fields", { businessId, name, bookingTime, calendarId });
+    if (!name || !bookingTime || !businessId) {
+      console.warn("[testdrive] missing_fields", { businessId, name, bookingTime });
       return res.status(400).json({ status: "error", message: "missing_fields" });
     }
 
-    // ---- defaults
-    const DEFAULTS = {
-      timezone: "America/Chicago",
-      officeStart: 7.5,
-      officeEnd: 20,
-      testDriveDurationMin: 30,
-      maxOverlaps: 3
-    };
-    const timezone    = data.timezone || DEFAULTS.timezone;
-    const officeStart = data.officeStart ?? DEFAULTS.officeStart;
-    const officeEnd   = data.officeEnd   ?? DEFAULTS.officeEnd;
-    const maxOverlaps = data.maxOverlaps ?? DEFAULTS.maxOverlaps;
-    const DURATION_MIN = DEFAULTS.testDriveDurationMin;
+    // ---- business config (appointment type defaults to the test drive type)
+    const cfg = await getConfig(businessId, data, data.appointmentType || "testdrive");
+    const { timezone, maxOverlaps, calendarId } = cfg;
+    const apptType = cfg.appointmentType;
+    const DURATION_MIN = cfg.durationMin;
+    if (!calendarId) {
+      console.warn("[testdrive] missing_calendar", { businessId });
+      return res.status(400).json({ status: "error", message: "missing_calendar" });
+    }
+    if (apptType.resource === "car_unit" && !model) {
+      console.warn("[testdrive] missing_model", { businessId, type: apptType.key });
+      return res.status(400).json({ status: "error", message: "missing_model" });
+    }
 
-    console.log("[testdrive] start", { businessId, model, trim, requireExactTrim: !!requireExactTrim, bookingTime, timezone });
+    console.log("[testdrive] start", { businessId, model, trim, requireExactTrim: !!requireExactTrim, hold, bookingTime, timezone });
 
     // ---- time handling
     const startLux = DateTime.fromISO(bookingTime, { zone: timezone });
@@ -305,74 +732,59 @@ app.post("/testdrive", async (req, res) => {
     const nowLux = DateTime.now().setZone(timezone);
 
     const diffMinutes = startLux.diff(nowLux, "minutes").minutes;
-    if (diffMinutes < 30) {
+    if (diffMinutes < cfg.minLeadMin) {
       console.info("[testdrive] rejected too_soon", { diffMinutes });
       return res.status(409).json({ status: "rejected", reason: "too_soon" });
     }
 
-    const h0 = startLux.hour + startLux.minute / 60;
-    const h1 = endLux.hour   + endLux.minute / 60;
-    if (h0 < officeStart || h1 > officeEnd) {
-      console.info("[testdrive] rejected outside_office_hours", { h0, h1, officeStart, officeEnd });
-      return res.status(409).json({ status: "rejected", reason: "outside_office_hours" });
-    }
-
-    const start = new Date(startLux.toUTC().toISO());
-    const end   = new Date(endLux.toUTC().toISO());
-
-    // ---- freebusy check
-    const blockingId = blockingCalendarId || calendarId;
-    let fb;
-    try {
-      fb = await calendar.freebusy.query({
-        requestBody: {
-          timeMin: start.toISOString(),
-          timeMax: end.toISOString(),
-          items: [{ id: calendarId }, { id: blockingId }]
-        }
-      }).then(r => r.data);
-    } catch (err) {
-      console.warn("[testdrive] freebusy_failed, proceeding open", { err: err?.message });
-      fb = { calendars: { [calendarId]: { busy: [] }, [blockingId]: { busy: [] } } };
-    }
-
-    const busyBlock = fb.calendars?.[blockingId]?.busy || [];
-    const busyMain  = fb.calendars?.[calendarId]?.busy || [];
-    console.log("[testdrive] freebusy", { blockBusy: busyBlock.length, mainBusy: busyMain.length });
-
-    if (busyBlock.length > 0) {
-      console.info("[testdrive] rejected slot_blocked");
-      return res.status(409).json({ status: "rejected", reason: "slot_blocked" });
-    }
-    if (busyMain.length >= maxOverlaps) {
-      console.info("[testdrive] rejected slot_full");
-      return res.status(409).json({ status: "rejected", reason: "slot_full" });
+    const hoursReason = checkHours(cfg.schedule, startLux, endLux);
+    if (hoursReason) {
+      console.info(`[testdrive] rejected ${hoursReason}`, { start: startLux.toISO(), end: endLux.toISO() });
+      return res.status(409).json({ status: "rejected", reason: hoursReason });
     }
 
-    // ---- verify model is valid for this business
+    // ---- resolve spoken model / trim against this business's inventory
     if (model) {
-      const { data: inv, error: invErr } = await supabase
-        .from("cars")
-        .select("model")
-        .eq("business_id", businessId)
-        .eq("is_active", true);
-
-      if (invErr) {
+      let match;
+      try {
+        match = await matchModel(businessId, model, { trim });
+      } catch (invErr) {
         console.error("[testdrive] inventory_check_failed", invErr);
         return res.status(500).json({ status: "error", message: "inventory_check_failed" });
       }
 
-      const models = [...new Set((inv || []).map(r => r.model))];
-      const exists = models.some(m => m.toLowerCase() === model.toLowerCase());
-
-      if (!exists) {
-        console.info("[testdrive] rejected unknown_model", { requested: model });
+      if (!match.autoAccepted) {
+        console.info("[testdrive] rejected unknown_model", { requested: model, suggestions: match.suggestions });
         return res.status(409).json({
           status: "rejected",
           reason: "unknown_model",
-          suggestions: models.slice(0, 8)
+          suggestions: match.suggestions
+        });
+      }
+      if (match.model.value !== model || (match.trim?.autoAccepted && match.trim.value !== trim)) {
+        console.log("[testdrive] model_matched", {
+          requested: { model, trim }, model: match.model, trim: match.trim || null
         });
       }
+      model = match.model.value;
+      if (match.trim?.autoAccepted) trim = match.trim.value;
+      data = { ...data, model, trim };
+    }
+
+    const start = new Date(startLux.toUTC().toISO());
+    const end   = new Date(endLux.toUTC().toISO());
+    // occupied window including the type's before/after buffers
+    const { start: heldStart, end: heldEnd } = bufferedWindow(cfg, start, end);
+
+    // ---- freebusy check (fails open, as before)
+    const blockingId = cfg.blockingCalendarId;
+    const slotReason = await checkSlot({
+      calendar: cfg.calendar, calendarId, blockingId, start: heldStart, end: heldEnd, maxOverlaps, failOpen: true
+    });
+    if (slotReason) {
+      console.info(`[testdrive] rejected ${slotReason}`);
+      const waitlist = autoWaitlist && await waitlistRejection(cfg, slotReason, waitlistEntry(data, cfg, "testdrive", startLux, endLux));
+      return res.status(409).json({ status: "rejected", reason: slotReason, ...(waitlist ? { waitlist } : {}) });
     }
 
     // ---- pick free unit (now honoring exact-trim if required)
@@ -381,8 +793,8 @@ app.post("/testdrive", async (req, res) => {
       const { data: rpcData, error: rpcErr } = await supabase.rpc("pick_free_car", {
         p_business_id: businessId,
         p_model: model,
-        p_start: start.toISOString(),
-        p_end:   end.toISOString(),
+        p_start: heldStart.toISOString(),
+        p_end:   heldEnd.toISOString(),
         p_trim:  trim || null,
         p_require_exact_trim: !!requireExactTrim
       });
@@ -401,7 +813,8 @@ app.post("/testdrive", async (req, res) => {
           });
         }
         console.info("[testdrive] rejected no_unit_available", { model });
-        return res.status(409).json({ status: "rejected", reason: "no_unit_available" });
+        const waitlist = autoWaitlist && await waitlistRejection(cfg, "no_unit_available", waitlistEntry(data, cfg, "testdrive", startLux, endLux));
+        return res.status(409).json({ status: "rejected", reason: "no_unit_available", ...(waitlist ? { waitlist } : {}) });
       }
       chosenCarId = rpcData;
       console.log("[testdrive] pick_free_car success", { chosenCarId });
@@ -409,19 +822,35 @@ app.post("/testdrive", async (req, res) => {
       console.log("[testdrive] no model provided");
     }
 
-    // ---- idempotent insert
-    const idem = [businessId, "testdrive", start.toISOString(), (name || "").trim().toLowerCase()].join("|");
+    // ---- salesperson free at that time who handles the unit's make
+    const customer = await customerFor(cfg, data);
+    const assigned = await staffFor(cfg, data, { start, end, heldStart, heldEnd }, {
+      brand: data.brand || await makeOf(businessId, chosenCarId), customer, failOpen: true
+    });
+    if (assigned.reason) {
+      console.info(`[testdrive] rejected ${assigned.reason}`);
+      return res.status(409).json({ status: "rejected", reason: assigned.reason });
+    }
+    const { staff } = assigned;
+    if (staff) console.log("[testdrive] staff assigned", { staffId: staff.id });
+
+    // ---- idempotent insert (same customer + same time = same booking)
+    const idem = [businessId, "testdrive", start.toISOString(), callerKey({ customer_id: customer?.id, name })].join("|");
+    const holdExpiresAt = hold ? holdExpiry(cfg, start) : null;
 
     const insertPayload = {
+      id: crypto.randomUUID(),
       idem_key: idem,
       business_id: businessId,
+      customer_id: customer?.id || null,
       name,
-      email: email?.trim()?.toLowerCase() || null,
-      phone: phone || null,
+      email: normalizeEmail(email) || email?.trim()?.toLowerCase() || null,
+      phone: normalizePhone(phone, cfg.phoneCountryCode) || phone || null,
       model: model || null,
       preferred_trim: trim || null,                 // <— NEW (persist caller intent)
       require_exact_trim: !!requireExactTrim,       // <— NEW
       car_unit_id: chosenCarId || null,
+      staff_id: staff?.id || null,
       calendar_id: calendarId,
       blocking_calendar_id: blockingId,
       timezone,
@@ -429,71 +858,107 @@ app.post("/testdrive", async (req, res) => {
       starts_at: start.toISOString(),
       ends_at: end.toISOString(),
       call_type: "testdrive",
+      appointment_type: apptType.key,
       status: "booked",
+      status_changed_at: new Date().toISOString(),
       source: "agent",
       special_notes: specialNotes || null,
+      hold_state: hold ? "held" : null,
+      hold_expires_at: holdExpiresAt ? holdExpiresAt.toISOString() : null,
       gcal_event_id: null
     };
 
-    const ins = await supabase
-      .from("appointments")
-      .upsert([insertPayload], { onConflict: "idem_key" })
-      .select("id, car_unit_id, starts_at, ends_at")
-      .single();
-
-    if (ins.error) {
-      if (ins.error.code === "23P01") {
-        console.info("[testdrive] rejected overlap (exclusion)");
-        return res.status(409).json({ status: "rejected", reason: "overlap" });
-      }
-      console.error("[testdrive] db_upsert_failed", ins.error);
-      return res.status(500).json({ status: "error", message: "db_upsert_failed" });
-    }
-
-    const apptId = ins.data.id;
-    console.log("[testdrive] db insert success", { apptId });
-
-    // ---- GCal insert
+    // ---- calendar event, written through the outbox
+    const details = [
+      `Email: ${email || "N/A"}`,
+      `Phone: ${phone || "N/A"}`,
+      model ? `Model: ${model}` : null,
+      trim ? `Requested Trim: ${trim}${requireExactTrim ? " (required)" : ""}` : null, // <— NEW
+      chosenCarId ? `Unit: ${chosenCarId}` : null,
+      staffLine(staff),
+      specialNotes ? `Notes: ${specialNotes}` : null
+    ].filter(Boolean);
     const event = {
-      summary: `Test Drive (${name})${model ? ` — ${model}` : ""}`,
-      description: [
-        `Email: ${email || "N/A"}`,
-        `Phone: ${phone || "N/A"}`,
-        model ? `Model: ${model}` : null,
-        trim ? `Requested Trim: ${trim}${requireExactTrim ? " (required)" : ""}` : null, // <— NEW
-        chosenCarId ? `Unit: ${chosenCarId}` : null,
-        specialNotes ? `Notes: ${specialNotes}` : null
-      ].filter(Boolean).join("\n"),
-      start: { dateTime: start.toISOString() },
-      end:   { dateTime: end.toISOString() }
+      summary: testdriveSummary(name, model, hold),
+      description: [...details, ...(hold ? [`Held until: ${toLocalISOString(holdExpiresAt, timezone)}`] : [])].join("\n"),
+      start: start.toISOString(),
+      end:   end.toISOString(),
+      ...(hold ? { status: "tentative" } : {}),
+      ...(staff?.email ? { attendees: staffInvite(staff) } : {})
     };
-
-    let gcalId = null;
+    // what the event becomes if the hold is confirmed before it is written
+    const confirmedEvent = hold
+      ? { status: "confirmed", summary: testdriveSummary(name, model), description: details.join("\n") }
+      : undefined;
+    // a hold gets its manage link and confirmation once it is confirmed
+    let manage = hold ? {} : manageLink(businessId, "testdrive", insertPayload.id, end);
+
+    let booking;
     try {
-      const insertedEvent = await calendar.events.insert({ calendarId, requestBody: event });
-      gcalId = insertedEvent?.data?.id || null;
-      console.log("[testdrive] gcal_insert success", { gcalId });
-    } catch (calErr) {
-      console.error("[testdrive] gcal_insert_failed, rolling back", { err: calErr?.message });
-      await supabase.from("appointments").delete().eq("id", apptId);
-      return res.status(502).json({ status: "error", message: "calendar_insert_failed" });
+      booking = await bookAppointment(insertPayload, {
+        calendarId,
+        event,
+        confirmedEvent,
+        confirmation: hold ? undefined : {
+          business_id: businessId, ref: insertPayload.id, name, email, phone, model,
+          start: start.toISOString(), typeName: apptType.name, manageUrl: manage.manageUrl
+        }
+      });
+    } catch (insErr) {
+      if (insErr.code === "23P01") {
+        const reason = isStaffClash(insErr) ? "staff_unavailable" : "overlap";
+        console.info(`[testdrive] rejected ${reason} (exclusion)`);
+        return res.status(409).json({ status: "rejected", reason });
+      }
+      console.error("[testdrive] db_upsert_failed", insErr);
+      return res.status(500).json({ status: "error", message: "db_upsert_failed" });
     }
 
-    if (gcalId) {
-      await supabase.from("appointments").update({ gcal_event_id: gcalId }).eq("id", apptId);
+    const apptId = booking.id;
+    let gcalId = null;
+    let bookedStaff = staff;
+    let heldUntil = holdExpiresAt;
+    let calendarSync;
+    if (!booking.created) {
+      // Same caller, same time: the earlier booking (or hold) stands
+      const { data: existing } = await supabase.from("appointments").select("gcal_event_id, hold_state, hold_expires_at, staff:staff_id (id, name)").eq("id", apptId).maybeSingle();
+      gcalId = existing?.gcal_event_id || null;
+      bookedStaff = existing?.staff || null;
+      heldUntil = existing?.hold_state === "held" ? new Date(existing.hold_expires_at) : null;
+      manage = heldUntil ? {} : manageLink(businessId, "testdrive", apptId, end);
+      console.log("[testdrive] duplicate request, existing booking", { apptId });
+    } else {
+      console.log("[testdrive] db insert success", { apptId });
+      const run = await runNow(booking.jobKey);
+      if (run.status === "dead") {
+        console.error("[testdrive] gcal_insert_failed, cancelling booking", { apptId, err: run.error?.message });
+        await abandonBooking(apptId, { calendarId, jobKey: booking.jobKey });
+        return res.status(502).json({ status: "error", message: "calendar_insert_failed" });
+      }
+      // a transient failure stays booked; the outbox timer retries the event
+      calendarSync = run.status === "done" ? "synced" : "pending";
+      gcalId = run.result?.eventId || null;
+      if (calendarSync === "pending") console.warn("[testdrive] gcal_insert_failed, will retry", { apptId, err: run.error?.message });
+      else console.log("[testdrive] gcal_insert success", { gcalId });
+      if (staff) await markAssigned(staff);
     }
 
-    console.log("[testdrive] success", { apptId, gcalId, took: `${Date.now() - startedAt}ms` });
+    console.log("[testdrive] success", { apptId, gcalId, held: !!heldUntil, took: `${Date.now() - startedAt}ms` });
 
     return res.status(201).json({
       status: "success",
       results: {
-        status: "booked",
+        status: heldUntil ? "held" : "booked",
         data: {
           appointmentId: apptId,
           eventId: gcalId,
           start: toLocalISOString(start, timezone),
-          end:   toLocalISOString(end, timezone)
+          end:   toLocalISOString(end, timezone),
+          ...(model ? { model, trim: trim || null } : {}),
+          ...(heldUntil ? { holdExpiresAt: toLocalISOString(heldUntil, timezone) } : {}),
+          ...(calendarSync === "pending" ? { calendarSync } : {}),
+          ...staffJson(bookedStaff, booking.created && assigned.preferredMissed),
+          ...manage
         }
       }
     });
@@ -503,358 +968,2183 @@ app.post("/testdrive", async (req, res) => {
       console.info("[testdrive] rejected overlap (catch)");
       return res.status(409).json({ status: "rejected", reason: "overlap" });
     }
+    if (sendConfigError(res, e)) return;
     console.error("[testdrive] unexpected error", e);
     return res.status(500).json({ status: "error", message: "server_error" });
   }
-});
-
-
-
-// Format UTC date to ISO string with local offset
-function toLocalISOString(date) {
-  const offsetMinutes = date.getTimezoneOffset();
-  const localMs = date.getTime() - offsetMinutes*60000;
-  const baseIso = new Date(localMs).toISOString().slice(0, -1);
-  const sign = offsetMinutes > 0 ? '-' : '+';
-  const abs  = Math.abs(offsetMinutes);
-  const h    = String(Math.floor(abs/60)).padStart(2, '0');
-  const m    = String(abs % 60).padStart(2, '0');
-  return `${baseIso}${sign}${h}:${m}`;
 }
 
-// BOOK APPOINTMENT
-async function book(data, res) {
-  console.log("got inside book");
-  
-  const { name, email, phone, bookingTime, calendarId, blockingCalendarId, appointmentType, specialNotes } = data;
-  const businessId = data.business_id;
-  
-  
-  if (!name || !bookingTime || !calendarId) {
-    return res.json({ status:'error', message:'Missing name, calendarId or bookingTime' });
-  }
-
-  const timezone    = data.timezone || DEFAULTS.timezone;
-  console.log("timezone:", timezone);
-  const officeStart = data.officeStart ?? DEFAULTS.officeStart;
-  const officeEnd   = data.officeEnd ?? DEFAULTS.officeEnd;
-  let durationMin = parseInt(data.durationMin) || DEFAULTS.durationMin;
-  if (!durationMin || durationMin <= 0 || data.durationMin === "<duration>") {
-    durationMin = DEFAULTS.durationMin;
-  }
-  console.log("duration", durationMin) 
-  const maxOverlaps = (data.maxOverlaps || DEFAULTS.maxOverlaps);
-  
-  const blockingId = blockingCalendarId || calendarId;
 
-  const startLux = DateTime.fromISO(bookingTime, { zone: timezone });
-  const endLux   = startLux.plus({ minutes: durationMin });
-  const now = DateTime.now().setZone(timezone);
-  const diffMinutes = startLux.diff(now, 'minutes').minutes;
-  console.log("extracted inputs", name, email, phone, bookingTime, calendarId, blockingCalendarId, appointmentType, specialNotes, durationMin, startLux, endLux);
-  if (diffMinutes < 30) {
-    await supabase.from('stats').insert([{
-      business_id: data.business_id,
-      call_type: 'rejected',
-      phone: data.phone,
-      metadata: {
-        name: data.name,
-        email: data.email,
-        reason: "too_soon"
-      }
-    }]);
-    return res.json({ status: 'rejected', reason: 'too_soon' });
-  }
-  const h0 = startLux.hour, h1 = endLux.hour, m1 = endLux.minute;
 
-  if (h0 < officeStart || h1 > officeEnd || (h1 === officeEnd && m1 > 0)) {
-    await supabase.from('stats').insert([{
-      business_id: businessId,
-      call_type: 'rejected',
-      phone: data.phone,
-      metadata: {
-        name: data.name,
-        email: data.email,
-        reason: "outside_office_hours"
-      }
-    }]);
+// ===============================
+// POST /testdrive/reschedule
+// ===============================
+// Moves a booked test drive to a new time (see moveAppointment): the row
+// is closed as 'rescheduled' and a successor booked, keeping car_unit_id
+// when that unit is still free, and the calendar event is patched.
+const TESTDRIVE_RESCHEDULE_SCHEMA = {
+  fields: {
+    business_id:        { type: "string", required: true },
+    name:               { type: "string", required: true },
+    email:              { type: "email" },
+    phone:              { type: "phone" },
+    newBookingTime:     { type: "datetime", required: true },
+    currentBookingTime: { type: "datetime" },
+    timezone:           { type: "timezone" },
+    officeStart:        { type: "number", min: 0, max: 24 },
+    officeEnd:          { type: "number", min: 0, max: 24 },
+    maxOverlaps:        { type: "integer", min: 1 }
+  },
+  anyOf: [["email", "phone"]]
+};
 
-    return res.json({ status: 'rejected', reason: 'outside_office_hours' });
+app.post("/testdrive/reschedule", agentAuth, async (req, res) => {
+  const { ok, value: data, errors } = validate(TESTDRIVE_RESCHEDULE_SCHEMA, req.body);
+  if (!ok) {
+    console.warn("[testdrive:reschedule] invalid_input", { errors });
+    return res.status(400).json({ status: "error", message: "invalid_input", errors });
   }
 
-  const start = new Date(startLux.toUTC().toISO());
-  const end   = new Date(endLux.toUTC().toISO());
+  try {
+    const businessId = data.business_id;
 
-  const fb = await calendar.freebusy.query({
-    requestBody: {
-      timeMin: start.toISOString(),
-      timeMax: end.toISOString(),
-      items: [
-        { id: calendarId },
-        { id: blockingId }
-      ]
+    // ---- locate the booking (same name + email/phone rule as cancel)
+    const matches = await findBookingMatches(data, "testdrive");
+    if (!matches) {
+      return res.status(500).json({ status: "error", message: "lookup_failed" });
     }
-  });
-  console.log("freebusy query complete");
 
-  const busyBlock = fb.data.calendars[blockingId]?.busy || [];
-  if (busyBlock.length > 0) {
-    await supabase.from('stats').insert([{
-      business_id: businessId,
-      call_type: 'rejected',
-      phone: data.phone,
-      metadata: {
-        name: data.name,
-        email: data.email,
-        reason: "slot_blocked"
+    const cfg0 = await getConfig(businessId, data, "testdrive");
+
+    const now = DateTime.now();
+    const movable = matches.filter(r => DateTime.fromISO(r.starts_at).diff(now, "minutes").minutes >= cfg0.cancelCutoffMin);
+    const appt = data.currentBookingTime
+      ? movable.find(r => +DateTime.fromISO(r.starts_at) === +DateTime.fromISO(data.currentBookingTime))
+      : movable[0];
+
+    if (!appt) {
+      if (matches.length > 0 && movable.length === 0) {
+        return res.status(409).json({ status: "rejected", reason: "too_close_to_reschedule" });
       }
-    }]);
-    return res.json({ status:'rejected', reason:'slot_blocked' });
-  }
-  console.log("after block check");
-  const busyMain = fb.data.calendars[calendarId]?.busy || [];
-  if (busyMain.length >= maxOverlaps) {
-    if (busyBlock.length > 0) {
-      await supabase.from('stats').insert([{
-        business_id: businessId,
-        call_type: 'rejected',
-        phone: data.phone,
-        metadata: {
-          name: data.name,
-          email: data.email,
-          reason: "slot_full"
-        }
-      }]);
-      return res.json({ status:'rejected', reason:'slot_full' });
+      return res.status(404).json({ status: "not_found", message: "No matching test drive" });
     }
+
+    return await moveAppointment(cfg0, appt, data, res);
+
+  } catch (e) {
+    if (sendConfigError(res, e)) return;
+    console.error("[testdrive:reschedule] unexpected error", e);
+    return res.status(500).json({ status: "error", message: "server_error" });
   }
-  console.log("after calendar chack");
+});
 
-  const event = {
-    summary: `Appointment with (${name})`,
-    description: `Email: ${email || 'N/A'}\nPhone: ${phone || 'N/A'}${specialNotes ? `\nNotes: ${specialNotes}` : ''}`,
-    start:       { dateTime: start.toISOString() },
-    end:         { dateTime: end.toISOString() },
-    location:    `Phone: ${phone || ''}`
-  };
-  console.log("event created");
-  const inserted = await calendar.events.insert({
-    calendarId,
-    resource: event
-  });
-  console.log("moving onto booking");
+// ===============================
+// POST /testdrive/holds/:id/confirm   { business_id }
+// POST /testdrive/holds/:id/release   { business_id }
+// ===============================
+// :id is the appointmentId /testdrive returned with status "held".
+// Confirming makes the event a normal one and sends the confirmation;
+// releasing cancels the hold and frees the unit. Repeating either is a
+// no-op; a hold that ran out can't be confirmed (hold_expired).
+const HOLD_REJECTIONS = ["hold_expired", "hold_released", "hold_confirmed"];
+
+function sendHoldError(res, e, tag) {
+  if (e.code === "hold_not_found" || e.code === "22P02") {
+    return res.status(404).json({ status: "not_found", message: "No matching hold" });
+  }
+  if (HOLD_REJECTIONS.includes(e.code)) {
+    console.info(`${tag} rejected ${e.code}`);
+    return res.status(409).json({ status: "rejected", reason: e.code });
+  }
+  if (sendConfigError(res, e)) return;
+  console.error(`${tag} unexpected error`, e);
+  return res.status(500).json({ status: "error", message: "server_error" });
+}
+
+app.post("/testdrive/holds/:id/confirm", agentAuth, async (req, res) => {
+  const businessId = req.businessId;
+  try {
+    const { appt, confirmed } = await confirmHold(businessId, req.params.id);
+    const cfg = await getConfig(businessId, {}, appt.appointment_type || "testdrive");
+    const timezone = appt.timezone || cfg.timezone;
+    const manage = manageLink(businessId, "testdrive", appt.id, appt.ends_at);
+
+    if (confirmed) {
+      if (appt.gcal_event_id) {
+        try {
+          const current = await cfg.calendar.get(appt.calendar_id, appt.gcal_event_id);
+          await cfg.calendar.patch(appt.calendar_id, appt.gcal_event_id, {
+            status: "confirmed",
+            summary: testdriveSummary(appt.name, appt.model),
+            description: (current.description || "").split("\n").filter(l => !l.startsWith("Held until: ")).join("\n")
+          });
+        } catch (calErr) {
+          // The booking stands either way; its event just still reads as a hold
+          console.error("[testdrive:hold] gcal_patch_failed", { apptId: appt.id, err: calErr?.message });
+        }
+      }
+      // otherwise the calendar_insert job writes the confirmed event (outbox.js)
+      notify("confirmation", {
+        business_id: businessId, ref: appt.id, name: appt.name, email: appt.email, phone: appt.phone,
+        model: appt.model, start: appt.starts_at, typeName: cfg.appointmentType.name, manageUrl: manage.manageUrl
+      });
+    }
+
+    return res.json({
+      status: "success",
+      results: {
+        status: "booked",
+        data: {
+          appointmentId: appt.id,
+          eventId: appt.gcal_event_id,
+          start: toLocalISOString(new Date(appt.starts_at), timezone),
+          end:   toLocalISOString(new Date(appt.ends_at), timezone),
+          ...(appt.model ? { model: appt.model, trim: appt.preferred_trim || null } : {}),
+          carUnitId: appt.car_unit_id,
+          ...manage
+        }
+      }
+    });
+  } catch (e) {
+    return sendHoldError(res, e, "[testdrive:hold]");
+  }
+});
+
+app.post("/testdrive/holds/:id/release", agentAuth, async (req, res) => {
+  try {
+    const { appt } = await releaseHold(req.businessId, req.params.id);
+    return res.json({
+      status: "success",
+      results: { status: appt.hold_state, data: { appointmentId: appt.id } }
+    });
+  } catch (e) {
+    return sendHoldError(res, e, "[testdrive:hold]");
+  }
+});
+
+// Format UTC date to ISO string in the business timezone
+function toLocalISOString(date, timezone) {
+  return DateTime.fromJSDate(date).setZone(timezone || DEFAULT_SETTINGS.timezone).toISO({ suppressMilliseconds: true });
+}
+
+// Record a rejected call in stats so /stats can count it
+async function logRejection(data, reason, customer = null) {
   await supabase.from('stats').insert([{
-    business_id: businessId,
-    call_type: 'booking',
+    business_id: data.business_id,
+    call_type: 'rejected',
     phone: data.phone,
-    appointment_id: inserted.data.id,
+    customer_id: customer?.id || null,
     metadata: {
       name: data.name,
       email: data.email,
-      phone: data.phone,
-      timezone: timezone,
-      start: start.toISOString(),
-      end: end.toISOString(),
-      appointment_type: appointmentType || "default"
-    } 
+      reason
+    }
   }]);
-  console.log("finished stats insert");
+}
 
-  return res.json({
-    status: 'success',
-    results: {
-      status: 'booked',
-      data: {
-        eventId: inserted.data.id,
-        start: toLocalISOString(start),
-        end:   toLocalISOString(end)
-      }
-    }
-  });
+// Customer record for the caller (customers.js). Best effort: a booking
+// doesn't fail because the caller couldn't be linked.
+async function customerFor(cfg, { name, email, phone }) {
+  try {
+    return await resolveCustomer(cfg.businessId, { name, email, phone }, { countryCode: cfg.phoneCountryCode });
+  } catch (e) {
+    console.warn("[customers] resolve_failed", { businessId: cfg.businessId, err: e.message });
+    return null;
+  }
+}
+
+// Config errors thrown by getConfig() -> envelope. Returns true if handled.
+function sendConfigError(res, e) {
+  if (e && e.code === "settings_unavailable") {
+    res.status(503).json({ status: "error", message: "settings_unavailable" });
+    return true;
+  }
+  if (e && e.code === "calendar_misconfigured") {
+    res.status(503).json({ status: "error", message: "calendar_misconfigured" });
+    return true;
+  }
+  if (e && e.code === "unknown_appointment_type") {
+    res.status(400).json({ status: "error", message: "unknown_appointment_type", types: e.types });
+    return true;
+  }
+  return false;
+}
+
+// Config for an existing booking's type; labels no longer in the
+// catalogue fall back to `fallbackCfg` so old bookings stay movable.
+async function configForBookedType(businessId, data, typeKey, fallbackCfg) {
+  try {
+    return await getConfig(businessId, data, typeKey);
+  } catch (e) {
+    if (e.code === "unknown_appointment_type") return fallbackCfg;
+    throw e;
+  }
+}
+
+// Waitlist entry for a rejected booking. The desired window defaults to
+// the rest of the requested day unless the agent sent windowStart/windowEnd.
+function waitlistEntry(data, cfg, kind, startLux, endLux) {
+  return {
+    business_id: data.business_id,
+    kind,
+    appointmentType: cfg.appointmentType.key,
+    name: data.name,
+    email: data.email,
+    phone: normalizePhone(data.phone, cfg.phoneCountryCode) || data.phone,
+    model: data.model,
+    trim: data.trim,
+    requireExactTrim: data.requireExactTrim,
+    calendarId: cfg.calendarId,
+    blockingCalendarId: cfg.blockingCalendarId,
+    windowStart: data.windowStart || startLux.startOf('day').toUTC().toISO(),
+    windowEnd: data.windowEnd || DateTime.max(endLux, startLux.endOf('day')).toUTC().toISO()
+  };
+}
+
+// Stand-in for `res` so a handler's reply can be inspected before sending
+function captureResponse() {
+  const out = { code: 200, body: null };
+  const res = {
+    status(code) { out.code = code; return res; },
+    json(body) { out.body = body; return res; }
+  };
+  return { res, out };
 }
 
+// Appointment window widened by the type's before/after buffers
+function bufferedWindow(cfg, start, end) {
+  return {
+    start: new Date(start.getTime() - (cfg.bufferBeforeMin || 0) * 60000),
+    end:   new Date(end.getTime() + (cfg.bufferAfterMin || 0) * 60000)
+  };
+}
+
+// Self-service token + link for a booking response ({} when tokens are off)
+function manageLink(businessId, kind, ref, end) {
+  const manageToken = issueToken({ business_id: businessId, kind, ref, end: new Date(end).toISOString() });
+  if (!manageToken) return {};
+  return { manageToken, manageUrl: manageUrl(manageToken) };
+}
 
+// Check a window against the blocking calendar and the main calendar's
+// overlap limit. Returns null when bookable, else the rejection reason.
+// `ignore` ({ eventId, start, end }) excludes an event being moved so a
+// reschedule doesn't collide with itself.
+async function checkSlot({ calendar, calendarId, blockingId, start, end, maxOverlaps, ignore = null, failOpen = false }) {
+  let fb;
+  try {
+    fb = await calendar.freebusy({ calendarIds: [calendarId, blockingId], timeMin: start, timeMax: end });
+  } catch (err) {
+    if (!failOpen) throw err;
+    console.warn("[checkSlot] freebusy_failed, proceeding open", { err: err?.message });
+    return null;
+  }
 
+  let busyBlock = fb[blockingId] || [];
+  let busyMain  = fb[calendarId] || [];
 
-// Modified CANCEL function using Supabase to identify the appointment
-async function cancel(data, res) {
-  const { name, email, phone, calendarId, business_id } = data;
+  // Freebusy can't tell us which event is busy, so when the event being
+  // moved overlaps the new window, count the real events without it.
+  if (ignore && ignore.eventId && new Date(ignore.start) < end && new Date(ignore.end) > start) {
+    const list = await calendar.list(calendarId, { timeMin: start, timeMax: end });
+    const others = list.filter(e => e.id !== ignore.eventId && e.status !== 'cancelled' && !e.transparent);
+    busyMain = others;
+    if (blockingId === calendarId) busyBlock = others;
+  }
 
-  if (!name || (!email && !phone) || !calendarId || !business_id) {
-    return res.json({ status: 'error', message: 'Missing required fields' });
+  if (busyBlock.length > 0) return 'slot_blocked';
+  if (busyMain.length >= maxOverlaps) return 'slot_full';
+  return null;
+}
+
+// Who takes a new booking: { staff } (null when unassigned) or { reason }
+// when nobody can. `preferredMissed` says the person asked for wasn't
+// free (or isn't eligible).
+async function staffFor(cfg, data, window, { brand = null, customer = null, failOpen = false } = {}) {
+  const members = await staffingFor(cfg, { brand });
+  if (!members) return { staff: null };
+  if (!members.length) return { reason: 'no_eligible_staff' };
+
+  const preferred = findStaff(members, data.preferredStaff);
+  const staff = await assignStaff(cfg, members, window, { preferred, customerId: customer?.id, failOpen });
+  if (!staff) return { reason: 'staff_unavailable' };
+  return { staff, preferredMissed: !!data.preferredStaff && staff !== preferred };
+}
+
+// Event fields for the assigned person; they're invited when they have an email
+const staffLine = (staff) => staff ? `Staff: ${staff.name}` : null;
+const staffInvite = (staff) => staff?.email ? [{ email: staff.email, name: staff.name }] : [];
+const guestInvites = (attendees) =>
+  (attendees || []).filter(a => a.email).map(a => ({ email: a.email, ...(a.name ? { name: a.name } : {}) }));
+
+// Response fields for the assigned person
+const staffJson = (staff, preferredMissed = false) => staff
+  ? { staff: { staffId: staff.id, name: staff.name }, ...(preferredMissed ? { preferredStaffUnavailable: true } : {}) }
+  : {};
+
+// An exclusion violation from the one-booking-per-person rule (as
+// opposed to the car unit one)
+const isStaffClash = (err) => err?.code === '23P01' && /appointments_staff_no_overlap/.test(err.message || '');
+
+// Does a stored booking belong to this caller? name + (email, phone or
+// customer). Phones compare in E.164, so "604-555-0100" finds "+16045550100".
+function matchesCaller(record, { name, email, phone, customerId }, countryCode) {
+  const nameMatch = (record.name || '').trim().toLowerCase() === (name || '').trim().toLowerCase();
+
+  const emailMatch = email && record.email
+    ? record.email.toLowerCase() === email.toLowerCase()
+    : false;
+
+  const samePhone = (a, b) => {
+    const na = normalizePhone(a, countryCode);
+    return na ? na === normalizePhone(b, countryCode) : String(a) === String(b);
+  };
+  const phoneMatch = phone && record.phone ? samePhone(record.phone, phone) : false;
+
+  // a merged customer's other contacts count too
+  const customerMatch = !!customerId && record.customer_id === customerId;
+
+  return nameMatch && (emailMatch || phoneMatch || customerMatch);
+}
+
+// Quoted value for a PostgREST or() filter
+const orValue = (v) => `"${String(v).replace(/["\\]/g, '')}"`;
+
+// Upcoming booked appointments of one kind for this caller, soonest first.
+// The query narrows to the caller's contacts (or customer); the name is
+// checked by matchesCaller. null on a lookup error.
+async function findBookingMatches({ business_id, name, email, phone }, callType = 'booking') {
+  const countryCode = (await loadSettings(business_id))?.phone_country_code || DEFAULT_SETTINGS.phone_country_code;
+  let customer = null;
+  try {
+    customer = await findCustomer(business_id, { email, phone }, { countryCode });
+  } catch (e) {
+    console.warn("[findBookingMatches] customer lookup failed", { business_id, err: e.message });
   }
 
-  const nowISO = DateTime.now().toISO();
+  const ors = [];
+  if (customer) ors.push(`customer_id.eq.${customer.id}`);
+  // contacts are stored normalized, older rows as given
+  const anyOf = (column, values) => {
+    const vs = [...new Set(values.filter(Boolean))];
+    if (vs.length) ors.push(`${column}.in.(${vs.map(orValue).join(',')})`);
+  };
+  if (email) anyOf('email', [normalizeEmail(email) || email.trim().toLowerCase(), email.trim()]);
+  if (phone) anyOf('phone', [normalizePhone(phone, countryCode), String(phone).trim()]);
+  if (!ors.length) return [];
 
-  const { data: matchingStats, error } = await supabase
-    .from('stats')
-    .select('appointment_id, metadata')
+  const { data: rows, error } = await supabase
+    .from('appointments')
+    .select('*')
     .eq('business_id', business_id)
-    .eq('call_type', 'booking')
-    .gte('metadata->>start', nowISO)
-    .order('metadata->>start', { ascending: true })
-    .limit(10);
+    .eq('call_type', callType)
+    .eq('status', 'booked')
+    .gte('starts_at', new Date().toISOString())
+    .or(ors.join(','))
+    .order('starts_at', { ascending: true });
 
-  if (error || !matchingStats || matchingStats.length === 0) {
-    return res.json({ status: 'not_found', message: 'No recent appointments found' });
+  if (error) {
+    console.error("[findBookingMatches] supabase error", error);
+    return null;
   }
+  return (rows || []).filter(r => matchesCaller(r, { name, email, phone, customerId: customer?.id }, countryCode));
+}
 
-  // Find all entries that match name + (email or phone)
-  const possibleMatches = matchingStats.filter(entry => {
-    const meta = entry.metadata || {};
-    const nameMatch = (meta.name || '').toLowerCase() === name.toLowerCase();
+// BOOK APPOINTMENT
+// Same model as /testdrive: an appointments row (idempotent on idem_key)
+// and its calendar job in one transaction (outbox.js); the booking is
+// cancelled and marked failed if the event can't be created.
+//
+// partySize / attendees put several people in one booking, which still
+// takes a single slot against maxOverlaps; recurrence (an RRULE, see
+// recurrence.js) books a series of them (bookSeries). Businesses that
+// assign staff get a free, eligible person on the booking (staffFor).
+// waitlist: false skips putting a rejected caller on the waitlist (the
+// caller is accepting a waitlist offer and already has an entry).
+async function book(data, res, { waitlist: autoWaitlist = true } = {}) {
+  const { name, email, phone, bookingTime, appointmentType } = data;
+  const businessId = data.business_id;
 
-    const emailMatch = email && meta.email
-      ? meta.email.toLowerCase() === email.toLowerCase()
-      : false;
+  const cfg = await getConfig(businessId, data, appointmentType);
+  const { timezone, durationMin, maxOverlaps, calendarId } = cfg;
+  const blockingId = cfg.blockingCalendarId;
+  if (!calendarId) {
+    return res.status(400).json({ status: 'error', message: 'missing_calendar' });
+  }
+  // Car units are allocated by /testdrive, which knows the model and trim
+  if (cfg.appointmentType.resource) {
+    return res.status(400).json({ status: 'error', message: 'resource_requires_testdrive' });
+  }
 
-    const phoneMatch = phone && meta.phone
-      ? String(meta.phone) === String(phone)
-      : false;
+  const party = partyOf(data, cfg.phoneCountryCode);
+  if (party.errors) {
+    console.warn("[book] invalid_input", { errors: party.errors });
+    return res.status(400).json({ status: 'error', message: 'invalid_input', errors: party.errors });
+  }
 
-    return nameMatch && (emailMatch || phoneMatch);
-  });
+  const startLux = DateTime.fromISO(bookingTime, { zone: timezone });
+  const endLux   = startLux.plus({ minutes: durationMin });
+  const now = DateTime.now().setZone(timezone);
+  const diffMinutes = startLux.diff(now, 'minutes').minutes;
+  console.log("[book] start", { businessId, bookingTime, timezone, durationMin, appointmentType, partySize: party.size, recurrence: data.recurrence || null });
 
-  if (possibleMatches.length === 0) {
-    return res.json({ status: 'not_found', message: 'No matching appointment' });
+  // Rejected calls are logged against the customer too
+  const customer = await customerFor(cfg, data);
+
+  const maxPartySize = cfg.appointmentType.maxPartySize;
+  if (maxPartySize && party.size > maxPartySize) {
+    await logRejection(data, "party_too_large", customer);
+    return res.status(409).json({ status: 'rejected', reason: 'party_too_large', maxPartySize });
   }
 
-  // Find the first one that’s still deletable
-  for (const match of possibleMatches) {
-    try {
-      const startTimeISO = match.metadata?.start || null;
-      if (startTimeISO) {
-        const eventStart = DateTime.fromISO(startTimeISO);
-        const now = DateTime.now();
-        const minutesAway = eventStart.diff(now, 'minutes').minutes;
-
-        if (minutesAway < 60) {
-          continue; // Too close to cancel
-        }
-      }
+  if (data.recurrence) return bookSeries(cfg, data, { customer, party, startLux }, res);
 
-      // Attempt to delete from calendar
-      await calendar.events.delete({
-        calendarId,
-        eventId: match.appointment_id
-      });
+  if (diffMinutes < cfg.minLeadMin) {
+    await logRejection(data, "too_soon", customer);
+    return res.status(409).json({ status: 'rejected', reason: 'too_soon' });
+  }
+  const hoursReason = checkHours(cfg.schedule, startLux, endLux);
+  if (hoursReason) {
+    await logRejection(data, hoursReason, customer);
+    return res.status(409).json({ status: 'rejected', reason: hoursReason });
+  }
 
-      // Delete from Supabase
-      await supabase
-        .from('stats')
-        .delete()
-        .eq('appointment_id', match.appointment_id);
+  const held = bufferedWindow(cfg, startLux.toJSDate(), endLux.toJSDate());
+  const slotReason = await checkSlot({ calendar: cfg.calendar, calendarId, blockingId, start: held.start, end: held.end, maxOverlaps });
+  if (slotReason) {
+    await logRejection(data, slotReason, customer);
+    const waitlist = autoWaitlist && await waitlistRejection(cfg, slotReason, waitlistEntry(data, cfg, 'appointment', startLux, endLux));
+    return res.status(409).json({ status:'rejected', reason: slotReason, ...(waitlist ? { waitlist } : {}) });
+  }
 
-      return res.json({
-        status: 'success',
-        results: {
-          status: 'cancelled',
-          data: { appointment_id: match.appointment_id }
+  const assigned = await staffFor(cfg, data, {
+    start: startLux.toJSDate(), end: endLux.toJSDate(), heldStart: held.start, heldEnd: held.end
+  }, { brand: data.brand, customer });
+  if (assigned.reason) {
+    await logRejection(data, assigned.reason, customer);
+    return res.status(409).json({ status: 'rejected', reason: assigned.reason });
+  }
+  const { staff } = assigned;
+
+  const { row, event, start, end } = bookingDraft(cfg, data, { customer, party, startLux, endLux, staff });
+
+  let manage = manageLink(businessId, 'appointment', row.id, end);
+
+  // Booking row + calendar job in one transaction; the job runs right
+  // away and the confirmation is queued once the event exists
+  let booking;
+  try {
+    booking = await bookAppointment(row, {
+      calendarId,
+      event,
+      confirmation: {
+        business_id: businessId, ref: row.id, name, email, phone,
+        start: start.toISOString(), typeName: cfg.appointmentType.name, manageUrl: manage.manageUrl
+      }
+    });
+  } catch (insErr) {
+    // The person was booked in the meantime
+    if (isStaffClash(insErr)) {
+      await logRejection(data, 'staff_unavailable', customer);
+      return res.status(409).json({ status: 'rejected', reason: 'staff_unavailable' });
+    }
+    console.error("[book] db_upsert_failed", insErr);
+    return res.status(500).json({ status: 'error', message: 'db_upsert_failed' });
+  }
+  const apptId = booking.id;
+
+  if (!booking.created) {
+    const { data: existing } = await supabase.from('appointments').select('gcal_event_id, staff:staff_id (id, name)').eq('id', apptId).maybeSingle();
+    manage = manageLink(businessId, 'appointment', apptId, end);
+    console.log("[book] duplicate request, existing booking", { businessId, apptId });
+    return res.status(201).json({
+      status: 'success',
+      results: {
+        status: 'booked',
+        data: {
+          appointmentId: apptId,
+          eventId: existing?.gcal_event_id || null,
+          start: toLocalISOString(start, timezone),
+          end:   toLocalISOString(end, timezone),
+          partySize: party.size,
+          ...staffJson(existing?.staff),
+          ...manage
         }
-      });
+      }
+    });
+  }
 
-    } catch (err) {
-      if (err.code === 410) {
-        // Event already deleted – remove from Supabase too
-        await supabase
-          .from('stats')
-          .delete()
-          .eq('appointment_id', match.appointment_id);
-
-        return res.json({
-          status: 'already_deleted',
-          results: {
-            status: 'gone',
-            message: 'The appointment was already deleted'
-          }
-        });
+  const run = await runNow(booking.jobKey);
+  if (run.status === 'dead') {
+    console.error("[book] gcal_insert_failed, cancelling booking", { apptId, err: run.error?.message });
+    await abandonBooking(apptId, { calendarId, jobKey: booking.jobKey });
+    return res.status(502).json({ status: 'error', message: 'calendar_insert_failed' });
+  }
+  // a transient failure stays booked; the outbox timer retries the event
+  const calendarSync = run.status === 'done' ? 'synced' : 'pending';
+  if (calendarSync === 'pending') console.warn("[book] gcal_insert_failed, will retry", { apptId, err: run.error?.message });
+  const eventId = run.result?.eventId || null;
+
+  if (staff) await markAssigned(staff);
+  await logBooking(cfg, data, { apptId, customer, party, start, end, staff });
+  console.log("[book] success", { businessId, apptId, eventId, staffId: staff?.id || null });
+
+  return res.status(201).json({
+    status: 'success',
+    results: {
+      status: 'booked',
+      data: {
+        appointmentId: apptId,
+        eventId,
+        start: toLocalISOString(start, timezone),
+        end:   toLocalISOString(end, timezone),
+        partySize: party.size,
+        ...(calendarSync === 'pending' ? { calendarSync } : {}),
+        ...staffJson(staff, assigned.preferredMissed),
+        ...manage
       }
+    }
+  });
+}
 
-      console.error('Failed to delete calendar event:', err);
-      return res.json({ status: 'error', message: 'Failed to cancel appointment' });
+// Largest party one booking takes (appointment types can set a lower
+// max_party_size)
+const MAX_PARTY_SIZE = 50;
+
+// partySize / attendees -> { size, attendees }, or { errors }. Attendees
+// are the people besides the booker; partySize defaults to all of them.
+function partyOf({ partySize, attendees = [] }, countryCode) {
+  const errors = [];
+  const guests = [];
+  (attendees || []).forEach((a, i) => {
+    if (!a || typeof a !== 'object' || Array.isArray(a)) {
+      errors.push({ field: `attendees[${i}]`, message: 'must be an object' });
+      return;
     }
-  }
+    const guest = {
+      name: typeof a.name === 'string' && a.name.trim() ? a.name.trim() : null,
+      email: a.email ? normalizeEmail(String(a.email)) : null,
+      phone: a.phone ? normalizePhone(a.phone, countryCode) || String(a.phone).trim() : null
+    };
+    if (a.email && !guest.email) errors.push({ field: `attendees[${i}].email`, message: 'must be a valid email' });
+    if (!guest.name && !guest.email && !guest.phone) errors.push({ field: `attendees[${i}]`, message: 'needs a name, email or phone' });
+    guests.push(guest);
+  });
 
-  // If loop finished without returning, all matches were too close to cancel
-  return res.json({ status: 'rejected', reason: 'too_close_to_cancel' });
+  const size = partySize ?? 1 + guests.length;
+  if (size < 1 + guests.length) {
+    errors.push({ field: 'partySize', message: `must be at least ${1 + guests.length} (the booker and each attendee)` });
+  }
+  if (size > MAX_PARTY_SIZE) errors.push({ field: 'partySize', message: `must be <= ${MAX_PARTY_SIZE}` });
+  return errors.length ? { errors } : { size, attendees: guests };
 }
 
+// appointments row + calendar event of one general booking. Attendees
+// with an email are invited to the event (the booker gets our own
+// confirmation instead), as is the assigned staff member.
+function bookingDraft(cfg, data, { customer, party, startLux, endLux, series = null, staff = null }) {
+  const { name, email, phone, specialNotes } = data;
+  const businessId = data.business_id;
+  const start = new Date(startLux.toUTC().toISO());
+  const end   = new Date(endLux.toUTC().toISO());
+
+  const row = {
+    id: crypto.randomUUID(),
+    idem_key: [businessId, 'booking', start.toISOString(), callerKey({ customer_id: customer?.id, name })].join('|'),
+    business_id: businessId,
+    customer_id: customer?.id || null,
+    name,
+    email: normalizeEmail(email) || email?.trim()?.toLowerCase() || null,
+    phone: normalizePhone(phone, cfg.phoneCountryCode) || phone || null,
+    party_size: party.size,
+    attendees: party.attendees,
+    series_id: series?.id || null,
+    staff_id: staff?.id || null,
+    calendar_id: cfg.calendarId,
+    blocking_calendar_id: cfg.blockingCalendarId,
+    timezone: cfg.timezone,
+    booking_time_local: startLux.toISO(),
+    starts_at: start.toISOString(),
+    ends_at: end.toISOString(),
+    call_type: 'booking',
+    appointment_type: cfg.appointmentType.label || cfg.appointmentType.key,
+    status: 'booked',
+    status_changed_at: new Date().toISOString(),
+    source: 'agent',
+    special_notes: specialNotes || null,
+    gcal_event_id: null
+  };
 
+  const guests = party.attendees.map(a => [a.name, a.email && `<${a.email}>`, a.phone].filter(Boolean).join(' '));
+  const invitees = [...guestInvites(party.attendees), ...staffInvite(staff)];
+  const event = {
+    summary: `Appointment with (${name})${party.size > 1 ? ` +${party.size - 1}` : ''}`,
+    description: [
+      `Email: ${email || 'N/A'}`,
+      `Phone: ${phone || 'N/A'}`,
+      party.size > 1 ? `Party: ${party.size}` : null,
+      guests.length ? `Guests: ${guests.join(', ')}` : null,
+      series ? `Repeats: ${series.rrule}` : null,
+      staffLine(staff),
+      specialNotes ? `Notes: ${specialNotes}` : null
+    ].filter(Boolean).join('\n'),
+    start:       start.toISOString(),
+    end:         end.toISOString(),
+    location:    `Phone: ${phone || ''}`,
+    ...(invitees.length ? { attendees: invitees } : {})
+  };
+  return { row, event, start, end };
+}
 
+// stats keeps the call log; the booking itself lives in appointments
+async function logBooking(cfg, data, { apptId, customer, party, start, end, series = null, staff = null }) {
+  await supabase.from('stats').insert([{
+    business_id: data.business_id,
+    call_type: 'booking',
+    phone: data.phone,
+    appointment_id: apptId,
+    customer_id: customer?.id || null,
+    metadata: {
+      name: data.name,
+      email: data.email,
+      phone: data.phone,
+      timezone: cfg.timezone,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      appointment_type: cfg.appointmentType.label || cfg.appointmentType.key,
+      party_size: party.size,
+      ...(staff ? { staff_id: staff.id } : {}),
+      ...(series ? { series_id: series.id, occurrences: series.occurrences, rrule: series.rrule } : {})
+    }
+  }]);
+}
 
-// FIND NEAREST SLOT
-async function findNearest(data, res) {
-  const { bookingTime, calendarId, blockingCalendarId } = data;
-  if (!calendarId || !bookingTime) {
-    return res.json({ status:'error', message:'Missing calendarId or bookingTime' });
+// Recurring bookings reach this far ahead, and no further than this many
+// occurrences; a rule that goes on is booked up to the limit (truncated)
+const SERIES_MAX_OCCURRENCES = 52;
+const SERIES_HORIZON_DAYS = 366;
+// Freebusy is asked for at most this span at a time
+const FREEBUSY_SPAN_DAYS = 60;
+
+// Rejection reason per occurrence window (null = bookable): lead time and
+// opening hours, then the calendars, checked per span instead of per
+// occurrence. With `members` (staff who could take it) an occurrence
+// also needs one of them free; `free` lists who is, per window.
+async function seriesConflicts(cfg, windows, members = null) {
+  const now = DateTime.now();
+  const reasons = windows.map(({ startLux, endLux }) =>
+    startLux.diff(now, 'minutes').minutes < cfg.minLeadMin ? 'too_soon' : checkHours(cfg.schedule, startLux, endLux));
+  const held = windows.map(w => bufferedWindow(cfg, w.startLux.toJSDate(), w.endLux.toJSDate()));
+
+  const calendarId = cfg.calendarId;
+  const blockingId = cfg.blockingCalendarId;
+  const overlapping = (busy, w) => (busy || []).filter(b => new Date(b.start) < w.end && new Date(b.end) > w.start);
+
+  const free = windows.map(() => null);
+  let i = 0;
+  while (i < held.length) {
+    let j = i;
+    while (j + 1 < held.length && held[j + 1].end - held[i].start <= FREEBUSY_SPAN_DAYS * 86400000) j++;
+    const fb = await cfg.calendar.freebusy({ calendarIds: [calendarId, blockingId], timeMin: held[i].start, timeMax: held[j].end });
+    const busy = members && await staffBusy(cfg.calendar, members, { timeMin: held[i].start, timeMax: held[j].end });
+    for (let k = i; k <= j; k++) {
+      if (reasons[k]) continue;
+      if (overlapping(fb[blockingId], held[k]).length > 0) reasons[k] = 'slot_blocked';
+      else if (overlapping(fb[calendarId], held[k]).length >= cfg.maxOverlaps) reasons[k] = 'slot_full';
+      else if (members) {
+        free[k] = freeStaff(members, cfg.schedule, busy, {
+          start: windows[k].startLux.toJSDate(), end: windows[k].endLux.toJSDate(), heldStart: held[k].start, heldEnd: held[k].end
+        });
+        if (!free[k].length) reasons[k] = 'staff_unavailable';
+      }
+    }
+    i = j + 1;
   }
+  return { reasons: reasons.map(r => r || null), free };
+}
 
-  const timezone    = data.timezone || DEFAULTS.timezone;
-  const officeStart = data.officeStart ?? DEFAULTS.officeStart;
-  const officeEnd   = data.officeEnd ?? DEFAULTS.officeEnd;
-  const durationMin = data.durationMin || DEFAULTS.durationMin;
-  const maxOverlaps = data.maxOverlaps || DEFAULTS.maxOverlaps;
-  const blockingId  = blockingCalendarId || calendarId;
+// Book every occurrence of data.recurrence as its own appointment (own
+// calendar event, cancellable and movable on its own), grouped by an
+// appointment_series row. All occurrences must be free unless
+// skipConflicts is set, in which case the taken ones are left out.
+// With staff assignment the first occurrence picks the person
+// (staffFor's rules) and the others keep them wherever they're free.
+async function bookSeries(cfg, data, { customer, party, startLux }, res) {
+  const { name, email, phone } = data;
+  const businessId = data.business_id;
+  const { timezone, calendarId } = cfg;
 
-  const wanted = DateTime.fromISO(bookingTime, { zone: timezone });
-  const slotMs = durationMin * 60000;
-  const step   = 15 * 60000;
-  const window = 8 * 60 * 60000;
+  let rule;
+  try {
+    rule = parseRRule(data.recurrence, timezone);
+  } catch (e) {
+    if (e.code !== 'invalid_rrule') throw e;
+    console.warn("[book:series] invalid_rrule", { recurrence: data.recurrence, err: e.message });
+    return res.status(400).json({ status: 'error', message: 'invalid_input', errors: [{ field: 'recurrence', message: e.message }] });
+  }
 
-  let best = null;
+  const horizon = DateTime.now().setZone(timezone).plus({ days: SERIES_HORIZON_DAYS });
+  const { starts, truncated } = expandRRule(rule, startLux, { max: SERIES_MAX_OCCURRENCES, horizon });
+  const windows = starts.map(s => ({ startLux: s, endLux: s.plus({ minutes: cfg.durationMin }) }));
 
-  for (let delta = 0; delta <= window; delta += step) {
-    for (let dir of [ -1, +1 ]) {
-      const startLux = wanted.plus({ milliseconds: dir * delta });
-      const endLux = startLux.plus({ minutes: durationMin });
-      const h0 = startLux.hour, h1 = endLux.hour, m1 = endLux.minute;
-      if (h0 < officeStart || h1 > officeEnd || (h1 === officeEnd && m1 > 0)) continue;
+  const members = await staffingFor(cfg, { brand: data.brand });
+  if (members && !members.length) {
+    await logRejection(data, "no_eligible_staff", customer);
+    return res.status(409).json({ status: 'rejected', reason: 'no_eligible_staff' });
+  }
 
-      const start = new Date(startLux.toUTC().toISO());
-      const end   = new Date(endLux.toUTC().toISO());
+  const { reasons, free: freeStaffPer } = await seriesConflicts(cfg, windows, members);
+  const free = windows.filter((_, i) => !reasons[i]);
+  const staffPer = freeStaffPer.filter((_, i) => !reasons[i]);
+  const skipped = windows
+    .map((w, i) => reasons[i] ? { start: w.startLux.toISO({ suppressMilliseconds: true }), reason: reasons[i] } : null)
+    .filter(Boolean);
+
+  if (!free.length || (skipped.length && !data.skipConflicts)) {
+    console.info("[book:series] rejected series_conflict", { businessId, occurrences: windows.length, conflicts: skipped.length });
+    await logRejection(data, "series_conflict", customer);
+    return res.status(409).json({ status: 'rejected', reason: 'series_conflict', occurrences: windows.length, conflicts: skipped });
+  }
 
-      const fb = await calendar.freebusy.query({
-        requestBody: {
-          timeMin: start.toISOString(),
-          timeMax: end.toISOString(),
-          items: [{ id: blockingId }]
-        }
-      });
+  // Series row, idempotent like the bookings themselves
+  const firstStart = free[0].startLux.toUTC().toISO();
+  const seriesKey = [businessId, 'series', firstStart, callerKey({ customer_id: customer?.id, name }), rule.text].join('|');
+  const { data: inserted, error: seriesErr } = await supabase
+    .from('appointment_series')
+    .upsert({
+      business_id: businessId,
+      customer_id: customer?.id || null,
+      idem_key: seriesKey,
+      rrule: rule.text,
+      timezone,
+      first_start: firstStart,
+      appointment_type: cfg.appointmentType.label || cfg.appointmentType.key,
+      occurrences: free.length,
+      truncated
+    }, { onConflict: 'idem_key', ignoreDuplicates: true })
+    .select('*');
+  let series = inserted?.[0];
+  if (!seriesErr && !series) {
+    ({ data: series } = await supabase.from('appointment_series').select('*').eq('idem_key', seriesKey).maybeSingle());
+  }
+  if (seriesErr || !series) {
+    console.error("[book:series] db_upsert_failed", seriesErr);
+    return res.status(500).json({ status: 'error', message: 'db_upsert_failed' });
+  }
 
-      if ((fb.data.calendars[blockingId]?.busy || []).length > 0) continue;
+  // One confirmation for the series (with the first occurrence); the
+  // others only schedule their reminders. The first event is written
+  // while the caller waits, the rest by the outbox timer.
+  const last = free[free.length - 1].startLux;
+  const recurrence = free.length > 1
+    ? `This is the first of ${free.length} visits; the last is on ${last.toFormat('ccc, LLL d, yyyy')}.`
+    : undefined;
+  let lead = null;
+  let preferredMissed = false;
+  if (members) {
+    const preferred = findStaff(members, data.preferredStaff);
+    const w = free[0];
+    const held = bufferedWindow(cfg, w.startLux.toJSDate(), w.endLux.toJSDate());
+    lead = await assignStaff(cfg, staffPer[0], {
+      start: w.startLux.toJSDate(), end: w.endLux.toJSDate(), heldStart: held.start, heldEnd: held.end
+    }, { preferred, customerId: customer?.id }) || rankStaff(staffPer[0])[0];
+    preferredMissed = !!data.preferredStaff && lead !== preferred;
+  }
 
-      const list = await calendar.events.list({
+  const booked = [];
+  for (const [i, w] of free.entries()) {
+    const staff = members ? staffPer[i].find(m => m.id === lead.id) || rankStaff(staffPer[i])[0] : null;
+    const { row, event, start, end } = bookingDraft(cfg, data, { customer, party, ...w, series, staff });
+    const manage = manageLink(businessId, 'appointment', row.id, end);
+    try {
+      const booking = await bookAppointment(row, {
         calendarId,
-        timeMin: start.toISOString(),
-        timeMax: end.toISOString(),
-        singleEvents: true
-      });
+        event,
+        confirmation: {
+          business_id: businessId, ref: row.id, name, email, phone,
+          start: start.toISOString(), typeName: cfg.appointmentType.name, manageUrl: manage.manageUrl,
+          ...(i === 0 && recurrence ? { recurrence } : {})
+        },
+        notifyEvent: i === 0 ? 'confirmation' : 'reminder'
+      }, { inline: i === 0 });
+      booked.push({ booking, start, end, staff, manage: booking.created ? manage : manageLink(businessId, 'appointment', booking.id, end) });
+    } catch (insErr) {
+      // Booked occurrences stand; repeating the request books the rest
+      console.error("[book:series] db_upsert_failed", { seriesId: series.id, start: row.starts_at, insErr });
+      return res.status(500).json({ status: 'error', message: 'db_upsert_failed', seriesId: series.id, booked: booked.length });
+    }
+  }
+
+  const first = booked[0];
+  let eventId = null;
+  if (first.booking.created) {
+    const run = await runNow(first.booking.jobKey);
+    eventId = run.result?.eventId || null;
+    if (run.status !== 'done') console.warn("[book:series] first event pending", { apptId: first.booking.id, status: run.status, err: run.error?.message });
+    if (lead) await markAssigned(lead);
+    await logBooking(cfg, data, { apptId: first.booking.id, customer, party, start: first.start, end: first.end, series, staff: first.staff });
+  } else {
+    const { data: existing } = await supabase.from('appointments').select('gcal_event_id').eq('id', first.booking.id).maybeSingle();
+    eventId = existing?.gcal_event_id || null;
+    console.log("[book:series] duplicate request, existing series", { businessId, seriesId: series.id });
+  }
+  console.log("[book:series] success", { businessId, seriesId: series.id, occurrences: booked.length, skipped: skipped.length, truncated });
 
-      if ((list.data.items || []).length < maxOverlaps) {
-        best = { start, end, direction: dir > 0 ? 'after' : 'before' };
-        break;
+  return res.status(201).json({
+    status: 'success',
+    results: {
+      status: 'booked',
+      data: {
+        seriesId: series.id,
+        recurrence: rule.text,
+        truncated,
+        partySize: party.size,
+        appointmentId: first.booking.id,
+        eventId,
+        start: toLocalISOString(first.start, timezone),
+        end:   toLocalISOString(first.end, timezone),
+        ...staffJson(first.staff, preferredMissed),
+        ...first.manage,
+        occurrences: booked.map(b => ({
+          appointmentId: b.booking.id,
+          start: toLocalISOString(b.start, timezone),
+          end:   toLocalISOString(b.end, timezone),
+          ...(b.staff ? { staffId: b.staff.id } : {}),
+          ...b.manage
+        })),
+        skipped
       }
     }
-    if (best) break;
+  });
+}
+
+
+
+
+// Modified CANCEL function using Supabase to identify the appointment.
+// bookingTime picks one booking (e.g. one occurrence of a series);
+// scope "series" cancels the rest of that booking's series.
+async function cancel(data, res) {
+  const cfg = await getConfig(data.business_id, data);
+
+  // Find all entries that match name + (email or phone)
+  const possibleMatches = await findBookingMatches(data);
+  if (!possibleMatches) {
+    return res.status(500).json({ status: 'error', message: 'lookup_failed' });
   }
 
-  if (!best) {
-    return res.json({ status:'not_found', message:'No slot found' });
+  if (possibleMatches.length === 0) {
+    return res.status(404).json({ status: 'not_found', message: 'No matching appointment' });
+  }
+
+  const matches = data.bookingTime
+    ? possibleMatches.filter(m => +DateTime.fromISO(m.starts_at) === +DateTime.fromISO(data.bookingTime))
+    : possibleMatches;
+  if (matches.length === 0) {
+    return res.status(404).json({ status: 'not_found', message: 'No appointment at that time' });
+  }
+
+  if (data.scope === 'series') {
+    const match = matches.find(m => m.series_id);
+    if (!match) return res.status(404).json({ status: 'not_found', message: 'No matching recurring appointment' });
+    return cancelSeries(cfg, match, res);
+  }
+
+  // Find the first one that’s still cancellable
+  for (const match of matches) {
+    const minutesAway = DateTime.fromISO(match.starts_at).diff(DateTime.now(), 'minutes').minutes;
+    if (minutesAway < cfg.cancelCutoffMin) {
+      continue; // Too close to cancel
+    }
+
+    return cancelAppointment(cfg, match, res);
+  }
+
+  // If loop finished without returning, all matches were too close to cancel
+  return res.status(409).json({ status: 'rejected', reason: 'too_close_to_cancel' });
+}
+
+// Cancel one booked appointment (general booking or test drive). The row
+// is marked cancelled, which frees its slot and car unit, in the same
+// transaction that queues the calendar delete and the cancellation
+// message (outbox.js). Both run right away; a failed delete is retried in
+// the background and the cancellation stands.
+async function cancelAppointment(cfg, appt, res) {
+  const tag = appt.call_type === 'testdrive' ? '[testdrive:cancel]' : '[cancel]';
+  let cancel;
+  try {
+    cancel = await runCancellation(cfg, appt);
+  } catch (error) {
+    console.error(`${tag} db_update_failed`, error);
+    return res.status(500).json({ status: 'error', message: 'db_update_failed' });
   }
+  if (!cancel.cancelled) return res.status(409).json({ status: 'rejected', reason: 'appointment_changed' });
+
+  console.log(`${tag} success`, { apptId: appt.id });
+  notifyCapacityFreed(appt.business_id);
 
   return res.json({
     status: 'success',
     results: {
-      status: 'available',
-      data: {
-        start: toLocalISOString(best.start),
-        end: toLocalISOString(best.end),
-        direction: best.direction
-      }
+      status: 'cancelled',
+      data: { appointmentId: appt.id, eventId: appt.gcal_event_id, calendarSync: cancel.calendarSync }
     }
   });
 }
 
-// Start server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Listening on ${PORT}`));
+// Cancel a row with its jobs and run them. `message` adds to the
+// cancellation notice (recurrence, silent; see notifications.notify()).
+// Returns { cancelled: false } when the row was no longer booked.
+async function runCancellation(cfg, appt, message = {}) {
+  const tag = appt.call_type === 'testdrive' ? '[testdrive:cancel]' : '[cancel]';
+  const cancel = await cancelAppointmentWithEffects(appt, {
+    calendarId: appt.calendar_id || cfg.calendarId,
+    cancellation: {
+      business_id: appt.business_id, ref: appt.id, name: appt.name, email: appt.email, phone: appt.phone,
+      model: appt.model, start: appt.starts_at, typeName: cfg.appointmentType.name, ...message
+    }
+  });
+  if (!cancel.cancelled) return { cancelled: false };
+
+  let calendarSync = 'synced';
+  for (const key of cancel.jobKeys) {
+    const run = await runNow(key).catch(error => ({ status: 'pending', error }));
+    if (key.startsWith('calendar_') && run.status !== 'done') {
+      calendarSync = run.status === 'dead' ? 'failed' : 'pending';
+      console.error(`${tag} gcal_delete_failed, ${calendarSync === 'pending' ? 'will retry' : 'giving up'}`, { apptId: appt.id, err: run.error?.message });
+    }
+  }
+  return { cancelled: true, calendarSync };
+}
+
+// Cancel the rest of a series: `appt` and every later occurrence still
+// outside the cancellation cutoff. One message goes out, with the first
+// of them. The series is closed once nothing in it is booked any more.
+async function cancelSeries(cfg, appt, res) {
+  const seriesId = appt.series_id;
+  const { data: rows, error } = await supabase
+    .from('appointments')
+    .select('*')
+    .eq('series_id', seriesId)
+    .eq('status', 'booked')
+    .gte('starts_at', appt.starts_at)
+    .order('starts_at', { ascending: true });
+  if (error) {
+    console.error("[cancel:series] lookup_failed", error);
+    return res.status(500).json({ status: 'error', message: 'lookup_failed' });
+  }
+
+  const now = DateTime.now();
+  const cancellable = (r) => DateTime.fromISO(r.starts_at).diff(now, 'minutes').minutes >= cfg.cancelCutoffMin;
+  const open = (rows || []).filter(cancellable);
+  const kept = (rows || []).filter(r => !cancellable(r))
+    .map(r => ({ appointmentId: r.id, start: toLocalISOString(new Date(r.starts_at), cfg.timezone), reason: 'too_close_to_cancel' }));
+  if (!open.length) return res.status(409).json({ status: 'rejected', reason: 'too_close_to_cancel' });
+
+  const cancelled = [];
+  for (const [i, row] of open.entries()) {
+    const message = i > 0 ? { silent: true }
+      : open.length > 1 ? { recurrence: `All ${open.length} upcoming visits in this series are cancelled.` } : {};
+    try {
+      const result = await runCancellation(cfg, row, message);
+      if (result.cancelled) {
+        cancelled.push({ appointmentId: row.id, start: toLocalISOString(new Date(row.starts_at), cfg.timezone), calendarSync: result.calendarSync });
+      }
+    } catch (e) {
+      console.error("[cancel:series] db_update_failed", { seriesId, apptId: row.id, e });
+      return res.status(500).json({ status: 'error', message: 'db_update_failed', cancelled });
+    }
+  }
+
+  const { count } = await supabase
+    .from('appointments')
+    .select('id', { count: 'exact', head: true })
+    .eq('series_id', seriesId)
+    .eq('status', 'booked');
+  if (count === 0) {
+    // Free the idem_key so the same series can be booked again
+    const { data: series } = await supabase.from('appointment_series').select('idem_key').eq('id', seriesId).maybeSingle();
+    if (series) {
+      await supabase
+        .from('appointment_series')
+        .update({ status: 'cancelled', cancelled_at: new Date().toISOString(), idem_key: `${series.idem_key}#${seriesId}` })
+        .eq('id', seriesId)
+        .eq('status', 'active');
+    }
+  }
+
+  console.log("[cancel:series] success", { seriesId, cancelled: cancelled.length, kept: kept.length });
+  notifyCapacityFreed(appt.business_id);
+
+  return res.json({
+    status: 'success',
+    results: {
+      status: 'cancelled',
+      data: { seriesId, appointmentId: cancelled[0]?.appointmentId || null, cancelled, kept }
+    }
+  });
+}
+
+
+
+
+// RESCHEDULE APPOINTMENT
+async function reschedule(data, res) {
+  const { currentBookingTime } = data;
+
+  const cfg = await getConfig(data.business_id, data);
+
+  const possibleMatches = await findBookingMatches(data);
+  if (!possibleMatches) {
+    return res.status(500).json({ status: 'error', message: 'lookup_failed' });
+  }
+  if (possibleMatches.length === 0) {
+    return res.status(404).json({ status: 'not_found', message: 'No matching appointment' });
+  }
+
+  // Same cutoff cancel() enforces
+  const now = DateTime.now();
+  const movable = possibleMatches.filter(m =>
+    DateTime.fromISO(m.starts_at).diff(now, 'minutes').minutes >= cfg.cancelCutoffMin
+  );
+  const match = currentBookingTime
+    ? movable.find(m => +DateTime.fromISO(m.starts_at) === +DateTime.fromISO(currentBookingTime))
+    : movable[0];
+
+  if (!match) {
+    if (movable.length === 0) {
+      return res.status(409).json({ status: 'rejected', reason: 'too_close_to_reschedule' });
+    }
+    return res.status(404).json({ status: 'not_found', message: 'No matching appointment at currentBookingTime' });
+  }
+
+  return moveAppointment(cfg, match, data, res);
+}
+
+// Move one booked appointment (general booking or test drive) to
+// data.newBookingTime, keeping its duration. The old row is closed as
+// 'rescheduled' and a successor booked in one transaction
+// (reschedule_appointment); the exclusion constraint decides whether the
+// car unit is still free, otherwise pick_free_car runs again. An assigned
+// staff member keeps the booking when free at the new time, else it goes
+// to someone who is (staff.js). The calendar event is then patched in
+// place; if that fails the move is reverted, so the original booking
+// stays intact.
+async function moveAppointment(cfg0, appt, data, res) {
+  const startedAt = Date.now();
+  const businessId = appt.business_id;
+  const isTestDrive = appt.call_type === 'testdrive';
+  const tag = isTestDrive ? '[testdrive:reschedule]' : '[reschedule]';
+
+  const cfg = await configForBookedType(businessId, data, appt.appointment_type || (isTestDrive ? 'testdrive' : undefined), cfg0);
+  const { timezone, maxOverlaps } = cfg;
+  const keptDuration = DateTime.fromISO(appt.ends_at).diff(DateTime.fromISO(appt.starts_at), 'minutes').minutes;
+  const durationMin = (cfg.overridesAllowed && data.durationMin) || keptDuration || cfg.durationMin;
+
+  // /testdrive doesn't log rejections to stats, book() does
+  const reject = async (reason, extra = {}) => {
+    console.info(`${tag} rejected ${reason}`);
+    if (!isTestDrive) await logRejection(data, reason);
+    return res.status(409).json({ status: 'rejected', reason, ...extra });
+  };
+
+  // Its calendar event is still queued in the outbox; nothing to patch yet
+  if (appt.sync_state === 'pending') {
+    return res.status(409).json({ status: 'rejected', reason: 'calendar_sync_pending' });
+  }
+
+  const startLux = DateTime.fromISO(data.newBookingTime, { zone: timezone });
+  const endLux   = startLux.plus({ minutes: durationMin });
+  console.log(`${tag} start`, { businessId, apptId: appt.id, from: appt.starts_at, to: startLux.toISO() });
+
+  if (startLux.diff(DateTime.now().setZone(timezone), 'minutes').minutes < cfg.minLeadMin) {
+    return reject('too_soon');
+  }
+  const hoursReason = checkHours(cfg.schedule, startLux, endLux);
+  if (hoursReason) return reject(hoursReason);
+
+  const start = new Date(startLux.toUTC().toISO());
+  const end   = new Date(endLux.toUTC().toISO());
+  const { start: heldStart, end: heldEnd } = bufferedWindow(cfg, start, end);
+
+  const calendarId = appt.calendar_id || cfg.calendarId;
+  const blockingId = appt.blocking_calendar_id || cfg.blockingCalendarId || calendarId;
+  const slotReason = await checkSlot({
+    calendar: cfg.calendar, calendarId, blockingId, start: heldStart, end: heldEnd, maxOverlaps,
+    ignore: { eventId: appt.gcal_event_id, start: appt.starts_at, end: appt.ends_at },
+    failOpen: isTestDrive
+  });
+  if (slotReason) return reject(slotReason);
+
+  // ---- staff: bookings made before assignment was on stay unassigned
+  let staff = null;
+  let staffId = appt.staff_id || null;
+  const members = appt.staff_id ? await staffingFor(cfg, { brand: await makeOf(businessId, appt.car_unit_id) }) : null;
+  if (members) {
+    staff = await assignStaff(cfg, members, { start, end, heldStart, heldEnd }, {
+      preferred: members.find(m => m.id === appt.staff_id) || null,
+      customerId: appt.customer_id,
+      ignore: { appointmentId: appt.id, start: appt.starts_at, end: appt.ends_at },
+      failOpen: isTestDrive
+    });
+    if (!staff) return reject('staff_unavailable');
+    staffId = staff.id;
+  }
+  const staffChanged = staffId !== (appt.staff_id || null);
+
+  // ---- close the old row and book its successor
+  const moved = {
+    starts_at: start.toISOString(),
+    ends_at: end.toISOString(),
+    booking_time_local: startLux.toISO(),
+    idem_key: [businessId, appt.call_type, start.toISOString(), callerKey(appt)].join('|'),
+    staff_id: staffId,
+    status_source: null
+  };
+  const moveRow = (patch) => supabase.rpc('reschedule_appointment', {
+    p_id: appt.id,
+    p_expected_start: appt.starts_at, // guard against a concurrent move
+    p_patch: patch
+  });
+
+  let upd = await moveRow({ ...moved, car_unit_id: appt.car_unit_id });
+  let carUnitId = appt.car_unit_id || null;
+
+  if (isStaffClash(upd.error)) return reject('staff_unavailable');
+  if (upd.error && upd.error.code === '23P01' && appt.model) {
+    const { data: carId, error: rpcErr } = await supabase.rpc('pick_free_car', {
+      p_business_id: businessId,
+      p_model: appt.model,
+      p_start: heldStart.toISOString(),
+      p_end:   heldEnd.toISOString(),
+      p_trim:  appt.preferred_trim || null,
+      p_require_exact_trim: !!appt.require_exact_trim
+    });
+    if (rpcErr) {
+      console.error(`${tag} pick_free_car error`, rpcErr);
+      return res.status(500).json({ status: 'error', message: 'car_allocation_failed' });
+    }
+    if (!carId) {
+      return reject(appt.require_exact_trim && appt.preferred_trim ? 'exact_trim_unavailable' : 'no_unit_available');
+    }
+    carUnitId = carId;
+    upd = await moveRow({ ...moved, car_unit_id: carId });
+  }
+
+  if (upd.error) {
+    if (upd.error.code === '23P01') return reject(isStaffClash(upd.error) ? 'staff_unavailable' : 'overlap');
+    if (upd.error.code === '23505') return reject('duplicate_booking');
+    console.error(`${tag} db_update_failed`, upd.error);
+    return res.status(500).json({ status: 'error', message: 'db_update_failed' });
+  }
+  if (!upd.data) {
+    return res.status(409).json({ status: 'rejected', reason: 'appointment_changed' });
+  }
+  const newId = upd.data;
+
+  // ---- patch the calendar event; revert the move if that fails
+  if (appt.gcal_event_id) {
+    try {
+      const fields = {
+        start: moved.starts_at,
+        end:   moved.ends_at
+      };
+      const unitChanged = carUnitId !== (appt.car_unit_id || null);
+      if (unitChanged || staffChanged) {
+        const current = await cfg.calendar.get(calendarId, appt.gcal_event_id);
+        const stale = [unitChanged && 'Unit: ', staffChanged && 'Staff: '].filter(Boolean);
+        const lines = (current.description || '').split('\n').filter(l => !stale.some(p => l.startsWith(p)));
+        if (unitChanged && carUnitId) lines.push(`Unit: ${carUnitId}`);
+        if (staffChanged && staff) lines.push(staffLine(staff));
+        fields.description = lines.join('\n');
+      }
+      // the new person replaces the old one among the invitees
+      if (staffChanged) fields.attendees = [...guestInvites(appt.attendees), ...staffInvite(staff)];
+      await cfg.calendar.patch(calendarId, appt.gcal_event_id, fields);
+    } catch (calErr) {
+      console.error(`${tag} gcal_patch_failed, reverting`, { err: calErr?.message });
+      const { error: revertErr } = await supabase.rpc('revert_reschedule', { p_new_id: newId });
+      if (revertErr) console.error(`${tag} revert_failed`, { apptId: appt.id, newId, revertErr });
+      if (isGone(calErr)) {
+        return res.status(404).json({ status: 'not_found', message: 'The appointment was already deleted' });
+      }
+      return res.status(502).json({ status: 'error', message: 'calendar_patch_failed' });
+    }
+  }
+
+  console.log(`${tag} success`, { apptId: newId, previousId: appt.id, carUnitId, staffId, took: `${Date.now() - startedAt}ms` });
+  if (staffChanged && staff) await markAssigned(staff);
+  notifyCapacityFreed(businessId);
+  const manage = manageLink(businessId, isTestDrive ? 'testdrive' : 'appointment', newId, end);
+  notify('reschedule', {
+    business_id: businessId, ref: newId, previousRef: appt.id,
+    name: appt.name, email: appt.email, phone: appt.phone, model: appt.model,
+    start: moved.starts_at, typeName: cfg.appointmentType.name, manageUrl: manage.manageUrl
+  });
+
+  return res.json({
+    status: 'success',
+    results: {
+      status: 'rescheduled',
+      data: {
+        appointmentId: newId,
+        previousAppointmentId: appt.id,
+        eventId: appt.gcal_event_id,
+        carUnitId,
+        ...staffJson(staff),
+        start: toLocalISOString(start, timezone),
+        end:   toLocalISOString(end, timezone),
+        previousStart: toLocalISOString(new Date(appt.starts_at), timezone),
+        ...manage
+      }
+    }
+  });
+}
+
+
+
+
+// computeSlots() `staff` input: the people who could take the booking
+// (only preferredStaff when it names one of them), with their hours and
+// busy time. Null when the business doesn't assign staff.
+async function slotStaff(cfg, data, { timeMin, timeMax }) {
+  let members = await staffingFor(cfg, { brand: data.brand });
+  if (!members) return null;
+  const preferred = findStaff(members, data.preferredStaff);
+  if (preferred) members = [preferred];
+  const busy = await staffBusy(cfg.calendar, members, { timeMin, timeMax });
+  return members.map(m => ({ schedule: staffSchedule(m, cfg.schedule), busy: busy.get(m.id) }));
+}
+
+// FIND NEAREST SLOT
+// One busy fetch for the +/- 8h window, then the nearest free slot on the
+// 15-minute grid around the requested time.
+async function findNearest(data, res) {
+  const { bookingTime } = data;
+
+  const cfg = await getConfig(data.business_id, data, data.appointmentType);
+  const { timezone, durationMin, maxOverlaps, calendarId } = cfg;
+  const blockingId = cfg.blockingCalendarId;
+  if (!calendarId) {
+    return res.status(400).json({ status: 'error', message: 'missing_calendar' });
+  }
+
+  const wanted = DateTime.fromISO(bookingTime, { zone: timezone });
+  const rangeStart = wanted.minus({ hours: 8 });
+  const rangeEnd   = wanted.plus({ hours: 8, minutes: durationMin });
+
+  const busyRange = {
+    timeMin: rangeStart.minus({ minutes: cfg.bufferBeforeMin }).toJSDate(),
+    timeMax: rangeEnd.plus({ minutes: cfg.bufferAfterMin }).toJSDate()
+  };
+  const { events, blocks } = await fetchBusy(cfg.calendar, { calendarId, blockingId, timezone, ...busyRange });
+  const staff = await slotStaff(cfg, data, busyRange);
+
+  const slots = computeSlots({
+    rangeStart, rangeEnd, timezone,
+    schedule: cfg.schedule,
+    durationMin, maxOverlaps,
+    bufferBeforeMin: cfg.bufferBeforeMin,
+    bufferAfterMin: cfg.bufferAfterMin,
+    events, blocks, staff,
+    notBefore: DateTime.now().setZone(timezone).plus({ minutes: cfg.minLeadMin }),
+    gridOrigin: rangeStart
+  });
+  const [best] = rankSlots(slots, { target: wanted, limit: 1 });
+
+  if (!best) {
+    return res.status(404).json({ status:'not_found', message:'No slot found' });
+  }
+
+  return res.json({
+    status: 'success',
+    results: {
+      status: 'available',
+      data: {
+        start: toLocalISOString(best.start.toJSDate(), timezone),
+        end: toLocalISOString(best.end.toJSDate(), timezone),
+        direction: best.start < wanted ? 'before' : 'after'
+      }
+    }
+  });
+}
+
+// AVAILABILITY SEARCH
+// Returns the `limit` best free slots for a range:
+//   mode "next"        -> earliest slots from bookingTime (or now) onward, up to `days` ahead
+//   mode "same_day"    -> slots on bookingTime's day, closest to bookingTime first
+//   mode "within_days" -> slots in the `days` days starting bookingTime's day, closest first
+// With staff assignment a slot needs a free, eligible person (brand and
+// preferredStaff narrow who counts).
+async function availability(data, res) {
+  const { bookingTime, mode, limit } = data;
+
+  const cfg = await getConfig(data.business_id, data, data.appointmentType);
+  const { timezone, durationMin, maxOverlaps, calendarId } = cfg;
+  const blockingId = cfg.blockingCalendarId;
+  if (!calendarId) {
+    return res.status(400).json({ status: 'error', message: 'missing_calendar' });
+  }
+
+  const now       = DateTime.now().setZone(timezone);
+  const notBefore = now.plus({ minutes: cfg.minLeadMin });
+  const target    = bookingTime ? DateTime.fromISO(bookingTime, { zone: timezone }) : null;
+  const anchor    = target || now;
+  const days      = Math.min(data.days || (mode === 'next' ? 14 : 7), MAX_RANGE_DAYS);
+
+  let rangeStart, rangeEnd;
+  if (mode === 'same_day') {
+    rangeStart = anchor.startOf('day');
+    rangeEnd   = rangeStart.plus({ days: 1 });
+  } else if (mode === 'within_days') {
+    rangeStart = anchor.startOf('day');
+    rangeEnd   = rangeStart.plus({ days });
+  } else {
+    rangeStart = anchor;
+    rangeEnd   = anchor.plus({ days });
+  }
+  if (rangeStart < now) rangeStart = now;
+
+  if (rangeEnd <= notBefore) {
+    return res.status(404).json({ status: 'not_found', message: 'No slot found' });
+  }
+
+  const busyRange = {
+    timeMin: rangeStart.minus({ minutes: cfg.bufferBeforeMin }).toJSDate(),
+    timeMax: rangeEnd.plus({ minutes: cfg.bufferAfterMin }).toJSDate()
+  };
+  const { events, blocks } = await fetchBusy(cfg.calendar, { calendarId, blockingId, timezone, ...busyRange });
+  const staff = await slotStaff(cfg, data, busyRange);
+
+  const slots = computeSlots({
+    rangeStart, rangeEnd, timezone,
+    schedule: cfg.schedule,
+    durationMin, maxOverlaps,
+    bufferBeforeMin: cfg.bufferBeforeMin,
+    bufferAfterMin: cfg.bufferAfterMin,
+    events, blocks, staff, notBefore
+  });
+  const best = rankSlots(slots, { target: mode === 'next' ? null : target, limit });
+  console.log("[availability] result", { calendarId, mode, days, candidates: slots.length, returned: best.length });
+
+  if (best.length === 0) {
+    return res.status(404).json({ status: 'not_found', message: 'No slot found' });
+  }
+
+  return res.json({
+    status: 'success',
+    results: {
+      status: 'available',
+      data: {
+        mode,
+        slots: best.map(sl => ({
+          start: toLocalISOString(sl.start.toJSDate(), timezone),
+          end:   toLocalISOString(sl.end.toJSDate(), timezone),
+          free:  sl.free
+        }))
+      }
+    }
+  });
+}
+
+// ===============================
+// Action router
+// ===============================
+// Every action validates against its schema, resolves its config from
+// business_settings (see settings.js) and answers with the same
+// envelope /testdrive uses:
+//   success  -> { status: "success", results: { status, data } }
+//   rejected -> { status: "rejected", reason }
+//   error    -> { status: "error", message }
+const CONFIG_FIELDS = {
+  timezone:    { type: "timezone" },
+  officeStart: { type: "number", min: 0, max: 24 },
+  officeEnd:   { type: "number", min: 0, max: 24 },
+  durationMin: { type: "integer", min: 1, max: 480 },
+  maxOverlaps: { type: "integer", min: 1 }
+};
+
+const ACTIONS = {
+  book: {
+    handler: book,
+    schema: {
+      fields: {
+        business_id:        { type: "string", required: true },
+        name:               { type: "string", required: true },
+        email:              { type: "email" },
+        phone:              { type: "phone" },
+        bookingTime:        { type: "datetime", required: true },
+        calendarId:         { type: "string" },
+        blockingCalendarId: { type: "string" },
+        appointmentType:    { type: "string" },
+        specialNotes:       { type: "string" },
+        windowStart:        { type: "datetime" },
+        windowEnd:          { type: "datetime" },
+        partySize:          { type: "integer", min: 1 },
+        attendees:          { type: "array" },           // [{ name, email, phone }], besides the booker
+        recurrence:         { type: "string" },          // RRULE, e.g. "FREQ=MONTHLY;BYDAY=1MO;COUNT=12"
+        skipConflicts:      { type: "boolean", default: false },
+        preferredStaff:     { type: "string" },          // staff id or name
+        brand:              { type: "string" },          // make, for staff who handle certain brands
+        ...CONFIG_FIELDS
+      }
+    }
+  },
+  cancel: {
+    handler: cancel,
+    schema: {
+      fields: {
+        business_id: { type: "string", required: true },
+        name:        { type: "string", required: true },
+        email:       { type: "email" },
+        phone:       { type: "phone" },
+        calendarId:  { type: "string" },
+        bookingTime: { type: "datetime" },
+        scope:       { type: "string", enum: ["booking", "series"], default: "booking" }
+      },
+      anyOf: [["email", "phone"]]
+    }
+  },
+  reschedule: {
+    handler: reschedule,
+    schema: {
+      fields: {
+        business_id:        { type: "string", required: true },
+        name:               { type: "string", required: true },
+        email:              { type: "email" },
+        phone:              { type: "phone" },
+        calendarId:         { type: "string" },
+        blockingCalendarId: { type: "string" },
+        newBookingTime:     { type: "datetime", required: true },
+        currentBookingTime: { type: "datetime" },
+        ...CONFIG_FIELDS
+      },
+      anyOf: [["email", "phone"]]
+    }
+  },
+  findNearest: {
+    handler: findNearest,
+    schema: {
+      fields: {
+        business_id:        { type: "string", required: true },
+        bookingTime:        { type: "datetime", required: true },
+        appointmentType:    { type: "string" },
+        calendarId:         { type: "string" },
+        blockingCalendarId: { type: "string" },
+        preferredStaff:     { type: "string" },
+        brand:              { type: "string" },
+        ...CONFIG_FIELDS
+      }
+    }
+  },
+  availability: {
+    handler: availability,
+    schema: {
+      fields: {
+        business_id:        { type: "string", required: true },
+        calendarId:         { type: "string" },
+        blockingCalendarId: { type: "string" },
+        bookingTime:        { type: "datetime" },
+        appointmentType:    { type: "string" },
+        mode:               { type: "string", enum: ["next", "same_day", "within_days"], default: "next" },
+        days:               { type: "integer", min: 1, max: MAX_RANGE_DAYS },
+        limit:              { type: "integer", min: 1, max: 20, default: 3 },
+        preferredStaff:     { type: "string" },
+        brand:              { type: "string" },
+        ...CONFIG_FIELDS
+      }
+    }
+  }
+};
+
+// Agent-facing aliases for action names
+const ACTION_ALIASES = {
+  find_nearest: "findNearest",
+  nearest: "findNearest",
+  next_available: "availability"
+};
+
+async function dispatch(action, data, res, opts) {
+  const name = ACTION_ALIASES[action] || action;
+  const entry = Object.prototype.hasOwnProperty.call(ACTIONS, name) ? ACTIONS[name] : null;
+  if (!entry) {
+    console.warn("[action] unknown_action", { action });
+    return res.status(400).json({ status: "error", message: "unknown_action", actions: Object.keys(ACTIONS) });
+  }
+
+  const { ok, value, errors } = validate(entry.schema, data);
+  if (!ok) {
+    console.warn(`[${name}] invalid_input`, { errors });
+    return res.status(400).json({ status: "error", message: "invalid_input", errors });
+  }
+
+  try {
+    return await entry.handler(value, res, opts);
+  } catch (e) {
+    if (sendConfigError(res, e)) return;
+    console.error(`[${name}] unexpected error`, e);
+    return res.status(500).json({ status: "error", message: "server_error" });
+  }
+}
+
+// Legacy single endpoint: { action: "book" | "cancel" | "reschedule" | "findNearest" | "availability", ... }
+app.post("/book-appointment", agentAuth, (req, res) => dispatch(req.body?.action, req.body || {}, res));
+
+// Dedicated routes
+app.post("/appointments/book",         agentAuth, (req, res) => dispatch("book", req.body || {}, res));
+app.post("/appointments/cancel",       agentAuth, (req, res) => dispatch("cancel", req.body || {}, res));
+app.post("/appointments/reschedule",   agentAuth, (req, res) => dispatch("reschedule", req.body || {}, res));
+app.post("/appointments/find-nearest", agentAuth, (req, res) => dispatch("findNearest", req.body || {}, res));
+app.post("/appointments/availability", agentAuth, (req, res) => dispatch("availability", req.body || {}, res));
+
+// ===============================
+// Waitlist
+// ===============================
+const WAITLIST_JOIN_SCHEMA = {
+  fields: {
+    business_id:      { type: "string", required: true },
+    kind:             { type: "string", enum: ["appointment", "testdrive"], default: "appointment" },
+    appointmentType:  { type: "string" },
+    name:             { type: "string", required: true },
+    email:            { type: "email" },
+    phone:            { type: "phone" },
+    model:            { type: "string" },
+    trim:             { type: "string" },
+    requireExactTrim: { type: "boolean" },
+    calendarId:       { type: "string" },
+    windowStart:      { type: "datetime", required: true },
+    windowEnd:        { type: "datetime", required: true }
+  },
+  anyOf: [["email", "phone"]]
+};
+
+// POST /waitlist — join explicitly (rejections join automatically when enabled)
+app.post("/waitlist", agentAuth, async (req, res) => {
+  const { ok, value: data, errors } = validate(WAITLIST_JOIN_SCHEMA, req.body);
+  if (!ok) return res.status(400).json({ status: "error", message: "invalid_input", errors });
+
+  if (DateTime.fromISO(data.windowEnd) <= DateTime.fromISO(data.windowStart)) {
+    return res.status(400).json({ status: "error", message: "invalid_window" });
+  }
+
+  try {
+    const cfg = await getConfig(data.business_id, data, data.appointmentType || (data.kind === "testdrive" ? "testdrive" : undefined));
+    const joined = await joinWaitlist({
+      ...data,
+      phone: normalizePhone(data.phone, cfg.phoneCountryCode) || data.phone,
+      appointmentType: cfg.appointmentType.key,
+      calendarId: cfg.calendarId,
+      blockingCalendarId: cfg.blockingCalendarId
+    });
+    notifyCapacityFreed(data.business_id);
+    return res.status(201).json({
+      status: "success",
+      results: { status: "waitlisted", data: { waitlistId: joined.id, position: joined.position } }
+    });
+  } catch (e) {
+    if (sendConfigError(res, e)) return;
+    console.error("[waitlist] join error", e);
+    return res.status(500).json({ status: "error", message: "server_error" });
+  }
+});
+
+// GET /waitlist/offers?business_id=...&phone=...&email=...
+// Open (unexpired) offers, optionally narrowed to one caller
+app.get("/waitlist/offers", agentAuth, async (req, res) => {
+  const business_id = (req.query.business_id || "").trim();
+  if (!business_id) return res.status(400).json({ status: "error", message: "missing_business_id" });
+
+  let q = supabase
+    .from("waitlist")
+    .select("id, kind, appointment_type, name, email, phone, model, preferred_trim, offered_start, offered_end, offered_car_unit_id, offer_expires_at")
+    .eq("business_id", business_id)
+    .eq("status", "offered")
+    .gt("offer_expires_at", new Date().toISOString())
+    .order("offer_expires_at", { ascending: true });
+  if (req.query.phone) {
+    // stored normalized (older entries as given)
+    const raw = String(req.query.phone).trim();
+    let countryCode;
+    try {
+      countryCode = (await loadSettings(business_id))?.phone_country_code || DEFAULT_SETTINGS.phone_country_code;
+    } catch (e) {
+      console.error("[waitlist] offers error", e);
+      return res.status(500).json({ status: "error", message: "db_error" });
+    }
+    const phone = normalizePhone(raw, countryCode);
+    q = q.in("phone", phone ? [phone, raw] : [raw]);
+  }
+  if (req.query.email) q = q.eq("email", String(req.query.email).trim().toLowerCase());
+
+  const { data, error } = await q;
+  if (error) {
+    console.error("[waitlist] offers error", error);
+    return res.status(500).json({ status: "error", message: "db_error" });
+  }
+
+  return res.json({
+    status: "success",
+    results: {
+      status: "offers",
+      data: {
+        offers: (data || []).map(o => ({
+          waitlistId: o.id,
+          kind: o.kind,
+          appointmentType: o.appointment_type,
+          name: o.name,
+          model: o.model,
+          trim: o.preferred_trim,
+          carUnitId: o.offered_car_unit_id,
+          start: o.offered_start,
+          end: o.offered_end,
+          expiresAt: o.offer_expires_at
+        }))
+      }
+    }
+  });
+});
+
+// POST /waitlist/:id/accept { business_id } — book the offered slot
+app.post("/waitlist/:id/accept", agentAuth, async (req, res) => {
+  const business_id = req.body?.business_id;
+  if (!business_id) return res.status(400).json({ status: "error", message: "missing_business_id" });
+
+  // Claim the offer first: only one accept (and no expiry) gets past here
+  const { data: entry, error } = await supabase
+    .from("waitlist")
+    .update({ status: "accepting" })
+    .eq("id", req.params.id)
+    .eq("business_id", business_id)
+    .eq("status", "offered")
+    .gt("offer_expires_at", new Date().toISOString())
+    .select("*")
+    .maybeSingle();
+  if (error) return res.status(500).json({ status: "error", message: "db_error" });
+  if (!entry) {
+    const { data: existing, error: readErr } = await supabase
+      .from("waitlist")
+      .select("id")
+      .eq("id", req.params.id)
+      .eq("business_id", business_id)
+      .maybeSingle();
+    if (readErr) return res.status(500).json({ status: "error", message: "db_error" });
+    if (!existing) return res.status(404).json({ status: "not_found", message: "No such waitlist entry" });
+    return res.status(409).json({ status: "rejected", reason: "offer_not_active" });
+  }
+
+  const request = {
+    business_id,
+    name: entry.name,
+    email: entry.email || undefined,
+    phone: entry.phone || undefined,
+    bookingTime: entry.offered_start,
+    appointmentType: entry.appointment_type || undefined,
+    calendarId: entry.calendar_id || undefined,
+    blockingCalendarId: entry.blocking_calendar_id || undefined
+  };
+
+  // The offer only reserved the slot among waitlisted callers, so book through
+  // the normal path — it re-checks capacity and unit availability. A
+  // rejection puts this entry back to waiting rather than adding another.
+  const { res: cap, out } = captureResponse();
+  if (entry.kind === "testdrive") {
+    await testdrive({
+      ...request,
+      model: entry.model || undefined,
+      trim: entry.preferred_trim || undefined,
+      requireExactTrim: entry.require_exact_trim
+    }, cap, { waitlist: false });
+  } else {
+    await dispatch("book", request, cap, { waitlist: false });
+  }
+
+  const booked = out.body?.status === "success";
+  await supabase
+    .from("waitlist")
+    .update(booked
+      ? { status: "accepted", booking_ref: out.body.results?.data?.appointmentId || out.body.results?.data?.eventId || null }
+      : { status: "waiting", offered_start: null, offered_end: null, offered_car_unit_id: null, offer_expires_at: null })
+    .eq("id", entry.id)
+    .eq("status", "accepting");
+  console.log("[waitlist] accept", { id: entry.id, booked, code: out.code });
+
+  return res.status(out.code).json(out.body);
+});
+
+// POST /waitlist/:id/decline { business_id } — leave the waitlist, pass the slot on
+app.post("/waitlist/:id/decline", agentAuth, async (req, res) => {
+  const business_id = req.body?.business_id;
+  if (!business_id) return res.status(400).json({ status: "error", message: "missing_business_id" });
+
+  const { data, error } = await supabase
+    .from("waitlist")
+    .update({ status: "declined" })
+    .eq("id", req.params.id)
+    .eq("business_id", business_id)
+    .in("status", ["waiting", "offered"])
+    .select("id")
+    .maybeSingle();
+  if (error) return res.status(500).json({ status: "error", message: "db_error" });
+  if (!data) return res.status(404).json({ status: "not_found", message: "No open waitlist entry" });
+
+  notifyCapacityFreed(business_id);
+  return res.json({ status: "success", results: { status: "declined", data: { waitlistId: data.id } } });
+});
+
+// POST /waitlist/process { business_id } — re-run offers, e.g. after an inventory change
+app.post("/waitlist/process", agentAuth, async (req, res) => {
+  const business_id = req.body?.business_id;
+  if (!business_id) return res.status(400).json({ status: "error", message: "missing_business_id" });
+  try {
+    const offered = await processWaitlist(business_id);
+    return res.json({ status: "success", results: { status: "processed", data: { offered } } });
+  } catch (e) {
+    console.error("[waitlist] process error", e);
+    return res.status(500).json({ status: "error", message: "server_error" });
+  }
+});
+
+
+// ===============================
+// Self-service links
+// ===============================
+// Public endpoints behind the signed token issued with every booking
+// (tokens.js). The token names one exact booking, so there is no
+// name + email/phone matching here; the business' cancellation cutoff
+// still applies and request-level config overrides are ignored.
+const TOKEN_ERRORS = {
+  tokens_disabled: 503,
+  invalid_token: 401,
+  token_expired: 410
+};
+
+// Tokens issued before general bookings moved to appointments carry the
+// gcal event id instead of the row id
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Verify the token and load its booking. Sends the error response and
+// returns null when there is nothing to act on.
+async function loadManaged(req, res) {
+  const token = verifyToken(req.params.token);
+  if (!token.ok) {
+    res.status(TOKEN_ERRORS[token.reason] || 401).json({ status: "error", message: token.reason });
+    return null;
+  }
+  const { business_id, kind, ref } = token;
+  if (kind !== "appointment" && kind !== "testdrive") {
+    res.status(401).json({ status: "error", message: "invalid_token" });
+    return null;
+  }
+
+  const { data: appt, error } = await supabase
+    .from("appointments")
+    .select("*")
+    .eq("business_id", business_id)
+    .eq(UUID_RE.test(ref) ? "id" : "gcal_event_id", ref)
+    .eq("status", "booked")
+    .maybeSingle();
+  if (error) {
+    console.error("[manage] lookup_failed", { kind, error });
+    res.status(500).json({ status: "error", message: "lookup_failed" });
+    return null;
+  }
+  if (!appt) {
+    res.status(404).json({ status: "not_found", message: "No matching appointment" });
+    return null;
+  }
+
+  const cfg = await getConfig(business_id, {}, kind === "testdrive" ? "testdrive" : undefined);
+  return { kind, cfg, appt };
+}
+
+// Same rule cancel() applies: no changes inside the cutoff window
+function pastCutoff({ cfg, appt }) {
+  return DateTime.fromISO(appt.starts_at).diff(DateTime.now(), "minutes").minutes < cfg.cancelCutoffMin;
+}
+
+app.get("/manage/:token", async (req, res) => {
+  try {
+    const managed = await loadManaged(req, res);
+    if (!managed) return;
+    const { kind, cfg, appt } = managed;
+    const changeable = !pastCutoff(managed);
+
+    return res.json({
+      status: "success",
+      results: {
+        status: "found",
+        data: {
+          kind,
+          appointmentId: appt.id,
+          eventId: appt.gcal_event_id,
+          name: appt.name,
+          appointmentType: appt.appointment_type || (kind === "testdrive" ? "testdrive" : null),
+          model: appt.model || null,
+          start: toLocalISOString(new Date(appt.starts_at), cfg.timezone),
+          end: toLocalISOString(new Date(appt.ends_at), cfg.timezone),
+          canCancel: changeable,
+          canReschedule: changeable
+        }
+      }
+    });
+  } catch (e) {
+    if (sendConfigError(res, e)) return;
+    console.error("[manage] view error", e);
+    return res.status(500).json({ status: "error", message: "server_error" });
+  }
+});
+
+app.post("/manage/:token/cancel", async (req, res) => {
+  try {
+    const managed = await loadManaged(req, res);
+    if (!managed) return;
+    if (pastCutoff(managed)) {
+      return res.status(409).json({ status: "rejected", reason: "too_close_to_cancel" });
+    }
+    return await cancelAppointment(managed.cfg, managed.appt, res);
+  } catch (e) {
+    if (sendConfigError(res, e)) return;
+    console.error("[manage] cancel error", e);
+    return res.status(500).json({ status: "error", message: "server_error" });
+  }
+});
+
+const MANAGE_RESCHEDULE_SCHEMA = {
+  fields: {
+    newBookingTime: { type: "datetime", required: true }
+  }
+};
+
+app.post("/manage/:token/reschedule", async (req, res) => {
+  const { ok, value, errors } = validate(MANAGE_RESCHEDULE_SCHEMA, req.body || {});
+  if (!ok) return res.status(400).json({ status: "error", message: "invalid_input", errors });
+
+  try {
+    const managed = await loadManaged(req, res);
+    if (!managed) return;
+    if (pastCutoff(managed)) {
+      return res.status(409).json({ status: "rejected", reason: "too_close_to_reschedule" });
+    }
+    const data = { business_id: managed.cfg.businessId, newBookingTime: value.newBookingTime };
+    return await moveAppointment(managed.cfg, managed.appt, data, res);
+  } catch (e) {
+    if (sendConfigError(res, e)) return;
+    console.error("[manage] reschedule error", e);
+    return res.status(500).json({ status: "error", message: "server_error" });
+  }
+});
+
+// ===============================================
+//  Calendar sync (calendarSync.js)
+// ===============================================
+
+// Google Calendar push notifications. Authenticated by the channel token
+// set when the channel was created; the sync runs after the reply.
+app.post(WEBHOOK_PATH, async (req, res) => {
+  try {
+    const known = await handleNotification({
+      channelId: req.get("X-Goog-Channel-ID"),
+      channelToken: req.get("X-Goog-Channel-Token"),
+      resourceId: req.get("X-Goog-Resource-ID"),
+      state: req.get("X-Goog-Resource-State")
+    });
+    return res.status(known ? 200 : 404).end();
+  } catch (e) {
+    console.error("[calendarSync] webhook error", e);
+    return res.status(500).end();
+  }
+});
+
+// Reconcile one business's upcoming bookings with the calendar now
+app.post("/calendar-sync/reconcile", dashboardAuth, async (req, res) => {
+  try {
+    const summary = await reconcileBusiness(req.businessId);
+    return res.json({ ok: true, ...summary });
+  } catch (e) {
+    if (e.code === "settings_unavailable" || e.code === "calendar_misconfigured") {
+      return res.status(503).json({ ok: false, error: e.code });
+    }
+    console.error("[calendarSync] reconcile error", { businessId: req.businessId, e });
+    return res.status(502).json({ ok: false, error: "reconcile_failed" });
+  }
+});
+
+// ===============================================
+//  Outbox dead letters (outbox.js)
+// ===============================================
+
+// GET /outbox/dead?business_id=...&limit=50
+app.get("/outbox/dead", dashboardAuth, async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  try {
+    const jobs = await deadLetters(req.businessId, { limit });
+    return res.json({ ok: true, jobs });
+  } catch (e) {
+    console.error("[outbox] dead letters error", e);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+});
+
+// Give a dead job fresh attempts and run it now
+app.post("/outbox/:id/retry", requireBusinessUser, async (req, res) => {
+  try {
+    const run = await retryDead(req.businessId, req.params.id);
+    return res.json({ ok: run.status !== "dead", status: run.status, result: run.result, error: run.error?.message });
+  } catch (e) {
+    if (e.code === "outbox_job_not_found") return res.status(404).json({ ok: false, error: "Dead job not found" });
+    console.error("[outbox] retry error", e);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+});
+
+// ===============================================
+//  Customers (customers.js)
+// ===============================================
+
+// noShows: include the recorded no-show count (business_settings.track_no_shows)
+const customerJson = (c, { noShows = true } = {}) => ({
+  customerId: c.id,
+  name: c.name,
+  phone: c.phone,
+  email: c.email,
+  firstSeenAt: c.first_seen_at,
+  lastSeenAt: c.last_seen_at,
+  ...(noShows ? { noShowCount: c.no_show_count ?? 0 } : {})
+});
+
+const historyJson = (history, timezone) => {
+  const appt = (a) => ({
+    appointmentId: a.id,
+    callType: a.call_type,
+    appointmentType: a.appointment_type,
+    status: a.status,
+    ...(a.outcome ? { outcome: a.outcome } : {}),
+    start: toLocalISOString(new Date(a.starts_at), a.timezone || timezone),
+    end: toLocalISOString(new Date(a.ends_at), a.timezone || timezone),
+    ...(a.model ? { model: a.model, trim: a.preferred_trim || null } : {})
+  });
+  return { upcoming: history.upcoming.map(appt), recent: history.recent.map(appt), calls: history.calls };
+};
+
+// GET /customers/lookup?phone=...&email=...
+// Who is calling: the customer with their upcoming and past bookings, so
+// the agent can greet a returning caller
+app.get("/customers/lookup", agentAuth, async (req, res) => {
+  const phone = req.query.phone ? String(req.query.phone) : null;
+  const email = req.query.email ? String(req.query.email) : null;
+  if (!phone && !email) return res.status(400).json({ status: "error", message: "missing_contact" });
+
+  try {
+    const settings = await loadSettings(req.businessId);
+    const countryCode = settings?.phone_country_code || DEFAULT_SETTINGS.phone_country_code;
+    const customer = await findCustomer(req.businessId, { phone, email }, { countryCode });
+    if (!customer) return res.status(404).json({ status: "not_found", message: "No matching customer" });
+
+    const history = await customerHistory(req.businessId, customer.id, { limit: 5 });
+    return res.json({
+      status: "success",
+      results: {
+        status: "found",
+        data: {
+          ...customerJson(customer, { noShows: settings?.track_no_shows ?? DEFAULT_SETTINGS.track_no_shows }),
+          ...historyJson(history, settings?.timezone || DEFAULT_SETTINGS.timezone)
+        }
+      }
+    });
+  } catch (e) {
+    if (sendConfigError(res, e)) return;
+    console.error("[customers] lookup error", e);
+    return res.status(500).json({ status: "error", message: "lookup_failed" });
+  }
+});
+
+// GET /customers/:id?business_id=... — one customer and their history
+app.get("/customers/:id", dashboardAuth, async (req, res) => {
+  try {
+    const customer = await getCustomer(req.businessId, req.params.id);
+    if (!customer) return res.status(404).json({ ok: false, error: "Customer not found" });
+    const [settings, history] = await Promise.all([
+      loadSettings(req.businessId),
+      customerHistory(req.businessId, customer.id, { limit: 50 })
+    ]);
+    return res.json({
+      ok: true,
+      customer: customerJson(customer),
+      ...historyJson(history, settings?.timezone || DEFAULT_SETTINGS.timezone)
+    });
+  } catch (e) {
+    if (e.code === "settings_unavailable") return res.status(503).json({ ok: false, error: e.code });
+    console.error("[customers] get error", e);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+});
+
+// POST /customers/merge { business_id, keepId, mergeIds: [] }
+// For duplicates automatic matching can't see (different phone and email)
+app.post("/customers/merge", requireBusinessUser, async (req, res) => {
+  const { keepId, mergeIds } = req.body || {};
+  if (typeof keepId !== "string" || !Array.isArray(mergeIds) || !mergeIds.length ||
+      !mergeIds.every(id => typeof id === "string")) {
+    return res.status(400).json({ ok: false, error: "keepId and mergeIds are required" });
+  }
+
+  try {
+    const customer = await mergeCustomers(req.businessId, keepId, mergeIds);
+    return res.json({ ok: true, customer: customerJson(customer) });
+  } catch (e) {
+    if (e.code === "customer_not_found") return res.status(404).json({ ok: false, error: "Customer not found" });
+    if (e.code === "22P02") return res.status(400).json({ ok: false, error: "Invalid customer id" });
+    console.error("[customers] merge error", e);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+});
+
+// ===============================================
+//  Staff (staff.js; dashboard, signed-in business owner)
+// ===============================================
+// GET   /staff?business_id=...          everyone, inactive included
+// POST  /staff                          { business_id, name, email?, phone?, calendar_id?,
+//                                         weekly_hours?, appointment_types?, brands? }
+// PATCH /staff/:id                      { business_id, any of the above, is_active? }
+// POST  /staff/:id/deactivate           { business_id }
+// Deactivating someone reports their upcoming bookings, which keep them
+// until moved. Who gets assigned is business_settings.staff_assignment.
+
+app.get("/staff", dashboardAuth, async (req, res) => {
+  try {
+    const staff = await listStaff(req.businessId);
+    return res.json({ ok: true, staff });
+  } catch (e) {
+    console.error("[staff] list error", e);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+});
+
+app.post("/staff", requireBusinessUser, async (req, res) => {
+  const { business_id, ...fields } = req.body || {};
+  const { ok, value, errors } = validateStaff(fields);
+  if (!ok) return res.status(400).json({ ok: false, error: "invalid_input", errors });
+
+  try {
+    const member = await createStaff(req.businessId, value);
+    return res.status(201).json({ ok: true, staff: member });
+  } catch (e) {
+    console.error("[staff] create error", e);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+});
+
+async function changeStaff(req, res, patch) {
+  try {
+    const member = await updateStaff(req.businessId, req.params.id, patch);
+    if (!member) return res.status(404).json({ ok: false, error: "Staff member not found" });
+    const affectedBookings = patch.is_active === false
+      ? await upcomingFor(req.businessId, member.id)
+      : undefined;
+    return res.json({ ok: true, staff: member, ...(affectedBookings ? { affectedBookings } : {}) });
+  } catch (e) {
+    if (e.code === "22P02") return res.status(400).json({ ok: false, error: "Invalid staff id" });
+    console.error("[staff] update error", e);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+}
+
+app.patch("/staff/:id", requireBusinessUser, (req, res) => {
+  const { business_id, ...fields } = req.body || {};
+  const { ok, value, errors } = validateStaff(fields, { partial: true });
+  if (!ok) return res.status(400).json({ ok: false, error: "invalid_input", errors });
+  if (Object.keys(value).length === 0) {
+    return res.status(400).json({ ok: false, error: "invalid_input", errors: [{ field: "body", message: `nothing to update (${STAFF_EDITABLE.join(", ")})` }] });
+  }
+  return changeStaff(req, res, value);
+});
+
+app.post("/staff/:id/deactivate", requireBusinessUser, (req, res) =>
+  changeStaff(req, res, { is_active: false }));
+
+// ===============================================
+//  Appointment outcomes (outcomes.js; dashboard)
+// ===============================================
+// GET  /appointments/awaiting-outcome?business_id=...   over, nothing recorded yet
+// POST /appointments/:id/outcome   { business_id, outcome: attended|no_show|sold, notes? }
+// Recording again corrects the outcome; notes are kept unless new ones
+// are sent.
+
+app.get("/appointments/awaiting-outcome", dashboardAuth, async (req, res) => {
+  try {
+    const [settings, rows] = await Promise.all([
+      loadSettings(req.businessId),
+      awaitingOutcome(req.businessId)
+    ]);
+    const timezone = settings?.timezone || DEFAULT_SETTINGS.timezone;
+    const appointments = rows.map(a => ({
+      appointmentId: a.id,
+      callType: a.call_type,
+      appointmentType: a.appointment_type,
+      start: toLocalISOString(new Date(a.starts_at), a.timezone || timezone),
+      end: toLocalISOString(new Date(a.ends_at), a.timezone || timezone),
+      name: a.name,
+      phone: a.phone,
+      email: a.email,
+      customerId: a.customer_id,
+      staffId: a.staff_id,
+      ...(a.model ? { model: a.model, trim: a.preferred_trim || null, carUnitId: a.car_unit_id } : {})
+    }));
+    return res.json({ ok: true, appointments });
+  } catch (e) {
+    if (e.code === "settings_unavailable") return res.status(503).json({ ok: false, error: e.code });
+    console.error("[outcomes] list error", e);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+});
+
+app.post("/appointments/:id/outcome", requireBusinessUser, async (req, res) => {
+  const { ok, value, errors } = validate(OUTCOME_SCHEMA, req.body);
+  if (!ok) return res.status(400).json({ ok: false, error: "invalid_input", errors });
+
+  try {
+    const settings = await loadSettings(req.businessId);
+    const appt = await recordOutcome(req.businessId, req.params.id, {
+      outcome: value.outcome,
+      notes: value.notes,
+      by: req.user?.id,
+      countNoShows: settings?.track_no_shows ?? DEFAULT_SETTINGS.track_no_shows
+    });
+    return res.json({
+      ok: true,
+      appointment: {
+        appointmentId: appt.id,
+        status: appt.status,
+        outcome: appt.outcome,
+        notes: appt.outcome_notes,
+        recordedAt: appt.outcome_at
+      }
+    });
+  } catch (e) {
+    if (e.code === "appointment_not_found") return res.status(404).json({ ok: false, error: "Appointment not found" });
+    if (e.code === "outcome_not_allowed") {
+      return res.status(409).json({ ok: false, error: "Only appointments that have started and weren't cancelled or moved take an outcome" });
+    }
+    if (e.code === "22P02") return res.status(400).json({ ok: false, error: "Invalid appointment id" });
+    if (e.code === "settings_unavailable") return res.status(503).json({ ok: false, error: e.code });
+    console.error("[outcomes] record error", e);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+});
+
+// Background jobs
+jobs.every("waitlist-expiry", 60 * 1000, () => expireOffers());
+jobs.every("testdrive-holds", 60 * 1000, expireHolds);
+jobs.every("outbox", 15 * 1000, processOutbox);
+jobs.every("notifications", 30 * 1000, deliverDue);
+jobs.every("appointments-outcome", 10 * 60 * 1000, flagPastAppointments);
+jobs.every("calendar-watches", 30 * 60 * 1000, renewWatches);
+jobs.every("calendar-reconcile", 60 * 60 * 1000, reconcileAll);
+jobs.every("customers-backfill", 5 * 60 * 1000, () => backfillCustomers());
+
+// Start server
+const PORT = process.env.PORT || 3000;
+app.listen(PORT, () => {
+  console.log(`Listening on ${PORT}`);
+  jobs.start();
+});
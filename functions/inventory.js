@@ -0,0 +1,289 @@
+// ===============================================
+//  Inventory management
+//  Unit validation (VIN check digit) and dealer-feed import:
+//  parse -> validate -> dedupe by VIN -> diff against the cars
+//  table -> apply (or report only, for a dry run).
+// ===============================================
+const supabase = require('./supabase');
+const { parseCsv } = require('./csv');
+
+// Fields dealers can set on a unit
+const EDITABLE = ['make', 'model', 'trim', 'vin', 'year', 'colour', 'price', 'body_type', 'is_active'];
+
+// ISO 3779 transliteration and position weights
+const VIN_VALUES = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const VIN_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+const normalizeVin = (v) => String(v || '').trim().toUpperCase().replace(/[\s-]/g, '');
+
+/**
+ * 17 characters, no I/O/Q, and a matching check digit (position 9).
+ * @returns {string|null} error message, or null when valid
+ */
+function vinError(vin) {
+  if (!/^[A-HJ-NPR-Z0-9]{17}$/.test(vin)) return 'VIN must be 17 characters (letters I, O and Q are not allowed)';
+  let sum = 0;
+  for (let i = 0; i < 17; i++) {
+    const ch = vin[i];
+    const value = /\d/.test(ch) ? Number(ch) : VIN_VALUES[ch];
+    sum += value * VIN_WEIGHTS[i];
+  }
+  const check = sum % 11 === 10 ? 'X' : String(sum % 11);
+  return vin[8] === check ? null : `VIN check digit should be ${check}`;
+}
+
+const toBool = (v) => {
+  if (typeof v === 'boolean') return v;
+  const s = String(v ?? '').trim().toLowerCase();
+  if (['true', 'yes', 'y', '1', 'active'].includes(s)) return true;
+  if (['false', 'no', 'n', '0', 'inactive', 'sold'].includes(s)) return false;
+  return undefined;
+};
+
+/**
+ * Validate and normalise unit fields. With `partial` (updates) only the
+ * fields present are checked.
+ *
+ * @returns {{ ok: boolean, value: object, errors: {field: string, message: string}[] }}
+ */
+function validateUnit(input, { partial = false } = {}) {
+  const value = {};
+  const errors = [];
+  const has = (f) => input[f] !== undefined && input[f] !== null && String(input[f]).trim() !== '';
+
+  if (has('model')) value.model = String(input.model).trim();
+  else if (!partial) errors.push({ field: 'model', message: 'is required' });
+
+  if (input.trim !== undefined) value.trim = has('trim') ? String(input.trim).trim() : null;
+
+  if (has('vin')) {
+    value.vin = normalizeVin(input.vin);
+    const err = vinError(value.vin);
+    if (err) errors.push({ field: 'vin', message: err });
+  } else if (!partial) {
+    errors.push({ field: 'vin', message: 'is required' });
+  }
+
+  for (const f of ['make', 'colour', 'body_type']) {
+    if (input[f] !== undefined) value[f] = has(f) ? String(input[f]).trim() : null;
+  }
+
+  if (input.year !== undefined) {
+    const year = has('year') ? Number(input.year) : null;
+    if (year !== null && !(Number.isInteger(year) && year >= 1900 && year <= 2100)) {
+      errors.push({ field: 'year', message: 'must be a year between 1900 and 2100' });
+    } else {
+      value.year = year;
+    }
+  }
+
+  if (input.price !== undefined) {
+    const price = has('price') ? Number(String(input.price).replace(/[$,\s]/g, '')) : null;
+    if (price !== null && !(Number.isFinite(price) && price >= 0)) {
+      errors.push({ field: 'price', message: 'must be a non-negative number' });
+    } else {
+      value.price = price === null ? null : Math.round(price * 100) / 100;
+    }
+  }
+
+  if (input.is_active !== undefined) {
+    const b = toBool(input.is_active);
+    if (b === undefined) errors.push({ field: 'is_active', message: 'must be true or false' });
+    else value.is_active = b;
+  } else if (!partial) {
+    value.is_active = true;
+  }
+
+  return { ok: errors.length === 0, value, errors };
+}
+
+/**
+ * Feed rows from a CSV string or a JSON array. CSV headers are matched
+ * case-insensitively ("VIN", "Make"/"Brand", "Model", "Trim", "Year", "Colour"/"Color",
+ * "Price", "Body Type", "Active"/"is_active").
+ */
+function parseFeed({ csv, units }) {
+  const rows = csv !== undefined ? parseCsv(csv) : units;
+  if (!Array.isArray(rows)) {
+    throw Object.assign(new Error('invalid_feed'), { code: 'invalid_feed' });
+  }
+  return rows.map(r => {
+    const lower = Object.fromEntries(Object.entries(r || {}).map(([k, v]) => [k.trim().toLowerCase(), v]));
+    return {
+      vin: lower.vin,
+      make: lower.make ?? lower.brand,
+      model: lower.model,
+      trim: lower.trim,
+      year: lower.year,
+      colour: lower.colour ?? lower.color,
+      price: lower.price,
+      body_type: lower.body_type ?? lower['body type'] ?? lower.bodytype,
+      is_active: lower.is_active ?? lower.active
+    };
+  });
+}
+
+const changed = (unit, car) =>
+  EDITABLE.filter(f => f !== 'vin' && unit[f] !== undefined && (unit[f] ?? null) !== (car[f] ?? null));
+
+/**
+ * Work out what an import would do. Nothing is written.
+ *
+ * @param {string} businessId
+ * @param {object[]} rows               from parseFeed()
+ * @param {object} [opts]
+ * @param {boolean} [opts.deactivateMissing=true]  retire active units whose VIN isn't in the feed
+ */
+async function planImport(businessId, rows, { deactivateMissing = true } = {}) {
+  const invalid = [];
+  const duplicates = [];
+  const byVin = new Map();
+
+  rows.forEach((row, i) => {
+    const line = i + 1;
+    const { ok, value, errors } = validateUnit(row);
+    if (!ok) return invalid.push({ row: line, vin: row.vin || null, errors });
+    if (byVin.has(value.vin)) return duplicates.push({ row: line, vin: value.vin, firstRow: byVin.get(value.vin).row });
+    byVin.set(value.vin, { row: line, unit: value });
+  });
+
+  const { data: cars, error } = await supabase
+    .from('cars')
+    .select('id, make, model, trim, vin, year, colour, price, body_type, is_active')
+    .eq('business_id', businessId);
+  if (error) throw error;
+
+  const existing = new Map();
+  for (const car of cars || []) {
+    if (car.vin) existing.set(normalizeVin(car.vin), car);
+  }
+
+  const create = [];
+  const update = [];
+  let unchanged = 0;
+  for (const [vin, { row, unit }] of byVin) {
+    const car = existing.get(vin);
+    if (!car) { create.push({ row, ...unit }); continue; }
+    const fields = changed(unit, car);
+    if (fields.length === 0) { unchanged++; continue; }
+    update.push({
+      row,
+      id: car.id,
+      vin,
+      changes: Object.fromEntries(fields.map(f => [f, { from: car[f] ?? null, to: unit[f] }]))
+    });
+  }
+
+  // A unit is only "missing" if its VIN isn't in the feed at all — a row
+  // that failed validation must not retire the unit it was meant to update
+  const seen = new Set(rows.map(r => normalizeVin(r.vin)).filter(Boolean));
+  const deactivate = deactivateMissing
+    ? (cars || [])
+        .filter(c => c.is_active && c.vin && !seen.has(normalizeVin(c.vin)))
+        .map(c => ({ id: c.id, vin: c.vin, model: c.model, trim: c.trim }))
+    : [];
+
+  return {
+    summary: {
+      rows: rows.length,
+      create: create.length,
+      update: update.length,
+      deactivate: deactivate.length,
+      unchanged,
+      invalid: invalid.length,
+      duplicates: duplicates.length
+    },
+    create,
+    update,
+    deactivate,
+    invalid,
+    duplicates
+  };
+}
+
+/**
+ * Write a plan from planImport(). Invalid and duplicate rows are skipped.
+ * Returns the ids of units that became available (created or
+ * reactivated) and upcoming booked test drives on retired units.
+ */
+async function applyImport(businessId, plan) {
+  const freed = [];
+
+  if (plan.create.length) {
+    const { data, error } = await supabase
+      .from('cars')
+      .insert(plan.create.map(({ row, ...unit }) => ({ ...unit, business_id: businessId })))
+      .select('id, is_active');
+    if (error) throw error;
+    freed.push(...(data || []).filter(c => c.is_active).map(c => c.id));
+  }
+
+  for (const u of plan.update) {
+    const patch = Object.fromEntries(Object.entries(u.changes).map(([f, c]) => [f, c.to]));
+    const { error } = await supabase.from('cars').update(patch).eq('id', u.id).eq('business_id', businessId);
+    if (error) throw error;
+    if (patch.is_active === true) freed.push(u.id);
+  }
+
+  let affectedBookings = [];
+  if (plan.deactivate.length) {
+    const ids = plan.deactivate.map(d => d.id);
+    const { error } = await supabase.from('cars').update({ is_active: false }).in('id', ids).eq('business_id', businessId);
+    if (error) throw error;
+    affectedBookings = await upcomingBookingsFor(businessId, ids);
+  }
+
+  return { freed, affectedBookings };
+}
+
+/**
+ * Make of a unit (staff brand routing), or null when unknown.
+ */
+async function makeOf(businessId, carId) {
+  if (!carId) return null;
+  const { data, error } = await supabase
+    .from('cars')
+    .select('make')
+    .eq('business_id', businessId)
+    .eq('id', carId)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.make || null;
+}
+
+/**
+ * Booked test drives from now on that are allocated to these units —
+ * they need a new unit or a call once the unit is retired.
+ */
+async function upcomingBookingsFor(businessId, carIds) {
+  if (!carIds.length) return [];
+  const { data, error } = await supabase
+    .from('appointments')
+    .select('id, car_unit_id, name, phone, email, starts_at, model')
+    .eq('business_id', businessId)
+    .eq('status', 'booked')
+    .in('car_unit_id', carIds)
+    .gte('starts_at', new Date().toISOString())
+    .order('starts_at', { ascending: true });
+  if (error) {
+    console.error('[inventory] affected_bookings_lookup_failed', { businessId, error });
+    return [];
+  }
+  return data || [];
+}
+
+module.exports = {
+  EDITABLE,
+  normalizeVin,
+  vinError,
+  validateUnit,
+  parseFeed,
+  planImport,
+  applyImport,
+  makeOf,
+  upcomingBookingsFor
+};
@@ -0,0 +1,151 @@
+// ===============================================
+//  Inventory search
+//  Filtered, sorted unit listing with keyset (cursor) pagination,
+//  optionally limited to units free for a test drive window.
+// ===============================================
+const supabase = require('./supabase');
+
+const SORTABLE = ['make', 'model', 'trim', 'year', 'price', 'colour', 'body_type'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const SEARCH_SCHEMA = {
+  fields: {
+    business_id:  { type: 'string', required: true },
+    activeOnly:   { type: 'boolean', default: true },
+    distinct:     { type: 'boolean', default: false },
+    includeTrims: { type: 'boolean', default: false },
+    make:         { type: 'string' },
+    model:        { type: 'string' },
+    trim:         { type: 'string' },
+    year:         { type: 'integer' },
+    yearMin:      { type: 'integer' },
+    yearMax:      { type: 'integer' },
+    colour:       { type: 'string' },
+    color:        { type: 'string' },
+    bodyType:     { type: 'string' },
+    priceMin:     { type: 'number', min: 0 },
+    priceMax:     { type: 'number', min: 0 },
+    q:            { type: 'string' },
+    availableAt:  { type: 'datetime' },
+    duration:     { type: 'integer', min: 1, max: 24 * 60 },
+    sort:         { type: 'string', enum: [...SORTABLE, ...SORTABLE.map(f => `-${f}`)], default: 'model' },
+    limit:        { type: 'integer', min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT },
+    cursor:       { type: 'string' }
+  }
+};
+
+const invalidCursor = () => Object.assign(new Error('invalid_cursor'), { code: 'invalid_cursor' });
+
+// Opaque cursor: the sort it was issued for plus the last row's key
+const encodeCursor = (sort, row, field) =>
+  Buffer.from(JSON.stringify({ s: sort, v: row[field] ?? null, id: row.id })).toString('base64url');
+
+function decodeCursor(cursor, sort) {
+  let c;
+  try {
+    c = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw invalidCursor();
+  }
+  if (!c || c.s !== sort || !/^[0-9a-f-]{36}$/i.test(c.id || '')) throw invalidCursor();
+  if (c.v !== null && typeof c.v !== 'string' && typeof c.v !== 'number') throw invalidCursor();
+  return c;
+}
+
+// Literal for a PostgREST or=() filter
+const orValue = (v) => typeof v === 'number'
+  ? String(v)
+  : `"${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// ilike pattern matching the whole value, case-insensitively
+const ilikeExact = (v) => String(v).replace(/[\\%_]/g, (ch) => `\\${ch}`);
+
+// Free-text words are matched with ilike.*word*; characters that have
+// meaning inside an or=() filter separate words
+const searchWords = (q) => String(q || '')
+  .split(/[\s,()"'\\*%:.]+/)
+  .filter(Boolean)
+  .slice(0, 5);
+
+/**
+ * Car ids with a booked appointment overlapping [start, end) — the same
+ * overlap rule pick_free_car applies. Pass the buffered window.
+ */
+async function busyCarIds(businessId, start, end) {
+  const { data, error } = await supabase.rpc('busy_car_units', {
+    p_business_id: businessId,
+    p_start: start.toISOString(),
+    p_end: end.toISOString()
+  });
+  if (error) throw error;
+  return (data || []).map(r => r.car_id);
+}
+
+/**
+ * Search units.
+ *
+ * @param {object} f             validated SEARCH_SCHEMA values
+ * @param {object} [opts]
+ * @param {string} [opts.model]  canonical model (already matched)
+ * @param {string} [opts.trim]   canonical trim, used instead of a partial trim match
+ * @param {{start: Date, end: Date}} [opts.window]  only units free for this window
+ * @param {boolean} [opts.all]   no pagination (distinct listings)
+ * @returns {Promise<{ cars: object[], nextCursor: string|null }>}
+ */
+async function searchCars(f, { model, trim, window, all = false } = {}) {
+  const desc = f.sort.startsWith('-');
+  const field = desc ? f.sort.slice(1) : f.sort;
+
+  let q = supabase
+    .from('cars')
+    .select('id, make, model, trim, vin, year, colour, price, body_type, is_active')
+    .eq('business_id', f.business_id);
+
+  if (f.activeOnly || window) q = q.eq('is_active', true);
+  if (f.make) q = q.ilike('make', ilikeExact(f.make));
+  if (model) q = q.eq('model', model);
+  if (trim) q = q.eq('trim', trim);
+  else if (f.trim) q = q.ilike('trim', `%${ilikeExact(f.trim)}%`);
+  if (f.year !== undefined) q = q.eq('year', f.year);
+  if (f.yearMin !== undefined) q = q.gte('year', f.yearMin);
+  if (f.yearMax !== undefined) q = q.lte('year', f.yearMax);
+  const colour = f.colour ?? f.color;
+  if (colour) q = q.ilike('colour', ilikeExact(colour));
+  if (f.bodyType) q = q.ilike('body_type', ilikeExact(f.bodyType));
+  if (f.priceMin !== undefined) q = q.gte('price', f.priceMin);
+  if (f.priceMax !== undefined) q = q.lte('price', f.priceMax);
+
+  for (const w of searchWords(f.q)) {
+    q = q.or(['make', 'model', 'trim', 'colour', 'body_type', 'vin'].map(c => `${c}.ilike.*${w}*`).join(','));
+  }
+
+  if (window) {
+    const busy = await busyCarIds(f.business_id, window.start, window.end);
+    if (busy.length) q = q.not('id', 'in', `(${busy.join(',')})`);
+  }
+
+  // Keyset: rows after (value, id) in "field [desc] nulls last, id" order
+  if (f.cursor && !all) {
+    const c = decodeCursor(f.cursor, f.sort);
+    if (c.v === null) {
+      q = q.is(field, null).gt('id', c.id);
+    } else {
+      const v = orValue(c.v);
+      q = q.or(`${field}.${desc ? 'lt' : 'gt'}.${v},and(${field}.eq.${v},id.gt.${c.id}),${field}.is.null`);
+    }
+  }
+
+  q = q.order(field, { ascending: !desc, nullsFirst: false }).order('id', { ascending: true });
+  if (!all) q = q.limit(f.limit + 1);
+
+  const { data, error } = await q;
+  if (error) throw error;
+
+  const rows = data || [];
+  if (all || rows.length <= f.limit) return { cars: rows, nextCursor: null };
+  const page = rows.slice(0, f.limit);
+  return { cars: page, nextCursor: encodeCursor(f.sort, page[page.length - 1], field) };
+}
+
+module.exports = { SORTABLE, SEARCH_SCHEMA, busyCarIds, searchCars };
@@ -0,0 +1,37 @@
+// ===============================================
+//  Background jobs
+//  Simple in-process timers. All job state lives in Supabase, so a
+//  restart just picks up again on the next tick.
+// ===============================================
+const jobs = [];
+
+/**
+ * Register a job to run every `ms` milliseconds once start() is called.
+ * A tick is skipped while the previous run of the same job is still going.
+ */
+function every(name, ms, fn) {
+  jobs.push({ name, ms, fn, running: false, timer: null });
+}
+
+function start() {
+  if (process.env.DISABLE_JOBS === 'true') {
+    console.log('[jobs] disabled via DISABLE_JOBS');
+    return;
+  }
+  for (const job of jobs) {
+    job.timer = setInterval(async () => {
+      if (job.running) return;
+      job.running = true;
+      try {
+        await job.fn();
+      } catch (e) {
+        console.error(`[jobs] ${job.name} failed`, e);
+      } finally {
+        job.running = false;
+      }
+    }, job.ms);
+  }
+  console.log('[jobs] started', jobs.map(j => j.name));
+}
+
+module.exports = { every, start };
@@ -0,0 +1,203 @@
+// ===============================================
+//  Fuzzy model / trim matching
+//  Voice input arrives as "audi r-8", "Q 5", "A8 L". Candidates
+//  from the business's inventory are ranked by normalised edit
+//  distance and a phonetic key, with per-business aliases on top.
+// ===============================================
+const supabase = require('./supabase');
+
+// A single match at or above this, clear of the runner-up by
+// AUTO_ACCEPT_MARGIN, is used without asking the caller.
+const AUTO_ACCEPT = 0.9;
+const AUTO_ACCEPT_MARGIN = 0.1;
+const MIN_SUGGEST = 0.45;
+const MAX_SUGGESTIONS = 8;
+
+// Spoken numbers and letters speech-to-text tends to spell out
+const SYNONYMS = {
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7',
+  eight: '8', nine: '9', ten: '10', eleven: '11', twelve: '12', twenty: '20', thirty: '30',
+  forty: '40', fifty: '50', hundred: '00',
+  ay: 'a', bee: 'b', cee: 'c', see: 'c', dee: 'd', ee: 'e', ex: 'x', kay: 'k', el: 'l',
+  em: 'm', en: 'n', oh: 'o', pea: 'p', pee: 'p', queue: 'q', cue: 'q', are: 'r', ess: 's',
+  tee: 't', vee: 'v', why: 'y', zee: 'z', zed: 'z'
+};
+
+const CACHE_TTL_MS = 30 * 1000;
+const aliasCache = new Map();
+
+// "Audi R-8" -> ["audi", "r", "8"] -> "audir8"
+function tokens(s) {
+  return String(s || '')
+    .toLowerCase()
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(t => SYNONYMS[t] || t);
+}
+const normalize = (s) => tokens(s).join('');
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+const editSimilarity = (a, b) => (a || b) ? 1 - levenshtein(a, b) / Math.max(a.length, b.length) : 1;
+
+// Soundex-style key per letter run, digits kept as-is:
+// "camry" and "kamri" -> "K56", "r8" -> "R8"
+const SOUND = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+function phoneticKey(norm) {
+  return norm.replace(/[a-z]+/g, (word) => {
+    const first = word[0] === 'c' || word[0] === 'q' ? 'K' : word[0].toUpperCase();
+    let key = first;
+    let last = SOUND[word[0]] || 0;
+    for (const ch of word.slice(1)) {
+      const code = SOUND[ch] || 0;
+      if (code && code !== last) key += code;
+      if (ch !== 'h' && ch !== 'w') last = code;
+    }
+    return key;
+  });
+}
+
+/**
+ * Similarity of spoken input to one candidate label, 0..1.
+ * The candidate is also tried without its first word, so "R8" matches
+ * "Audi R8" as well as "audi r8" does.
+ */
+function similarity(input, candidate) {
+  const q = normalize(input);
+  if (!q) return 0;
+
+  const words = tokens(candidate);
+  const forms = [words.join('')];
+  if (words.length > 1) forms.push(words.slice(1).join(''));
+
+  let best = 0;
+  for (const c of forms) {
+    if (c === q) return 1;
+    const edit = editSimilarity(q, c);
+    const qk = phoneticKey(q), ck = phoneticKey(c);
+    const sound = qk === ck ? 1 : editSimilarity(qk, ck);
+    let score = 0.65 * edit + 0.35 * sound;
+    // "q5" inside "audiq5" etc.
+    if (c.length > q.length && c.includes(q) && q.length >= 2) score = Math.max(score, 0.85 + 0.1 * (q.length / c.length));
+    best = Math.max(best, score);
+  }
+  return Math.round(best * 1000) / 1000;
+}
+
+/**
+ * Rank candidates for spoken input.
+ *
+ * @param {string} input
+ * @param {string[]} candidates
+ * @param {{ alias: string, target: string }[]} [aliases]  exact (normalised) alias -> candidate
+ * @returns {{ match: {value: string, confidence: number}|null, autoAccepted: boolean, suggestions: {value: string, confidence: number}[] }}
+ */
+function rank(input, candidates, aliases = []) {
+  const q = normalize(input);
+  const unique = [...new Set(candidates.filter(Boolean))];
+
+  const aliased = aliases.find(a => normalize(a.alias) === q && unique.includes(a.target));
+  if (aliased) {
+    const match = { value: aliased.target, confidence: 1 };
+    return { match, autoAccepted: true, suggestions: [match] };
+  }
+
+  const scored = unique
+    .map(value => ({ value, confidence: similarity(input, value) }))
+    .sort((a, b) => b.confidence - a.confidence || a.value.localeCompare(b.value));
+
+  const [top, second] = scored;
+  const autoAccepted = !!top && top.confidence >= AUTO_ACCEPT &&
+    (!second || top.confidence - second.confidence >= AUTO_ACCEPT_MARGIN || top.confidence === 1);
+
+  return {
+    match: autoAccepted ? top : null,
+    autoAccepted,
+    suggestions: scored.filter(s => s.confidence >= MIN_SUGGEST).slice(0, MAX_SUGGESTIONS)
+  };
+}
+
+/**
+ * Per-business aliases (cached briefly). Rows without a trim alias a
+ * model; rows with one alias a trim of that model.
+ * @returns {Promise<{ alias: string, model: string, trim: string|null }[]>}
+ */
+async function loadAliases(businessId) {
+  const hit = aliasCache.get(businessId);
+  if (hit && hit.expires > Date.now()) return hit.rows;
+
+  const { data, error } = await supabase
+    .from('model_aliases')
+    .select('alias, model, trim')
+    .eq('business_id', businessId);
+  if (error) {
+    // Matching still works without aliases
+    console.error('[modelMatch] aliases_load_failed', { businessId, error });
+    return [];
+  }
+  aliasCache.set(businessId, { rows: data || [], expires: Date.now() + CACHE_TTL_MS });
+  return data || [];
+}
+
+/**
+ * Match spoken model (and optional trim) against the business's active
+ * inventory.
+ *
+ * @returns {Promise<{
+ *   input: string,
+ *   model: { value: string, confidence: number } | null,
+ *   autoAccepted: boolean,
+ *   suggestions: { value: string, confidence: number }[],
+ *   trim?: { input: string, value: string|null, confidence: number|null, autoAccepted: boolean, suggestions: object[] }
+ * }>}
+ */
+async function matchModel(businessId, input, { trim } = {}) {
+  const [{ data: cars, error }, aliases] = await Promise.all([
+    supabase.from('cars').select('model, trim').eq('business_id', businessId).eq('is_active', true),
+    loadAliases(businessId)
+  ]);
+  if (error) throw error;
+
+  const models = (cars || []).map(c => c.model);
+  const modelRank = rank(input, models, aliases.filter(a => !a.trim).map(a => ({ alias: a.alias, target: a.model })));
+  const result = {
+    input,
+    model: modelRank.match,
+    autoAccepted: modelRank.autoAccepted,
+    suggestions: modelRank.suggestions
+  };
+
+  if (trim && modelRank.match) {
+    const model = modelRank.match.value;
+    const trims = (cars || []).filter(c => c.model === model).map(c => c.trim);
+    const trimRank = rank(trim, trims, aliases
+      .filter(a => a.trim && a.model === model)
+      .map(a => ({ alias: a.alias, target: a.trim })));
+    result.trim = {
+      input: trim,
+      value: trimRank.match?.value || null,
+      confidence: trimRank.match?.confidence ?? null,
+      autoAccepted: trimRank.autoAccepted,
+      suggestions: trimRank.suggestions
+    };
+  }
+  return result;
+}
+
+module.exports = { AUTO_ACCEPT, normalize, similarity, rank, matchModel };
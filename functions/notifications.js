@@ -0,0 +1,230 @@
+// ===============================================
+//  Customer notifications
+//  Confirmation, 24h reminder, reschedule and cancellation messages
+//  over email and SMS. Every message is rendered into the
+//  notifications table first and sent by a timer, so scheduled
+//  reminders survive restarts.
+// ===============================================
+const { DateTime } = require('luxon');
+const supabase = require('./supabase');
+const { loadSettings, resolveConfig } = require('./settings');
+const { transportFor } = require('./transports');
+
+const MAX_ATTEMPTS = 3;
+const STUCK_AFTER_MIN = 10;
+
+// {{var}} placeholders; businesses can override any entry through
+// business_settings.notification_templates (same shape).
+const TEMPLATES = {
+  confirmation: {
+    email: {
+      subject: 'Your {{typeName}} is booked for {{when}}',
+      text: 'Hi {{name}},\n\nYour {{typeName}}{{modelSuffix}} is confirmed for {{when}}.{{recurrenceLine}}{{manageLine}}\n\nSee you then!'
+    },
+    sms: { text: 'Hi {{name}}, your {{typeName}}{{modelSuffix}} is confirmed for {{when}}.{{recurrenceLine}}{{manageLine}}' }
+  },
+  reminder: {
+    email: {
+      subject: 'Reminder: your {{typeName}} is tomorrow',
+      text: 'Hi {{name}},\n\nThis is a reminder that your {{typeName}}{{modelSuffix}} is on {{when}}.{{manageLine}}\n\nSee you soon!'
+    },
+    sms: { text: 'Reminder: your {{typeName}}{{modelSuffix}} is on {{when}}.{{manageLine}}' }
+  },
+  reschedule: {
+    email: {
+      subject: 'Your {{typeName}} has moved to {{when}}',
+      text: 'Hi {{name}},\n\nYour {{typeName}}{{modelSuffix}} has been rescheduled to {{when}}.{{manageLine}}'
+    },
+    sms: { text: 'Hi {{name}}, your {{typeName}}{{modelSuffix}} has moved to {{when}}.{{manageLine}}' }
+  },
+  cancellation: {
+    email: {
+      subject: 'Your {{typeName}} on {{when}} is cancelled',
+      text: 'Hi {{name}},\n\nYour {{typeName}}{{modelSuffix}} on {{when}} has been cancelled.{{recurrenceLine}}'
+    },
+    sms: { text: 'Hi {{name}}, your {{typeName}}{{modelSuffix}} on {{when}} is cancelled.{{recurrenceLine}}' }
+  }
+};
+
+const render = (tpl, vars) =>
+  String(tpl || '').replace(/\{\{(\w+)\}\}/g, (_, k) => (vars[k] ?? ''));
+
+function templateFor(cfg, kind, channel) {
+  const custom = cfg.notificationTemplates?.[kind]?.[channel] || {};
+  return { ...TEMPLATES[kind][channel], ...custom };
+}
+
+// One row per channel the customer can be reached on
+function buildMessages(cfg, kind, booking, sendAt) {
+  const when = DateTime.fromISO(booking.start).setZone(cfg.timezone)
+    .toFormat("ccc, LLL d 'at' h:mm a ZZZZ");
+  const vars = {
+    name: booking.name || 'there',
+    typeName: booking.typeName || 'appointment',
+    modelSuffix: booking.model ? ` (${booking.model})` : '',
+    manageLine: booking.manageUrl ? `\nChange or cancel: ${booking.manageUrl}` : '',
+    recurrenceLine: booking.recurrence ? `\n${booking.recurrence}` : '',
+    when,
+    ...(booking.vars || {})
+  };
+
+  const rows = [];
+  const targets = [['email', booking.email], ['sms', booking.phone]];
+  for (const [channel, recipient] of targets) {
+    if (!recipient) continue;
+    const tpl = templateFor(cfg, kind, channel);
+    rows.push({
+      business_id: booking.business_id,
+      appointment_ref: String(booking.ref),
+      kind,
+      channel,
+      recipient: String(recipient).trim(),
+      subject: channel === 'email' ? render(tpl.subject, vars) : null,
+      body: render(tpl.text, vars),
+      send_at: sendAt.toUTC().toISO(),
+      status: 'pending',
+      attempts: 0
+    });
+  }
+  return rows;
+}
+
+// Drop reminders for a booking that moved or was cancelled
+async function cancelPending(ref, kinds = ['reminder']) {
+  const { error } = await supabase
+    .from('notifications')
+    .update({ status: 'cancelled' })
+    .eq('appointment_ref', String(ref))
+    .eq('status', 'pending')
+    .in('kind', kinds);
+  if (error) console.error('[notify] cancel_pending_failed', { ref, error });
+}
+
+/**
+ * Queue the messages for a booking event. Throws on failure; with an
+ * `idempotencyKey` a repeated call (an outbox retry) queues nothing new.
+ * 'reminder' only schedules the reminder (later occurrences of a series,
+ * whose confirmation went out with the first).
+ *
+ * @param {'confirmation'|'reminder'|'reschedule'|'cancellation'} event
+ * @param {object} booking  see notify()
+ * @param {{ idempotencyKey?: string }} [opts]
+ * @returns {Promise<number>} messages queued
+ */
+async function queueNotifications(event, booking, { idempotencyKey } = {}) {
+  const cfg = resolveConfig(await loadSettings(booking.business_id), {});
+  if (!cfg.notificationsEnabled) return 0;
+
+  const now = DateTime.now();
+  if (event === 'reschedule' || event === 'cancellation') await cancelPending(booking.previousRef || booking.ref);
+
+  const rows = event === 'reminder' || booking.silent ? [] : buildMessages(cfg, event, booking, now);
+  if (event !== 'cancellation') {
+    const remindAt = DateTime.fromISO(booking.start).minus({ minutes: cfg.reminderLeadMin });
+    if (remindAt > now) rows.push(...buildMessages(cfg, 'reminder', booking, remindAt));
+  }
+  if (rows.length === 0) return 0;
+  if (idempotencyKey) {
+    for (const row of rows) row.idempotency_key = `${idempotencyKey}:${row.kind}:${row.channel}`;
+  }
+
+  const { error } = await supabase
+    .from('notifications')
+    .upsert(rows, { onConflict: 'idempotency_key', ignoreDuplicates: true });
+  if (error) throw error;
+  console.log('[notify] queued', { event, ref: booking.ref, count: rows.length });
+
+  // Don't make the customer wait for the next tick
+  deliverDue().catch(e => console.error('[notify] deliver_failed', e));
+  return rows.length;
+}
+
+/**
+ * Queue the messages for a booking event. Never throws — a notification
+ * problem must not fail the booking it describes.
+ *
+ * @param {'confirmation'|'reschedule'|'cancellation'} event
+ * @param {object} booking
+ * @param {string} booking.business_id
+ * @param {string} booking.ref       appointments.id
+ * @param {string} [booking.previousRef] the row a reschedule replaced
+ * @param {string} booking.start     ISO start
+ * @param {string} [booking.name]
+ * @param {string} [booking.email]
+ * @param {string} [booking.phone]
+ * @param {string} [booking.typeName]
+ * @param {string} [booking.model]
+ * @param {string} [booking.manageUrl] self-service link (see tokens.js)
+ * @param {string} [booking.recurrence] series sentence added to the message
+ * @param {boolean} [booking.silent] no message, only reminder bookkeeping
+ *        (the other occurrences when a whole series is cancelled)
+ */
+async function notify(event, booking) {
+  try {
+    await queueNotifications(event, booking);
+  } catch (e) {
+    console.error('[notify] queue_failed', { event, ref: booking.ref, e });
+  }
+}
+
+/**
+ * Send everything that's due. Rows are claimed (pending -> sending)
+ * before sending so overlapping runs don't double-send; rows left in
+ * "sending" by a crash are released after STUCK_AFTER_MIN.
+ */
+async function deliverDue() {
+  const now = DateTime.now();
+
+  await supabase
+    .from('notifications')
+    .update({ status: 'pending' })
+    .eq('status', 'sending')
+    .lte('claimed_at', now.minus({ minutes: STUCK_AFTER_MIN }).toUTC().toISO());
+
+  const { data: due, error } = await supabase
+    .from('notifications')
+    .select('id')
+    .eq('status', 'pending')
+    .lte('send_at', now.toUTC().toISO())
+    .order('send_at', { ascending: true })
+    .limit(50);
+  if (error) throw error;
+  if (!due?.length) return 0;
+
+  const { data: claimed, error: claimErr } = await supabase
+    .from('notifications')
+    .update({ status: 'sending', claimed_at: now.toUTC().toISO() })
+    .in('id', due.map(d => d.id))
+    .eq('status', 'pending')
+    .select('*');
+  if (claimErr) throw claimErr;
+
+  let sent = 0;
+  for (const msg of claimed || []) {
+    try {
+      const transport = transportFor(msg.channel);
+      const result = await transport.send({ to: msg.recipient, subject: msg.subject, text: msg.body });
+      await supabase
+        .from('notifications')
+        .update({ status: 'sent', sent_at: new Date().toISOString(), transport: transport.name, provider_id: result?.id || null })
+        .eq('id', msg.id);
+      sent++;
+    } catch (e) {
+      const attempts = (msg.attempts || 0) + 1;
+      const retry = attempts < MAX_ATTEMPTS;
+      console.warn('[notify] send_failed', { id: msg.id, channel: msg.channel, attempts, err: e?.message });
+      await supabase
+        .from('notifications')
+        .update({
+          status: retry ? 'pending' : 'failed',
+          attempts,
+          last_error: String(e?.message || e).slice(0, 500),
+          send_at: retry ? DateTime.now().plus({ minutes: 5 * attempts }).toUTC().toISO() : msg.send_at
+        })
+        .eq('id', msg.id);
+    }
+  }
+  return sent;
+}
+
+module.exports = { TEMPLATES, queueNotifications, notify, deliverDue };
@@ -0,0 +1,226 @@
+// ===============================================
+//  Business onboarding
+//  Every step checks what already exists before acting, so /onboard
+//  can be re-run after a partial failure (or just twice) and picks up
+//  where it stopped. Completed steps are recorded in onboarding_steps
+//  for the status endpoint.
+// ===============================================
+const supabase = require('./supabase');
+const { DEFAULT_SETTINGS } = require('./settings');
+const { createApiKey, listApiKeys } = require('./apiKeys');
+
+const STEPS = ['business', 'settings', 'calendars', 'sharing', 'appointment_types', 'api_key'];
+
+const ONBOARD_SCHEMA = {
+  fields: {
+    business_id:        { type: 'string', required: true },
+    name:               { type: 'string', required: true },
+    email:              { type: 'email', required: true },
+    timezone:           { type: 'timezone', default: DEFAULT_SETTINGS.timezone },
+    // link existing calendars instead of creating new ones
+    calendarId:         { type: 'string' },
+    blockingCalendarId: { type: 'string' }
+  }
+};
+
+// Lowercase letters, digits, "-" and "_"; it ends up in URLs and keys
+const BUSINESS_ID_RE = /^[a-z0-9][a-z0-9_-]{2,62}$/;
+
+// What a new business starts with; editable from the dashboard afterwards
+const SEED_TYPES = [
+  { key: 'default', name: 'Appointment', duration_min: DEFAULT_SETTINGS.appointment_durations.default },
+  { key: 'testdrive', name: 'Test drive', duration_min: DEFAULT_SETTINGS.appointment_durations.testdrive }
+];
+
+const fail = (code, extra = {}) => Object.assign(new Error(code), { code, ...extra });
+
+async function recordStep(businessId, step, detail = {}) {
+  const { error } = await supabase
+    .from('onboarding_steps')
+    .upsert([{ business_id: businessId, step, detail, completed_at: new Date().toISOString() }], { onConflict: 'business_id,step' });
+  if (error) throw error;
+}
+
+// --- steps -------------------------------------------------------
+
+// The businesses row: id = auth user id, one business per user. A
+// business_id already claimed by someone else is refused.
+async function ensureBusiness(user, { business_id, name, email }) {
+  const { data: rows, error } = await supabase
+    .from('businesses')
+    .select('id, business_id')
+    .or(`id.eq.${user.id},business_id.eq.${business_id}`);
+  if (error) throw error;
+
+  const mine = (rows || []).find(r => r.id === user.id);
+  if (mine && mine.business_id !== business_id) throw fail('already_onboarded', { business_id: mine.business_id });
+  if ((rows || []).some(r => r.id !== user.id)) throw fail('business_id_taken');
+
+  const { error: upErr } = await supabase
+    .from('businesses')
+    .upsert([{ id: user.id, business_id, name, email }], { onConflict: 'id' });
+  if (upErr) throw upErr;
+  return { created: !mine };
+}
+
+// Settings row with the table defaults; an existing row is left alone
+async function ensureSettings({ business_id, timezone }) {
+  const { data, error } = await supabase
+    .from('business_settings')
+    .upsert([{ business_id, timezone }], { onConflict: 'business_id', ignoreDuplicates: true })
+    .select('business_id');
+  if (error) throw error;
+
+  const { data: row, error: readErr } = await supabase
+    .from('business_settings')
+    .select('*')
+    .eq('business_id', business_id)
+    .single();
+  if (readErr) throw readErr;
+  return { created: (data || []).length > 0, row };
+}
+
+// One calendar: link the requested id (after checking the service
+// account can see it), keep the one already on file, or create one.
+// Saved straight away so a retry never creates a second calendar.
+async function ensureCalendar(calendar, settings, column, requestedId, summary) {
+  const current = settings[column];
+  if (requestedId && requestedId !== current) {
+    try {
+      await calendar.calendars.get({ calendarId: requestedId });
+    } catch (e) {
+      throw fail('calendar_not_accessible', { calendarId: requestedId, status: e?.code });
+    }
+  }
+
+  let calendarId = requestedId || current;
+  let action = requestedId && requestedId !== current ? 'linked' : 'kept';
+  if (!calendarId) {
+    const created = await calendar.calendars.insert({
+      requestBody: { summary, timeZone: settings.timezone }
+    });
+    calendarId = created.data.id;
+    action = 'created';
+  }
+
+  if (calendarId !== current) {
+    const { error } = await supabase
+      .from('business_settings')
+      .update({ [column]: calendarId, updated_at: new Date().toISOString() })
+      .eq('business_id', settings.business_id);
+    if (error) throw error;
+    settings[column] = calendarId;
+  }
+  return { calendarId, action };
+}
+
+// Writer access for the business email. Re-inserting an existing rule
+// just updates it.
+async function shareCalendar(calendar, calendarId, email) {
+  await calendar.acl.insert({
+    calendarId,
+    sendNotifications: true,
+    requestBody: { role: 'writer', scope: { type: 'user', value: email } }
+  });
+}
+
+async function ensureAppointmentTypes(businessId) {
+  const { data, error } = await supabase
+    .from('appointment_types')
+    .upsert(SEED_TYPES.map(t => ({ ...t, business_id: businessId })), { onConflict: 'business_id,key', ignoreDuplicates: true })
+    .select('key');
+  if (error) throw error;
+  return { seeded: (data || []).map(r => r.key) };
+}
+
+// A key is only ever shown once: when the business already has an
+// active one, report it and leave rotation to /api-keys.
+async function ensureApiKey(businessId, user) {
+  const active = (await listApiKeys(businessId)).filter(k =>
+    !k.revoked_at && (!k.expires_at || new Date(k.expires_at) > new Date()));
+  if (active.length) return { apiKey: null, key: active[0], created: false };
+  const { apiKey, key } = await createApiKey(businessId, { name: 'Voice agent', createdBy: user.id });
+  return { apiKey, key, created: true };
+}
+
+// --- flow --------------------------------------------------------
+
+/**
+ * Run (or resume) onboarding for the signed-in user.
+ *
+ * @param {object} calendar  googleapis calendar client
+ * @param {object} user      Supabase auth user
+ * @param {object} input     validated ONBOARD_SCHEMA values
+ * @returns {Promise<{ business_id: string, calendarId: string, blockingCalendarId: string, apiKey: string|null, key: object, steps: object[] }>}
+ */
+async function onboard(calendar, user, input) {
+  const businessId = input.business_id;
+  if (!BUSINESS_ID_RE.test(businessId)) throw fail('invalid_business_id');
+  const log = (step, detail) => console.log(`[onboard] ${step}`, { businessId, ...detail });
+
+  const business = await ensureBusiness(user, input);
+  await recordStep(businessId, 'business', business);
+  log('business', business);
+
+  const { created: settingsCreated, row: settings } = await ensureSettings(input);
+  await recordStep(businessId, 'settings', { created: settingsCreated });
+  log('settings', { created: settingsCreated });
+
+  const main = await ensureCalendar(calendar, settings, 'calendar_id', input.calendarId, `${input.name} — Appointments`);
+  const blocking = await ensureCalendar(calendar, settings, 'blocking_calendar_id', input.blockingCalendarId, `${input.name} — Blocked time`);
+  await recordStep(businessId, 'calendars', { calendarId: main.calendarId, blockingCalendarId: blocking.calendarId, main: main.action, blocking: blocking.action });
+  log('calendars', { main, blocking });
+
+  await shareCalendar(calendar, main.calendarId, input.email);
+  if (blocking.calendarId !== main.calendarId) await shareCalendar(calendar, blocking.calendarId, input.email);
+  await recordStep(businessId, 'sharing', { email: input.email, role: 'writer' });
+  log('sharing', { email: input.email });
+
+  const types = await ensureAppointmentTypes(businessId);
+  await recordStep(businessId, 'appointment_types', types);
+  log('appointment_types', types);
+
+  const key = await ensureApiKey(businessId, user);
+  await recordStep(businessId, 'api_key', { keyId: key.key.id, prefix: key.key.prefix });
+  log('api_key', { created: key.created, prefix: key.key.prefix });
+
+  return {
+    business_id: businessId,
+    calendarId: main.calendarId,
+    blockingCalendarId: blocking.calendarId,
+    apiKey: key.apiKey,
+    key: key.key,
+    steps: (await onboardingStatus(user)).steps
+  };
+}
+
+/**
+ * Which steps are done for the user's business.
+ * @returns {Promise<{ business_id: string|null, complete: boolean, steps: { step: string, done: boolean, completed_at: string|null, detail: object|null }[] }>}
+ */
+async function onboardingStatus(user) {
+  const { data: business, error } = await supabase
+    .from('businesses')
+    .select('business_id')
+    .eq('id', user.id)
+    .maybeSingle();
+  if (error) throw error;
+
+  let recorded = [];
+  if (business) {
+    const { data, error: stepsErr } = await supabase
+      .from('onboarding_steps')
+      .select('step, completed_at, detail')
+      .eq('business_id', business.business_id);
+    if (stepsErr) throw stepsErr;
+    recorded = data || [];
+  }
+
+  const steps = STEPS.map(step => {
+    const r = recorded.find(x => x.step === step);
+    return { step, done: !!r, completed_at: r?.completed_at || null, detail: r?.detail || null };
+  });
+  return { business_id: business?.business_id || null, complete: steps.every(s => s.done), steps };
+}
+
+module.exports = { STEPS, ONBOARD_SCHEMA, onboard, onboardingStatus };
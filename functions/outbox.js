@@ -0,0 +1,393 @@
+// ===============================================
+//  Outbox
+//  Side effects of a booking (calendar writes, customer messages) are
+//  stored as jobs in the same transaction as the appointment change
+//  (book_appointment / cancel_appointment), then run once inline and,
+//  when that didn't happen or failed, by a timer with exponential
+//  backoff. Every job carries an idempotency key that is passed on to
+//  the provider, so a retry after a crash never books twice.
+//
+//  A job out of attempts (or failing with a permanent error) is 'dead':
+//  it shows up in outbox_dead_letters and its appointment is marked
+//  sync_state 'failed'.
+// ===============================================
+const supabase = require('./supabase');
+const { loadSettings } = require('./settings');
+const { calendarFor, eventIdFor, isGone } = require('./calendars');
+const { queueNotifications } = require('./notifications');
+
+const MAX_ATTEMPTS = 8;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const STUCK_AFTER_MIN = 10;
+
+// Jobs the request runs itself are left alone by the timer this long
+const INLINE_GRACE_MS = 60 * 1000;
+
+// 30s, 1m, 2m, ... capped at an hour, +/-20% so retries don't bunch up
+const backoff = (attempts) => {
+  const ms = Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+  return Math.round(ms * (0.8 + Math.random() * 0.4));
+};
+
+// Client errors won't go away on retry (except timeouts and rate limits)
+const isPermanent = (err) => {
+  const status = err?.status;
+  return typeof status === 'number' && status >= 400 && status < 500 && ![408, 409, 429].includes(status);
+};
+
+const calendarOf = async (businessId) => calendarFor(await loadSettings(businessId));
+
+// ===============================================
+//  Handlers
+// ===============================================
+
+const HANDLERS = {
+  // payload: { calendarId, event, confirmation?, notifyEvent?, confirmedEvent? }
+  // confirmedEvent: for a test-drive hold (holds.js), the fields that
+  // replace the tentative ones once it is confirmed
+  async calendar_insert(job) {
+    const { calendarId, confirmation, notifyEvent = 'confirmation', confirmedEvent } = job.payload;
+    let { event } = job.payload;
+    const calendar = await calendarOf(job.business_id);
+
+    if (confirmedEvent) {
+      // Confirmed while this job waited: write the event as a booking
+      const { data: row, error: readErr } = await supabase
+        .from('appointments')
+        .select('hold_state')
+        .eq('id', job.appointment_id)
+        .maybeSingle();
+      if (readErr) throw readErr;
+      if (row?.hold_state === 'confirmed') event = { ...event, ...confirmedEvent };
+    }
+    const inserted = await calendar.insert(calendarId, { ...event, id: eventIdFor(job.idempotency_key) });
+
+    const { data: appt, error } = await supabase
+      .from('appointments')
+      .update({ gcal_event_id: inserted.id, sync_state: 'synced' })
+      .eq('id', job.appointment_id)
+      .neq('status', 'cancelled') // retries can outlast the appointment (awaiting_outcome)
+      .select('id, hold_state')
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!appt) {
+      // Cancelled before the event landed: take it back out
+      try {
+        await calendar.delete(calendarId, inserted.id);
+      } catch (err) {
+        if (!isGone(err)) throw err;
+      }
+      await supabase.from('appointments').update({ sync_state: 'synced' }).eq('id', job.appointment_id);
+      return { eventId: inserted.id, removed: true };
+    }
+
+    // Confirmed between the insert and here, or a retry found the
+    // tentative event an earlier attempt wrote; the confirm request saw no
+    // event id to patch
+    if (confirmedEvent && appt.hold_state === 'confirmed' && inserted.status === 'tentative') {
+      await calendar.patch(calendarId, inserted.id, confirmedEvent);
+    }
+
+    if (confirmation) {
+      await queueNotifications(notifyEvent, confirmation, { idempotencyKey: job.idempotency_key });
+    }
+    return { eventId: inserted.id };
+  },
+
+  // payload: { calendarId, eventId }
+  async calendar_delete(job) {
+    const { calendarId, eventId } = job.payload;
+    const calendar = await calendarOf(job.business_id);
+    try {
+      await calendar.delete(calendarId, eventId);
+    } catch (err) {
+      if (!isGone(err)) throw err;
+    }
+    await supabase.from('appointments').update({ sync_state: 'synced' }).eq('id', job.appointment_id);
+    return { eventId };
+  },
+
+  // payload: { event, booking } — see notifications.notify()
+  async notify(job) {
+    const queued = await queueNotifications(job.payload.event, job.payload.booking, { idempotencyKey: job.idempotency_key });
+    return { queued };
+  }
+};
+
+// ===============================================
+//  Running jobs
+// ===============================================
+
+async function markDead(job, err) {
+  console.error('[outbox] dead', { id: job.id, kind: job.kind, appointmentId: job.appointment_id, err: err?.message || err });
+  if (job.appointment_id && job.kind.startsWith('calendar_')) {
+    const { error } = await supabase.from('appointments').update({ sync_state: 'failed' }).eq('id', job.appointment_id);
+    if (error) console.error('[outbox] mark_failed_failed', { appointmentId: job.appointment_id, error });
+  }
+}
+
+/**
+ * Run one claimed job and record the outcome.
+ *
+ * @param {object} job    outbox row, status 'running'
+ * @returns {Promise<{ status: 'done'|'pending'|'dead', result?: object, error?: Error }>}
+ */
+async function execute(job) {
+  const handler = HANDLERS[job.kind];
+  const attempts = (job.attempts || 0) + 1;
+  try {
+    if (!handler) throw new Error(`unknown outbox job kind: ${job.kind}`);
+    const result = await handler(job);
+    const { error } = await supabase
+      .from('outbox')
+      .update({ status: 'done', attempts, result, last_error: null, completed_at: new Date().toISOString() })
+      .eq('id', job.id);
+    if (error) console.error('[outbox] mark_done_failed', { id: job.id, error });
+    return { status: 'done', result };
+  } catch (err) {
+    const dead = !handler || isPermanent(err) || attempts >= (job.max_attempts || MAX_ATTEMPTS);
+    console.warn('[outbox] attempt_failed', { id: job.id, kind: job.kind, attempts, dead, err: err?.message || err });
+    await supabase
+      .from('outbox')
+      .update({
+        status: dead ? 'dead' : 'pending',
+        attempts,
+        last_error: String(err?.message || err).slice(0, 500),
+        run_at: dead ? job.run_at : new Date(Date.now() + backoff(attempts)).toISOString(),
+        completed_at: dead ? new Date().toISOString() : null
+      })
+      .eq('id', job.id);
+    if (dead) await markDead(job, err);
+    return { status: dead ? 'dead' : 'pending', error: err };
+  }
+}
+
+/**
+ * Claim and run one job right away (the request that enqueued it).
+ *
+ * @param {string} idempotencyKey
+ * @returns {Promise<{ status: 'done'|'pending'|'dead', result?: object, error?: Error }>}
+ *          'pending' also when the timer already has it
+ */
+async function runNow(idempotencyKey) {
+  const { data: job, error } = await supabase
+    .from('outbox')
+    .update({ status: 'running', claimed_at: new Date().toISOString() })
+    .eq('idempotency_key', idempotencyKey)
+    .eq('status', 'pending')
+    .select('*')
+    .maybeSingle();
+  if (error) throw error;
+  if (!job) return { status: 'pending' };
+  return execute(job);
+}
+
+/**
+ * Run due jobs. Claimed the same way notifications are (pending ->
+ * running), so overlapping runs don't double up; jobs left running by a
+ * crash are released after STUCK_AFTER_MIN. Runs on a timer (jobs.js).
+ */
+async function processOutbox() {
+  const now = Date.now();
+
+  await supabase
+    .from('outbox')
+    .update({ status: 'pending' })
+    .eq('status', 'running')
+    .lte('claimed_at', new Date(now - STUCK_AFTER_MIN * 60000).toISOString());
+
+  const { data: due, error } = await supabase
+    .from('outbox')
+    .select('id')
+    .eq('status', 'pending')
+    .lte('run_at', new Date(now).toISOString())
+    .order('run_at', { ascending: true })
+    .limit(25);
+  if (error) throw error;
+  if (!due?.length) return 0;
+
+  const { data: claimed, error: claimErr } = await supabase
+    .from('outbox')
+    .update({ status: 'running', claimed_at: new Date(now).toISOString() })
+    .in('id', due.map(d => d.id))
+    .eq('status', 'pending')
+    .select('*');
+  if (claimErr) throw claimErr;
+
+  let done = 0;
+  for (const job of claimed || []) {
+    if ((await execute(job)).status === 'done') done++;
+  }
+  if (claimed?.length) console.log('[outbox] processed', { claimed: claimed.length, done });
+  return done;
+}
+
+// ===============================================
+//  Appointment changes with their side effects
+// ===============================================
+
+const inlineRunAt = () => new Date(Date.now() + INLINE_GRACE_MS).toISOString();
+
+/**
+ * Insert a booking and queue its calendar event (and, once that lands,
+ * the confirmation) in one transaction. Nothing is written when a live
+ * booking with the same idem_key exists; its id comes back instead.
+ *
+ * @param {object} row  appointments columns, id included
+ * @param {{ calendarId: string, event: object, confirmation?: object, notifyEvent?: string, confirmedEvent?: object }} effects
+ *        notifyEvent: what `confirmation` is sent as (default 'confirmation';
+ *        'reminder' for later occurrences of a series); confirmedEvent: see
+ *        the calendar_insert handler
+ * @param {{ inline?: boolean }} [opts]  inline: false leaves the job to the
+ *        timer right away instead of holding it for runNow()
+ * @returns {Promise<{ id: string, created: boolean, jobKey: string }>}
+ */
+async function bookAppointment(row, { calendarId, event, confirmation, notifyEvent, confirmedEvent }, { inline = true } = {}) {
+  const jobKey = `calendar_insert:${row.id}`;
+  const { data, error } = await supabase
+    .rpc('book_appointment', {
+      p_appointment: { ...row, sync_state: 'pending' },
+      p_jobs: [{
+        kind: 'calendar_insert',
+        idempotency_key: jobKey,
+        run_at: inline ? inlineRunAt() : new Date().toISOString(),
+        payload: { calendarId, event, confirmation, notifyEvent, confirmedEvent }
+      }]
+    })
+    .single();
+  if (error) throw error;
+  return { id: data.appointment_id, created: data.created, jobKey };
+}
+
+/**
+ * Cancel a booked appointment and queue the calendar delete and the
+ * cancellation message in one transaction.
+ *
+ * @param {object} appt  appointments row
+ * @param {{ calendarId: string, cancellation?: object }} effects
+ * @returns {Promise<{ cancelled: boolean, jobKeys: string[] }>} cancelled false when it was no longer booked
+ */
+async function cancelAppointmentWithEffects(appt, { calendarId, cancellation }) {
+  const jobs = [];
+  if (appt.gcal_event_id) {
+    jobs.push({
+      kind: 'calendar_delete',
+      idempotency_key: `calendar_delete:${appt.id}`,
+      run_at: inlineRunAt(),
+      payload: { calendarId, eventId: appt.gcal_event_id }
+    });
+  }
+  if (cancellation) {
+    jobs.push({
+      kind: 'notify',
+      idempotency_key: `notify:cancellation:${appt.id}`,
+      run_at: inlineRunAt(),
+      payload: { event: 'cancellation', booking: cancellation }
+    });
+  }
+  const { data, error } = await supabase.rpc('cancel_appointment', { p_id: appt.id, p_jobs: jobs });
+  if (error) throw error;
+  return { cancelled: !!data, jobKeys: jobs.map(j => j.idempotency_key) };
+}
+
+/**
+ * Close a test-drive hold (holds.js) as 'released' or 'expired' and queue
+ * its calendar delete in one transaction. No message goes out: the
+ * caller was never sent a confirmation.
+ *
+ * @param {object} appt  appointments row, hold_state 'held'
+ * @param {'released'|'expired'} state
+ * @param {{ calendarId: string }} effects
+ * @returns {Promise<{ released: boolean, jobKeys: string[] }>} released false when it was no longer held
+ */
+async function releaseHoldWithEffects(appt, state, { calendarId }) {
+  const jobs = appt.gcal_event_id
+    ? [{
+        kind: 'calendar_delete',
+        idempotency_key: `calendar_delete:${appt.id}`,
+        run_at: inlineRunAt(),
+        payload: { calendarId, eventId: appt.gcal_event_id }
+      }]
+    : [];
+  const { data, error } = await supabase.rpc('release_hold', { p_id: appt.id, p_state: state, p_jobs: jobs });
+  if (error) throw error;
+  return { released: !!data, jobKeys: jobs.map(j => j.idempotency_key) };
+}
+
+/**
+ * Cancel a booking whose calendar event couldn't be created (the insert
+ * job went dead while the caller waited). The row stays and the dead job
+ * stays in outbox_dead_letters, so the failure is visible. A delete of
+ * the insert's deterministic event id goes with it, in case an attempt
+ * reached the provider after all.
+ *
+ * @param {string} id  appointment id
+ * @param {{ calendarId: string, jobKey: string }} effects  jobKey: the calendar_insert job
+ */
+async function abandonBooking(id, { calendarId, jobKey }) {
+  const jobs = [{
+    kind: 'calendar_delete',
+    idempotency_key: `calendar_delete:${id}`,
+    run_at: inlineRunAt(),
+    payload: { calendarId, eventId: eventIdFor(jobKey) }
+  }];
+  const { error } = await supabase.rpc('cancel_appointment', { p_id: id, p_jobs: jobs });
+  if (error) throw error;
+  console.warn('[outbox] booking_abandoned', { appointmentId: id });
+  await runNow(jobs[0].idempotency_key).catch(e => console.error('[outbox] calendar_delete_failed', { appointmentId: id, e }));
+}
+
+// ===============================================
+//  Dead letters
+// ===============================================
+
+/**
+ * Dead jobs of a business, newest first.
+ */
+async function deadLetters(businessId, { limit = 50 } = {}) {
+  const { data, error } = await supabase
+    .from('outbox_dead_letters')
+    .select('*')
+    .eq('business_id', businessId)
+    .order('failed_at', { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Put a dead job back in the queue with fresh attempts and run it.
+ * Throws code outbox_job_not_found when there is no such dead job.
+ */
+async function retryDead(businessId, id) {
+  const { data: job, error } = await supabase
+    .from('outbox')
+    .update({ status: 'pending', attempts: 0, run_at: inlineRunAt(), completed_at: null })
+    .eq('id', id)
+    .eq('business_id', businessId)
+    .eq('status', 'dead')
+    .select('idempotency_key, appointment_id, kind')
+    .maybeSingle();
+  if (error) throw error;
+  if (!job) throw Object.assign(new Error('outbox_job_not_found'), { code: 'outbox_job_not_found' });
+
+  if (job.appointment_id && job.kind.startsWith('calendar_')) {
+    await supabase.from('appointments').update({ sync_state: 'pending' }).eq('id', job.appointment_id);
+  }
+  console.log('[outbox] retry', { id, kind: job.kind });
+  return runNow(job.idempotency_key);
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  runNow,
+  processOutbox,
+  bookAppointment,
+  cancelAppointmentWithEffects,
+  releaseHoldWithEffects,
+  abandonBooking,
+  deadLetters,
+  retryDead
+};
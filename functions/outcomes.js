@@ -0,0 +1,83 @@
+// ===============================================
+//  Appointment outcomes
+//  What happened once an appointment was due: attended, no-show or sold
+//  (attended and bought). Booked appointments that are over are flagged
+//  'awaiting_outcome' by a timer until someone records one from the
+//  dashboard. Outcomes feed the show and sale rates in stats_report()
+//  and, when business_settings.track_no_shows is on, the customer's
+//  no_show_count.
+// ===============================================
+const supabase = require('./supabase');
+
+const OUTCOMES = ['attended', 'no_show', 'sold'];
+
+// Body of POST /appointments/:id/outcome
+const OUTCOME_SCHEMA = {
+  fields: {
+    outcome:     { type: 'string', required: true, enum: OUTCOMES },
+    notes:       { type: 'string' }
+  }
+};
+
+/**
+ * Record (or correct) the outcome of an appointment that has started.
+ * Throws code appointment_not_found, or outcome_not_allowed when it was
+ * cancelled, moved or hasn't started yet.
+ *
+ * @param {string} businessId
+ * @param {string} id  appointment id
+ * @param {{ outcome: string, notes?: string, by?: string, countNoShows?: boolean }} input
+ * @returns {Promise<object>} the appointments row
+ */
+async function recordOutcome(businessId, id, { outcome, notes, by, countNoShows = true }) {
+  const { data, error } = await supabase
+    .rpc('record_outcome', {
+      p_business_id: businessId,
+      p_id: id,
+      p_outcome: outcome,
+      p_notes: notes ?? null,
+      p_by: by ?? null,
+      p_count_no_shows: countNoShows
+    })
+    .single();
+  if (error) {
+    if (error.code === 'P0002') throw Object.assign(new Error('appointment_not_found'), { code: 'appointment_not_found' });
+    if (error.code === '55000') throw Object.assign(new Error('outcome_not_allowed'), { code: 'outcome_not_allowed' });
+    throw error;
+  }
+  console.log('[outcomes] recorded', { businessId, appointmentId: id, outcome });
+  return data;
+}
+
+/**
+ * Appointments waiting for an outcome, oldest first.
+ */
+async function awaitingOutcome(businessId, { limit = 100 } = {}) {
+  const { data, error } = await supabase
+    .from('appointments')
+    .select('id, call_type, appointment_type, starts_at, ends_at, timezone, name, phone, email, model, preferred_trim, car_unit_id, staff_id, customer_id')
+    .eq('business_id', businessId)
+    .eq('status', 'awaiting_outcome')
+    .order('starts_at', { ascending: true })
+    .limit(limit);
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * booked -> awaiting_outcome once the appointment is over. Runs on a
+ * timer (jobs.js).
+ */
+async function flagPastAppointments() {
+  const { data, error } = await supabase
+    .from('appointments')
+    .update({ status: 'awaiting_outcome', status_changed_at: new Date().toISOString() })
+    .eq('status', 'booked')
+    .lte('ends_at', new Date().toISOString())
+    .select('id');
+  if (error) throw error;
+  if (data?.length) console.log('[outcomes] awaiting', { count: data.length });
+  return data?.length || 0;
+}
+
+module.exports = { OUTCOMES, OUTCOME_SCHEMA, recordOutcome, awaitingOutcome, flagPastAppointments };
@@ -0,0 +1,188 @@
+// ===============================================
+//  Recurrence rules
+//  The RFC 5545 RRULE subset recurring bookings accept:
+//    FREQ      DAILY | WEEKLY | MONTHLY | YEARLY
+//    INTERVAL  every n periods (default 1)
+//    COUNT / UNTIL
+//    BYDAY     MO..SU; MONTHLY also takes an ordinal (1MO, -1FR)
+//    BYMONTHDAY 1..31 or -31..-1 (from the end of the month)
+//  Occurrences keep the wall-clock time of the first one in the
+//  business timezone, so a 9am slot stays at 9am across DST changes.
+// ===============================================
+const { DateTime } = require('luxon');
+
+const FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const DAYS = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7 };
+const UNIT = { DAILY: 'days', WEEKLY: 'weeks', MONTHLY: 'months', YEARLY: 'years' };
+
+const invalid = (message) => Object.assign(new Error(message), { code: 'invalid_rrule' });
+
+/**
+ * Parse an RRULE ("FREQ=MONTHLY;BYDAY=1MO;COUNT=12", "RRULE:" prefix
+ * optional). Throws code invalid_rrule naming the offending part.
+ *
+ * @param {string} text
+ * @param {string} [timezone]  zone for a floating UNTIL
+ * @returns {{ freq: string, interval: number, count: number|null, until: DateTime|null,
+ *             byDay: { weekday: number, nth: number|null }[], byMonthDay: number[], text: string }}
+ */
+function parseRRule(text, timezone = 'utc') {
+  const body = String(text || '').trim().replace(/^RRULE:/i, '');
+  if (!body) throw invalid('empty rule');
+
+  const parts = {};
+  for (const part of body.split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined) throw invalid(`malformed part "${part}"`);
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const rule = { freq: null, interval: 1, count: null, until: null, byDay: [], byMonthDay: [] };
+  for (const [key, value] of Object.entries(parts)) {
+    switch (key) {
+      case 'FREQ':
+        if (!FREQS.includes(value)) throw invalid(`unsupported FREQ "${value}"`);
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1) throw invalid('INTERVAL must be a positive integer');
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        if (!Number.isInteger(rule.count) || rule.count < 1) throw invalid('COUNT must be a positive integer');
+        break;
+      case 'UNTIL': {
+        const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+        if (!m) throw invalid('UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSS[Z]');
+        const [, y, mo, d, h = '23', mi = '59', s = '59', z] = m;
+        rule.until = DateTime.fromObject(
+          { year: +y, month: +mo, day: +d, hour: +h, minute: +mi, second: +s },
+          { zone: z ? 'utc' : timezone }
+        );
+        if (!rule.until.isValid) throw invalid('UNTIL is not a valid date');
+        break;
+      }
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(v => {
+          const m = v.match(/^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/);
+          if (!m) throw invalid(`BYDAY value "${v}"`);
+          const nth = m[1] ? Number(m[1]) : null;
+          if (nth !== null && (nth === 0 || Math.abs(nth) > 5)) throw invalid(`BYDAY ordinal "${v}"`);
+          return { weekday: DAYS[m[2]], nth };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(v => {
+          const n = Number(v);
+          if (!Number.isInteger(n) || n === 0 || Math.abs(n) > 31) throw invalid(`BYMONTHDAY value "${v}"`);
+          return n;
+        });
+        break;
+      case 'WKST':
+        if (value !== 'MO') throw invalid('only WKST=MO is supported');
+        break;
+      default:
+        throw invalid(`unsupported part ${key}`);
+    }
+  }
+
+  if (!rule.freq) throw invalid('FREQ is required');
+  if (rule.count && rule.until) throw invalid('COUNT and UNTIL cannot both be set');
+  if (rule.byDay.some(d => d.nth !== null) && rule.freq !== 'MONTHLY') throw invalid('BYDAY ordinals need FREQ=MONTHLY');
+  if (rule.freq === 'YEARLY' && (rule.byDay.length || rule.byMonthDay.length)) throw invalid('FREQ=YEARLY takes no BYDAY/BYMONTHDAY');
+  if (rule.freq === 'WEEKLY' && rule.byMonthDay.length) throw invalid('FREQ=WEEKLY takes no BYMONTHDAY');
+
+  rule.text = Object.entries(parts).map(([k, v]) => `${k}=${v}`).join(';');
+  return rule;
+}
+
+// Candidate days of one period (first day given), before time-of-day is applied
+function daysOfPeriod(rule, periodStart, first) {
+  if (rule.freq === 'DAILY') return [periodStart];
+  if (rule.freq === 'YEARLY') {
+    // Feb 29 only in leap years
+    const d = periodStart.set({ month: first.month, day: first.day });
+    return d.day === first.day ? [d] : [];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const weekdays = rule.byDay.length ? rule.byDay.map(d => d.weekday) : [first.weekday];
+    return weekdays.map(wd => periodStart.plus({ days: wd - 1 }));
+  }
+
+  // MONTHLY
+  const days = [];
+  const inMonth = periodStart.daysInMonth;
+  for (const md of rule.byMonthDay) {
+    const day = md > 0 ? md : inMonth + md + 1;
+    if (day >= 1 && day <= inMonth) days.push(periodStart.set({ day }));
+  }
+  for (const { weekday, nth } of rule.byDay) {
+    const matching = [];
+    for (let day = 1; day <= inMonth; day++) {
+      const d = periodStart.set({ day });
+      if (d.weekday === weekday) matching.push(d);
+    }
+    if (nth === null) days.push(...matching);
+    else {
+      const d = nth > 0 ? matching[nth - 1] : matching[matching.length + nth];
+      if (d) days.push(d);
+    }
+  }
+  // Neither given: the first occurrence's day, skipping months without it
+  if (!rule.byMonthDay.length && !rule.byDay.length && first.day <= inMonth) days.push(periodStart.set({ day: first.day }));
+  return days;
+}
+
+/**
+ * Occurrence starts of a rule, the first one included, in order.
+ * Stops at COUNT / UNTIL, `max` occurrences or `horizon`, whichever
+ * comes first.
+ *
+ * @param {object}   rule   from parseRRule()
+ * @param {DateTime} first  first occurrence, in the business timezone
+ * @param {{ max: number, horizon: DateTime }} limits
+ * @returns {{ starts: DateTime[], truncated: boolean }} truncated when
+ *          the rule goes on past max/horizon
+ */
+function expandRRule(rule, first, { max, horizon }) {
+  const starts = [first];
+  const seen = new Set([+first]);
+  const time = { hour: first.hour, minute: first.minute, second: first.second, millisecond: 0 };
+  // one past max, to tell whether the rule goes on
+  const cap = rule.count ? Math.min(rule.count, max + 1) : max + 1;
+  const end = rule.until && rule.until < horizon ? rule.until : horizon;
+
+  const anchor = rule.freq === 'WEEKLY' ? first.startOf('week')
+    : rule.freq === 'MONTHLY' ? first.startOf('month')
+      : rule.freq === 'YEARLY' ? first.startOf('year')
+        : first.startOf('day');
+
+  for (let k = 0; starts.length < cap; k++) {
+    const periodStart = anchor.plus({ [UNIT[rule.freq]]: k * rule.interval });
+    if (periodStart > end) break;
+
+    const candidates = daysOfPeriod(rule, periodStart, first)
+      .map(d => d.set(time))
+      .filter(d => d.isValid && d > first && d <= end)
+      // DAILY with BYDAY / BYMONTHDAY only keeps matching days
+      .filter(d => rule.freq !== 'DAILY' || !rule.byDay.length || rule.byDay.some(b => b.weekday === d.weekday))
+      .filter(d => rule.freq !== 'DAILY' || !rule.byMonthDay.length ||
+        rule.byMonthDay.some(md => d.day === (md > 0 ? md : d.daysInMonth + md + 1)))
+      .sort((a, b) => a - b);
+
+    for (const d of candidates) {
+      if (starts.length >= cap) break;
+      if (seen.has(+d)) continue;
+      seen.add(+d);
+      starts.push(d);
+    }
+  }
+
+  const truncated = starts.length > max ||
+    (rule.count ? starts.length < rule.count : !rule.until || rule.until > horizon);
+  return { starts: starts.slice(0, max), truncated };
+}
+
+module.exports = { parseRRule, expandRRule };
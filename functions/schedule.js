@@ -0,0 +1,121 @@
+// ===============================================
+//  Opening-hours schedule
+//  Per-weekday intervals (split shifts allowed), date-specific
+//  exceptions and closures. Every booking path and slot search
+//  asks this module whether a window is open.
+// ===============================================
+const { DateTime } = require('luxon');
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const HHMM_RE = /^([01]\d|2[0-4]):([0-5]\d)$/;
+
+// "HH:mm" -> minutes after midnight ("24:00" -> 1440), null if malformed
+function toMinutes(hhmm) {
+  const m = HHMM_RE.exec(String(hhmm || '').trim());
+  if (!m) return null;
+  const mins = Number(m[1]) * 60 + Number(m[2]);
+  return mins <= 1440 ? mins : null;
+}
+
+/**
+ * Normalise stored schedule pieces.
+ *
+ *   weekly:     { mon: [{ start: "09:00", end: "12:00" }, { start: "13:00", end: "17:00" }], sun: [] }
+ *   exceptions: [{ date: "2025-12-24", hours: [{ start: "09:00", end: "13:00" }], reason }]
+ *   closures:   [{ date: "2025-12-25", reason }] or [{ from: "2025-12-25", to: "2025-12-26", reason }]
+ *
+ * An interval whose end is at or before its start runs past midnight
+ * into the next day (e.g. 20:00–02:00).
+ */
+function buildSchedule({ timezone, weekly = {}, exceptions = [], closures = [] }) {
+  return { timezone, weekly, exceptions: exceptions || [], closures: closures || [] };
+}
+
+// What applies on one local date: { intervals, closed, reason }
+function dayRules(schedule, dateLux) {
+  const iso = dateLux.toISODate();
+
+  const closure = schedule.closures.find(c =>
+    c.date ? c.date === iso : (c.from && c.to && c.from <= iso && iso <= c.to)
+  );
+  if (closure) return { intervals: [], closed: true, reason: closure.reason || null };
+
+  const exception = schedule.exceptions.find(e => e.date === iso);
+  if (exception) {
+    const intervals = exception.hours || [];
+    return { intervals, closed: intervals.length === 0, reason: exception.reason || null };
+  }
+
+  return { intervals: schedule.weekly[WEEKDAYS[dateLux.weekday - 1]] || [], closed: false, reason: null };
+}
+
+// Local wall-clock minutes on a date -> DateTime in the schedule zone.
+// Luxon moves times inside a DST gap forward and picks the earlier
+// offset for ambiguous fall-back times, so intervals stay well-formed.
+function atMinutes(dateLux, minutes, timezone) {
+  const day = DateTime.fromObject(
+    { year: dateLux.year, month: dateLux.month, day: dateLux.day },
+    { zone: timezone }
+  );
+  return day.plus({ days: Math.floor(minutes / 1440) }).set({
+    hour: Math.floor((minutes % 1440) / 60),
+    minute: minutes % 60
+  });
+}
+
+/**
+ * Open time between `from` and `to` as merged absolute intervals
+ * ({ start, end } epoch ms), so shifts that touch — including an
+ * overnight shift running into the next day's opening — join up.
+ */
+function openIntervals(schedule, from, to) {
+  const tz = schedule.timezone;
+  const raw = [];
+
+  // Start a day early so an overnight shift from the previous day counts
+  let day = from.setZone(tz).startOf('day').minus({ days: 1 });
+  const lastDay = to.setZone(tz).startOf('day');
+
+  while (day <= lastDay) {
+    for (const iv of dayRules(schedule, day).intervals) {
+      const s = toMinutes(iv.start);
+      let e = toMinutes(iv.end);
+      if (s === null || e === null) {
+        console.warn('[schedule] skipping malformed interval', { date: day.toISODate(), iv });
+        continue;
+      }
+      if (e <= s) e += 1440; // crosses midnight
+      raw.push({ start: atMinutes(day, s, tz).toMillis(), end: atMinutes(day, e, tz).toMillis() });
+    }
+    day = day.plus({ days: 1 });
+  }
+
+  raw.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const iv of raw) {
+    const last = merged[merged.length - 1];
+    if (last && iv.start <= last.end) last.end = Math.max(last.end, iv.end);
+    else merged.push({ ...iv });
+  }
+
+  const lo = from.toMillis(), hi = to.toMillis();
+  return merged.filter(iv => iv.end > lo && iv.start < hi);
+}
+
+// Is [startMs, endMs) inside one open interval?
+const contains = (intervals, startMs, endMs) =>
+  intervals.some(iv => iv.start <= startMs && endMs <= iv.end);
+
+/**
+ * The single opening-hours validator.
+ * @returns {null | 'outside_office_hours' | 'business_closed'}
+ */
+function checkHours(schedule, startLux, endLux) {
+  const open = openIntervals(schedule, startLux, endLux);
+  if (contains(open, startLux.toMillis(), endLux.toMillis())) return null;
+
+  const startDay = dayRules(schedule, startLux.setZone(schedule.timezone));
+  return startDay.closed ? 'business_closed' : 'outside_office_hours';
+}
+
+module.exports = { WEEKDAYS, toMinutes, buildSchedule, dayRules, openIntervals, contains, checkHours };
@@ -0,0 +1,125 @@
+// ===============================================
+//  Input schemas for agent-facing actions
+//  Small declarative validator so every action rejects bad
+//  input the same way before touching Calendar or Supabase.
+// ===============================================
+const { DateTime, IANAZone } = require("luxon");
+
+// Synthflow sends unfilled variables as "<name>" — treat those as absent.
+const isPlaceholder = (v) => typeof v === "string" && /^<[^>]*>$/.test(v.trim());
+const isBlank = (v) => v === undefined || v === null || (typeof v === "string" && v.trim() === "") || isPlaceholder(v);
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Each checker returns [ok, coercedValue, message]
+const TYPES = {
+  string: (v) => typeof v === "string" || typeof v === "number"
+    ? [true, String(v).trim()]
+    : [false, v, "must be a string"],
+
+  email: (v) => typeof v === "string" && EMAIL_RE.test(v.trim())
+    ? [true, v.trim()]
+    : [false, v, "must be a valid email"],
+
+  phone: (v) => {
+    const s = String(v).trim();
+    return /^\+?[\d\s().-]{4,}$/.test(s) ? [true, s] : [false, v, "must be a phone number"];
+  },
+
+  datetime: (v) => typeof v === "string" && DateTime.fromISO(v.trim(), { setZone: true }).isValid
+    ? [true, v.trim()]
+    : [false, v, "must be an ISO-8601 date/time"],
+
+  date: (v) => typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v.trim()) && DateTime.fromISO(v.trim()).isValid
+    ? [true, v.trim()]
+    : [false, v, "must be a YYYY-MM-DD date"],
+
+  timezone: (v) => typeof v === "string" && IANAZone.isValidZone(v.trim())
+    ? [true, v.trim()]
+    : [false, v, "must be an IANA timezone"],
+
+  number: (v) => {
+    const n = typeof v === "number" ? v : Number(v);
+    return Number.isFinite(n) ? [true, n] : [false, v, "must be a number"];
+  },
+
+  integer: (v) => {
+    const n = typeof v === "number" ? v : Number(v);
+    return Number.isInteger(n) ? [true, n] : [false, v, "must be an integer"];
+  },
+
+  boolean: (v) => {
+    if (typeof v === "boolean") return [true, v];
+    const s = String(v).toLowerCase();
+    if (s === "true" || s === "false") return [true, s === "true"];
+    return [false, v, "must be true or false"];
+  },
+
+  object: (v) => v && typeof v === "object" && !Array.isArray(v)
+    ? [true, v]
+    : [false, v, "must be an object"],
+
+  array: (v) => Array.isArray(v) ? [true, v] : [false, v, "must be an array"]
+};
+
+/**
+ * Validate `input` against `schema`.
+ *
+ * schema = {
+ *   fields: { name: { type, required, min, max, enum, default } },
+ *   anyOf:  [["email", "phone"]]   // at least one of each group must be present
+ * }
+ *
+ * Unknown fields are passed through untouched so handlers can keep
+ * reading optional extras (e.g. metadata the agent sends along).
+ *
+ * @returns {{ ok: boolean, value: object, errors: {field: string, message: string}[] }}
+ */
+function validate(schema, input) {
+  const src = input && typeof input === "object" ? input : {};
+  const value = { ...src };
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema.fields || {})) {
+    const raw = src[field];
+
+    if (isBlank(raw)) {
+      delete value[field];
+      if (rule.default !== undefined) value[field] = rule.default;
+      else if (rule.required) errors.push({ field, message: "is required" });
+      continue;
+    }
+
+    const check = TYPES[rule.type || "string"];
+    const [ok, coerced, message] = check(raw);
+    if (!ok) {
+      errors.push({ field, message });
+      continue;
+    }
+
+    if (rule.enum && !rule.enum.includes(coerced)) {
+      errors.push({ field, message: `must be one of ${rule.enum.join(", ")}` });
+      continue;
+    }
+    if (rule.min !== undefined && coerced < rule.min) {
+      errors.push({ field, message: `must be >= ${rule.min}` });
+      continue;
+    }
+    if (rule.max !== undefined && coerced > rule.max) {
+      errors.push({ field, message: `must be <= ${rule.max}` });
+      continue;
+    }
+
+    value[field] = coerced;
+  }
+
+  for (const group of schema.anyOf || []) {
+    if (group.every(f => isBlank(value[f]))) {
+      errors.push({ field: group.join("|"), message: `one of ${group.join(", ")} is required` });
+    }
+  }
+
+  return { ok: errors.length === 0, value, errors };
+}
+
+module.exports = { validate, isBlank };
@@ -0,0 +1,163 @@
+// ===============================================
+//  Per-business configuration
+//  One business_settings row per business_id replaces the old
+//  agent-passed config and the two hardcoded DEFAULTS objects.
+// ===============================================
+const supabase = require('./supabase');
+const { WEEKDAYS, buildSchedule } = require('./schedule');
+const { loadAppointmentTypes, resolveType } = require('./appointmentTypes');
+const { calendarFor } = require('./calendars');
+
+const everyDay = (start, end) =>
+  Object.fromEntries(WEEKDAYS.map(d => [d, [{ start, end }]]));
+
+// Used when a business has no settings row yet: the old general booking
+// defaults, for /testdrive too (it used America/Chicago, 07:30-20:00 and 3
+// at a time; businesses that had taken test drives were seeded with those
+// in 20261019002400_seed_testdrive_settings.sql)
+const DEFAULT_SETTINGS = {
+  timezone: 'America/Vancouver',
+  weekly_hours: everyDay('09:00', '17:00'),
+  hour_exceptions: [],
+  closures: [],
+  appointment_durations: { default: 15, testdrive: 30 },
+  min_lead_minutes: 30,
+  cancellation_cutoff_minutes: 60,
+  max_overlaps: 5,
+  calendar_id: null,
+  blocking_calendar_id: null,
+  calendar_provider: 'google',
+  calendar_provider_config: {},
+  allow_request_overrides: false,
+  waitlist_enabled: false,
+  waitlist_offer_ttl_minutes: 30,
+  notifications_enabled: true,
+  reminder_lead_minutes: 24 * 60,
+  notification_templates: {},
+  phone_country_code: '1',
+  staff_assignment: 'none',
+  track_no_shows: true,
+  hold_ttl_minutes: 15
+};
+
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+/**
+ * Fetch the settings row for a business (cached briefly).
+ * @returns {Promise<object|null>} row, or null when the business has none
+ */
+async function loadSettings(businessId) {
+  if (!businessId) return null;
+
+  const hit = cache.get(businessId);
+  if (hit && hit.expires > Date.now()) return hit.row;
+
+  const { data, error } = await supabase
+    .from('business_settings')
+    .select('*')
+    .eq('business_id', businessId)
+    .maybeSingle();
+
+  if (error) {
+    // Don't book against guessed config if the table is unreachable
+    console.error('[settings] load_failed', { businessId, error });
+    throw Object.assign(new Error('settings_unavailable'), { code: 'settings_unavailable' });
+  }
+
+  cache.set(businessId, { row: data || null, expires: Date.now() + CACHE_TTL_MS });
+  return data || null;
+}
+
+// fractional hours -> "HH:mm"
+const toHHMM = (hours) => {
+  const total = Math.round(hours * 60);
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+const durationsOf = (row) => ({ ...DEFAULT_SETTINGS.appointment_durations, ...(row?.appointment_durations || {}) });
+
+/**
+ * Merge a settings row (or the defaults) and the resolved appointment
+ * type with request overrides. Overrides only apply when the business
+ * opted in (business_settings.allow_request_overrides).
+ *
+ * Precedence: request override > appointment type > business settings.
+ *
+ * @param {object|null} row   business_settings row
+ * @param {object}      request  validated request body
+ * @param {object}      [type]   from appointmentTypes.resolveType()
+ */
+function resolveConfig(row, request = {}, type = null) {
+  const s = { ...DEFAULT_SETTINGS, ...(row || {}) };
+  const overridesAllowed = !!s.allow_request_overrides;
+  const o = overridesAllowed ? request : {};
+
+  const t = type || resolveType([], durationsOf(row), 'default');
+
+  let weeklyHours = s.weekly_hours || DEFAULT_SETTINGS.weekly_hours;
+  if (o.officeStart !== undefined || o.officeEnd !== undefined) {
+    // A flat officeStart/officeEnd override applies to every day
+    const start = o.officeStart ?? 0;
+    const end = o.officeEnd ?? 24;
+    weeklyHours = everyDay(toHHMM(start), toHHMM(end));
+  }
+
+  const calendarId = o.calendarId || t.calendarId || s.calendar_id || null;
+  const timezone = o.timezone || s.timezone;
+
+  return {
+    businessId: s.business_id || request.business_id || null,
+    source: row ? 'business_settings' : 'defaults',
+    overridesAllowed,
+    timezone,
+    schedule: buildSchedule({
+      timezone,
+      weekly: weeklyHours,
+      exceptions: s.hour_exceptions,
+      closures: s.closures
+    }),
+    appointmentType: t,
+    durationMin: o.durationMin || t.durationMin,
+    bufferBeforeMin: t.bufferBeforeMin,
+    bufferAfterMin: t.bufferAfterMin,
+    minLeadMin: s.min_lead_minutes,
+    cancelCutoffMin: s.cancellation_cutoff_minutes,
+    maxOverlaps: o.maxOverlaps || t.capacity || s.max_overlaps,
+    waitlistEnabled: !!s.waitlist_enabled,
+    waitlistOfferTtlMin: s.waitlist_offer_ttl_minutes,
+    notificationsEnabled: !!s.notifications_enabled,
+    reminderLeadMin: s.reminder_lead_minutes,
+    notificationTemplates: s.notification_templates || {},
+    phoneCountryCode: s.phone_country_code || DEFAULT_SETTINGS.phone_country_code,
+    staffAssignment: s.staff_assignment || DEFAULT_SETTINGS.staff_assignment,
+    trackNoShows: s.track_no_shows ?? DEFAULT_SETTINGS.track_no_shows,
+    holdTtlMin: s.hold_ttl_minutes || DEFAULT_SETTINGS.hold_ttl_minutes,
+    // provider client for this business (calendars.js); resolved on first
+    // use so config-only callers never touch the provider
+    get calendar() { return calendarFor(row); },
+    calendarId,
+    blockingCalendarId: o.blockingCalendarId || t.blockingCalendarId || s.blocking_calendar_id || calendarId
+  };
+}
+
+/**
+ * Load settings + appointment type catalogue and resolve in one step.
+ * Throws `unknown_appointment_type` when the business has a catalogue
+ * and `appointmentType` isn't in it.
+ */
+async function getConfig(businessId, request = {}, appointmentType) {
+  const [row, catalogue] = await Promise.all([
+    loadSettings(businessId),
+    loadAppointmentTypes(businessId)
+  ]);
+  const type = resolveType(catalogue, durationsOf(row), appointmentType);
+  return resolveConfig(row, request, type);
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  loadSettings,
+  resolveConfig,
+  getConfig
+};
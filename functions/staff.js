@@ -0,0 +1,408 @@
+// ===============================================
+//  Staff assignment
+//  Salespeople / advisors per business. Each has their own calendar
+//  (read for busy time), optional working hours inside the business's,
+//  and the appointment types and car makes they handle. A booking goes
+//  to one free, eligible person, picked by the business's policy
+//  (business_settings.staff_assignment):
+//    round_robin   the person waiting longest since their last booking
+//    least_loaded  the fewest bookings that day
+//    preferred     the customer's previous salesperson, else round robin
+//  A person the caller asks for wins under any policy when free.
+//  The booking's event stays on the business calendar and invites them.
+// ===============================================
+const { DateTime } = require('luxon');
+const supabase = require('./supabase');
+const { WEEKDAYS, toMinutes, buildSchedule, openIntervals, contains } = require('./schedule');
+
+const POLICIES = ['none', 'round_robin', 'least_loaded', 'preferred'];
+
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+// Fields the dashboard can set
+const EDITABLE = ['name', 'email', 'phone', 'calendar_id', 'weekly_hours', 'appointment_types', 'brands', 'is_active'];
+const COLUMNS = 'id, business_id, name, email, phone, calendar_id, weekly_hours, appointment_types, brands, is_active, last_assigned_at';
+
+// Same loose matching appointment types use ("Test Drive" = "testdrive")
+const normKey = (v) => String(v || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Active staff of a business (cached briefly).
+ * @returns {Promise<object[]>} empty when the business has none
+ */
+async function loadStaff(businessId) {
+  if (!businessId) return [];
+
+  const hit = cache.get(businessId);
+  if (hit && hit.expires > Date.now()) return hit.rows;
+
+  const { data, error } = await supabase
+    .from('staff')
+    .select(COLUMNS)
+    .eq('business_id', businessId)
+    .eq('is_active', true)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('[staff] load_failed', { businessId, error });
+    throw Object.assign(new Error('settings_unavailable'), { code: 'settings_unavailable' });
+  }
+
+  cache.set(businessId, { rows: data || [], expires: Date.now() + CACHE_TTL_MS });
+  return data || [];
+}
+
+/**
+ * Staff who handle this appointment type and make. An empty list on the
+ * person means all; an unknown make (no unit, no brand asked for)
+ * doesn't rule anyone out.
+ */
+function eligibleStaff(members, { type, brand = null }) {
+  return members.filter(m =>
+    (!m.appointment_types?.length || m.appointment_types.some(t => normKey(t) === normKey(type))) &&
+    (!brand || !m.brands?.length || m.brands.some(b => normKey(b) === normKey(brand))));
+}
+
+/**
+ * Eligible staff for a booking, or null when the business doesn't assign
+ * staff (policy 'none' or nobody active) and bookings stay unassigned.
+ *
+ * @param {{ businessId: string, staffAssignment: string, appointmentType: { key: string } }} cfg
+ * @param {{ brand?: string|null }} [opts]
+ * @returns {Promise<object[]|null>}
+ */
+async function staffingFor(cfg, { brand = null } = {}) {
+  if (cfg.staffAssignment === 'none') return null;
+  const members = await loadStaff(cfg.businessId);
+  if (!members.length) return null;
+  return eligibleStaff(members, { type: cfg.appointmentType.key, brand });
+}
+
+/**
+ * The person a caller asked for: by id, full name, or a first name only
+ * one of them has ("Dave"). Null when nobody matches.
+ */
+function findStaff(members, ref) {
+  if (!ref) return null;
+  const wanted = String(ref).trim().toLowerCase();
+  const byId = members.find(m => m.id === ref);
+  if (byId) return byId;
+  const byName = members.find(m => m.name.trim().toLowerCase() === wanted);
+  if (byName) return byName;
+  const byFirst = members.filter(m => m.name.trim().toLowerCase().split(/\s+/)[0] === wanted);
+  return byFirst.length === 1 ? byFirst[0] : null;
+}
+
+/**
+ * A person's hours as a schedule: their weekly hours (business hours
+ * when unset) with the business's exceptions and closures. Bookings
+ * must fit both this and the business schedule.
+ */
+function staffSchedule(member, businessSchedule) {
+  return buildSchedule({
+    timezone: businessSchedule.timezone,
+    weekly: member.weekly_hours || businessSchedule.weekly,
+    exceptions: businessSchedule.exceptions,
+    closures: businessSchedule.closures
+  });
+}
+
+/**
+ * Busy time per person for [timeMin, timeMax): their calendar (one
+ * freebusy call for everyone) and their booked appointments.
+ *
+ * `ignore` ({ appointmentId, start, end }) leaves out an appointment
+ * being moved, and the calendar block exactly matching its old time
+ * (their invite to it). With failOpen, an unreachable calendar counts
+ * as free.
+ *
+ * @returns {Promise<Map<string, {start: number, end: number}[]>>} epoch ms
+ */
+async function staffBusy(calendar, members, { timeMin, timeMax, ignore = null, failOpen = false }) {
+  const busy = new Map(members.map(m => [m.id, []]));
+  if (!members.length) return busy;
+
+  let q = supabase
+    .from('appointments')
+    .select('id, staff_id, starts_at, ends_at')
+    .in('staff_id', members.map(m => m.id))
+    .eq('status', 'booked')
+    .lt('starts_at', new Date(timeMax).toISOString())
+    .gt('ends_at', new Date(timeMin).toISOString());
+  if (ignore?.appointmentId) q = q.neq('id', ignore.appointmentId);
+  const { data: appts, error } = await q;
+  if (error) throw error;
+  for (const a of appts || []) {
+    busy.get(a.staff_id).push({ start: Date.parse(a.starts_at), end: Date.parse(a.ends_at) });
+  }
+
+  const calendarIds = [...new Set(members.map(m => m.calendar_id).filter(Boolean))];
+  if (calendarIds.length) {
+    let fb = {};
+    try {
+      fb = await calendar.freebusy({ calendarIds, timeMin, timeMax });
+    } catch (err) {
+      if (!failOpen) throw err;
+      console.warn('[staff] freebusy_failed, proceeding open', { err: err?.message });
+    }
+    const own = ignore?.start ? [Date.parse(ignore.start), Date.parse(ignore.end)] : null;
+    for (const m of members) {
+      for (const b of fb[m.calendar_id] || []) {
+        const iv = { start: Date.parse(b.start), end: Date.parse(b.end) };
+        if (own && iv.start === own[0] && iv.end === own[1]) continue;
+        busy.get(m.id).push(iv);
+      }
+    }
+  }
+  return busy;
+}
+
+const overlaps = (a, s, e) => a.start < e && a.end > s;
+
+/**
+ * Staff free for one appointment: [start, end) within their hours and
+ * the held (buffered) window clear of their busy time.
+ *
+ * @param {object[]} members
+ * @param {object}   schedule  business schedule (for its timezone and closures)
+ * @param {Map}      busy      from staffBusy()
+ * @param {{ start: Date, end: Date, heldStart: Date, heldEnd: Date }} window
+ */
+function freeStaff(members, schedule, busy, { start, end, heldStart, heldEnd }) {
+  const s = start.getTime(), e = end.getTime();
+  const hs = heldStart.getTime(), he = heldEnd.getTime();
+  const from = DateTime.fromJSDate(start), to = DateTime.fromJSDate(end);
+  return members.filter(m =>
+    contains(openIntervals(staffSchedule(m, schedule), from, to), s, e) &&
+    !(busy.get(m.id) || []).some(b => overlaps(b, hs, he)));
+}
+
+/**
+ * Round-robin order: longest since their last booking first (never
+ * assigned = first of all).
+ */
+const rankStaff = (members) => [...members].sort((a, b) =>
+  (a.last_assigned_at ? Date.parse(a.last_assigned_at) : 0) - (b.last_assigned_at ? Date.parse(b.last_assigned_at) : 0));
+
+// Booked appointments per person on the local day of `start`
+async function loadOnDay(members, start, timezone) {
+  const day = DateTime.fromJSDate(start).setZone(timezone).startOf('day');
+  const { data, error } = await supabase
+    .from('appointments')
+    .select('staff_id')
+    .in('staff_id', members.map(m => m.id))
+    .eq('status', 'booked')
+    .gte('starts_at', day.toUTC().toISO())
+    .lt('starts_at', day.plus({ days: 1 }).toUTC().toISO());
+  if (error) throw error;
+  const counts = new Map(members.map(m => [m.id, 0]));
+  for (const a of data || []) counts.set(a.staff_id, (counts.get(a.staff_id) || 0) + 1);
+  return counts;
+}
+
+// The person the customer's latest assigned booking went to
+async function previousStaffId(businessId, customerId) {
+  if (!customerId) return null;
+  const { data, error } = await supabase
+    .from('appointments')
+    .select('staff_id')
+    .eq('business_id', businessId)
+    .eq('customer_id', customerId)
+    .not('staff_id', 'is', null)
+    .neq('status', 'cancelled')
+    .order('starts_at', { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return data?.[0]?.staff_id || null;
+}
+
+/**
+ * Pick who takes a booking.
+ *
+ * @param {object}   cfg      resolved config (staffAssignment, schedule, calendar, timezone)
+ * @param {object[]} members  eligible staff
+ * @param {{ start: Date, end: Date, heldStart: Date, heldEnd: Date }} window
+ * @param {object}   [opts]
+ * @param {object}   [opts.preferred]   the person asked for (findStaff())
+ * @param {string}   [opts.customerId]  for the 'preferred' policy
+ * @param {object}   [opts.ignore]      see staffBusy()
+ * @param {boolean}  [opts.failOpen]    see staffBusy()
+ * @returns {Promise<object|null>} the person, or null when nobody is free
+ */
+async function assignStaff(cfg, members, window, { preferred = null, customerId = null, ignore = null, failOpen = false } = {}) {
+  const busy = await staffBusy(cfg.calendar, members, {
+    timeMin: window.heldStart, timeMax: window.heldEnd, ignore, failOpen
+  });
+  const free = freeStaff(members, cfg.schedule, busy, window);
+  if (!free.length) return null;
+
+  if (preferred && free.some(m => m.id === preferred.id)) return preferred;
+
+  if (cfg.staffAssignment === 'preferred') {
+    const previous = await previousStaffId(cfg.businessId, customerId);
+    const member = previous && free.find(m => m.id === previous);
+    if (member) return member;
+  }
+
+  const ranked = rankStaff(free);
+  if (cfg.staffAssignment === 'least_loaded') {
+    const counts = await loadOnDay(free, window.start, cfg.timezone);
+    ranked.sort((a, b) => counts.get(a.id) - counts.get(b.id)); // stable: ties stay round robin
+  }
+  return ranked[0];
+}
+
+/**
+ * Move a person to the back of the round-robin queue.
+ */
+async function markAssigned(member) {
+  const now = new Date().toISOString();
+  const { error } = await supabase.from('staff').update({ last_assigned_at: now }).eq('id', member.id);
+  if (error) console.error('[staff] mark_assigned_failed', { staffId: member.id, error });
+  cache.delete(member.business_id);
+}
+
+// ===============================================
+//  Dashboard management
+// ===============================================
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function hoursErrors(weekly) {
+  if (weekly === null) return [];
+  if (typeof weekly !== 'object' || Array.isArray(weekly)) return ['must be an object keyed by weekday'];
+  const errors = [];
+  for (const [day, intervals] of Object.entries(weekly)) {
+    if (!WEEKDAYS.includes(day)) { errors.push(`unknown weekday "${day}" (${WEEKDAYS.join(', ')})`); continue; }
+    if (!Array.isArray(intervals) || intervals.some(iv => toMinutes(iv?.start) === null || toMinutes(iv?.end) === null)) {
+      errors.push(`${day} must be a list of { start: "HH:mm", end: "HH:mm" }`);
+    }
+  }
+  return errors;
+}
+
+const stringList = (v) => Array.isArray(v) && v.every(x => typeof x === 'string' && x.trim());
+
+/**
+ * Validate and normalise staff fields. With `partial` (updates) only the
+ * fields present are checked.
+ *
+ * @returns {{ ok: boolean, value: object, errors: {field: string, message: string}[] }}
+ */
+function validateStaff(input, { partial = false } = {}) {
+  const value = {};
+  const errors = [];
+  const has = (f) => input[f] !== undefined && input[f] !== null && String(input[f]).trim() !== '';
+
+  if (has('name')) value.name = String(input.name).trim();
+  else if (!partial || input.name !== undefined) errors.push({ field: 'name', message: 'is required' });
+
+  if (input.email !== undefined) {
+    value.email = has('email') ? String(input.email).trim().toLowerCase() : null;
+    if (value.email && !EMAIL_RE.test(value.email)) errors.push({ field: 'email', message: 'must be a valid email' });
+  }
+  for (const f of ['phone', 'calendar_id']) {
+    if (input[f] !== undefined) value[f] = has(f) ? String(input[f]).trim() : null;
+  }
+
+  if (input.weekly_hours !== undefined) {
+    for (const message of hoursErrors(input.weekly_hours)) errors.push({ field: 'weekly_hours', message });
+    value.weekly_hours = input.weekly_hours;
+  }
+
+  for (const f of ['appointment_types', 'brands']) {
+    if (input[f] === undefined) continue;
+    if (input[f] !== null && !stringList(input[f])) errors.push({ field: f, message: 'must be a list of names' });
+    else value[f] = (input[f] || []).map(x => x.trim());
+  }
+
+  if (input.is_active !== undefined) {
+    if (typeof input.is_active !== 'boolean') errors.push({ field: 'is_active', message: 'must be true or false' });
+    else value.is_active = input.is_active;
+  }
+
+  return { ok: errors.length === 0, value, errors };
+}
+
+/**
+ * All staff of a business, inactive included, by name.
+ */
+async function listStaff(businessId) {
+  const { data, error } = await supabase
+    .from('staff')
+    .select(COLUMNS)
+    .eq('business_id', businessId)
+    .order('name', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+async function createStaff(businessId, fields) {
+  const { data, error } = await supabase
+    .from('staff')
+    .insert([{ ...fields, business_id: businessId }])
+    .select(COLUMNS)
+    .single();
+  if (error) throw error;
+  cache.delete(businessId);
+  console.log('[staff] created', { businessId, id: data.id });
+  return data;
+}
+
+/**
+ * @returns {Promise<object|null>} null when the business has no such person
+ */
+async function updateStaff(businessId, id, patch) {
+  const { data, error } = await supabase
+    .from('staff')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('business_id', businessId)
+    .select(COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  cache.delete(businessId);
+  if (data) console.log('[staff] updated', { businessId, id, fields: Object.keys(patch) });
+  return data;
+}
+
+/**
+ * Booked appointments from now on assigned to a person — they need
+ * someone else once the person is deactivated.
+ */
+async function upcomingFor(businessId, staffId) {
+  const { data, error } = await supabase
+    .from('appointments')
+    .select('id, call_type, appointment_type, name, phone, email, starts_at, model')
+    .eq('business_id', businessId)
+    .eq('staff_id', staffId)
+    .eq('status', 'booked')
+    .gte('starts_at', new Date().toISOString())
+    .order('starts_at', { ascending: true });
+  if (error) {
+    console.error('[staff] upcoming_lookup_failed', { businessId, staffId, error });
+    return [];
+  }
+  return data || [];
+}
+
+module.exports = {
+  POLICIES,
+  EDITABLE,
+  loadStaff,
+  eligibleStaff,
+  staffingFor,
+  findStaff,
+  staffSchedule,
+  staffBusy,
+  freeStaff,
+  rankStaff,
+  assignStaff,
+  markAssigned,
+  validateStaff,
+  listStaff,
+  createStaff,
+  updateStaff,
+  upcomingFor
+};
@@ -0,0 +1,88 @@
+// ===============================================
+//  Call and booking analytics
+//  Date-range filters shared by POST /stats and the exports; the
+//  aggregation itself runs in the database (stats_report()).
+// ===============================================
+const { DateTime } = require('luxon');
+const supabase = require('./supabase');
+const { loadSettings, resolveConfig } = require('./settings');
+
+const BUCKETS = ['day', 'week', 'month'];
+const DEFAULT_RANGE_DAYS = 30;
+
+// Filters accepted by /stats and the CSV exports
+const STATS_SCHEMA = {
+  fields: {
+    business_id: { type: 'string', required: true },
+    from:        { type: 'datetime' },
+    to:          { type: 'datetime' },
+    timezone:    { type: 'timezone' },
+    bucket:      { type: 'string', enum: BUCKETS, default: 'day' }
+  }
+};
+
+const isDateOnly = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v);
+
+/**
+ * Turn validated filters into a half-open [from, to) range.
+ * Plain dates are whole local days in the business timezone (`to` is
+ * inclusive); without `from` the range covers the last 30 days.
+ *
+ * @returns {Promise<{ businessId: string, timezone: string, bucket: string, from: DateTime, to: DateTime }>}
+ */
+async function resolveRange(filters) {
+  const cfg = resolveConfig(await loadSettings(filters.business_id), {});
+  const timezone = filters.timezone || cfg.timezone;
+
+  const to = filters.to
+    ? (isDateOnly(filters.to)
+        ? DateTime.fromISO(filters.to, { zone: timezone }).plus({ days: 1 })
+        : DateTime.fromISO(filters.to, { zone: timezone }))
+    : DateTime.now().setZone(timezone);
+  const from = filters.from
+    ? DateTime.fromISO(filters.from, { zone: timezone })
+    : to.minus({ days: DEFAULT_RANGE_DAYS }).startOf('day');
+
+  if (from >= to) {
+    throw Object.assign(new Error('invalid_range'), { code: 'invalid_range' });
+  }
+  return { businessId: filters.business_id, timezone, bucket: filters.bucket || 'day', from, to };
+}
+
+// n ÷ of to four places, null when there is nothing to divide by
+const rate = (n, of) => of ? Math.round((n / of) * 10000) / 10000 : null;
+
+// show_rate = attended ÷ (attended + no-shows), of the outcomes recorded;
+// sale_rate = sold ÷ held bookings
+const withRates = (o) => ({
+  ...o,
+  show_rate: rate(o.attended, o.attended + o.no_show),
+  sale_rate: rate(o.sold, o.held)
+});
+
+/**
+ * Aggregated report for a range (see stats_report() for the shape).
+ * Adds conversion_rate = bookings ÷ calls (null without calls), and
+ * show_rate / sale_rate to outcomes and each testdrive_outcomes model.
+ */
+async function statsReport(range) {
+  const { data, error } = await supabase.rpc('stats_report', {
+    p_business_id: range.businessId,
+    p_from: range.from.toUTC().toISO(),
+    p_to: range.to.toUTC().toISO(),
+    p_timezone: range.timezone,
+    p_bucket: range.bucket
+  });
+  if (error) throw error;
+
+  const totals = data?.totals || { calls: 0, bookings: 0, rejected: 0 };
+  return {
+    ...data,
+    totals,
+    conversion_rate: rate(totals.bookings, totals.calls),
+    outcomes: withRates(data?.outcomes || { held: 0, attended: 0, no_show: 0, sold: 0, awaiting: 0 }),
+    testdrive_outcomes: (data?.testdrive_outcomes || []).map(withRates)
+  };
+}
+
+module.exports = { BUCKETS, STATS_SCHEMA, resolveRange, statsReport };
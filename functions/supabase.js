@@ -0,0 +1,7 @@
+// Shared Supabase client (service role — server side only)
+const { createClient } = require('@supabase/supabase-js');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+module.exports = createClient(supabaseUrl, supabaseKey);
@@ -0,0 +1,102 @@
+// ===============================================
+//  Signed booking tokens
+//  Self-service links identify one exact appointment with an
+//  HMAC-signed, expiring token instead of name + email/phone matching.
+//  Format: base64url(JSON payload) + "." + base64url(HMAC-SHA256)
+// ===============================================
+const crypto = require('crypto');
+
+// How long a link keeps working after the appointment ends
+const GRACE_AFTER_END_MS = 24 * 60 * 60 * 1000;
+
+const secret = () => process.env.BOOKING_TOKEN_SECRET || null;
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+const sign = (data, key) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Issue a token for one booking.
+ *
+ * @param {object} p
+ * @param {string} p.business_id
+ * @param {'appointment'|'testdrive'} p.kind
+ * @param {string} p.ref   appointments.id
+ * @param {string} p.end   ISO end of the appointment — the token expires a day later
+ * @returns {string|null}  null when BOOKING_TOKEN_SECRET isn't configured
+ */
+function issueToken({ business_id, kind, ref, end }) {
+  const key = secret();
+  if (!key) return null;
+  const payload = {
+    b: business_id,
+    k: kind,
+    r: String(ref),
+    exp: Math.floor((Date.parse(end) + GRACE_AFTER_END_MS) / 1000)
+  };
+  const body = b64url(JSON.stringify(payload));
+  return `${body}.${b64url(sign(body, key))}`;
+}
+
+/**
+ * Issue a calendar feed token for a business, optionally limited to one
+ * calendar. Feed tokens don't expire; rotating BOOKING_TOKEN_SECRET
+ * revokes them (and every booking link).
+ *
+ * @returns {string|null}  null when BOOKING_TOKEN_SECRET isn't configured
+ */
+function issueFeedToken({ business_id, calendarId }) {
+  const key = secret();
+  if (!key) return null;
+  const body = b64url(JSON.stringify({ b: business_id, k: 'feed', r: calendarId || '*' }));
+  return `${body}.${b64url(sign(body, key))}`;
+}
+
+/**
+ * Check signature and expiry.
+ * @returns {{ ok: true, business_id: string, kind: string, ref: string } | { ok: false, reason: string }}
+ */
+function verifyToken(token) {
+  const key = secret();
+  if (!key) return { ok: false, reason: 'tokens_disabled' };
+
+  const [body, sig] = String(token || '').split('.');
+  if (!body || !sig) return { ok: false, reason: 'invalid_token' };
+
+  const expected = sign(body, key);
+  const given = Buffer.from(sig, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, reason: 'invalid_token' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return { ok: false, reason: 'invalid_token' };
+  }
+  if (payload.k !== 'feed' && (!payload.exp || payload.exp * 1000 < Date.now())) {
+    return { ok: false, reason: 'token_expired' };
+  }
+
+  return { ok: true, business_id: payload.b, kind: payload.k, ref: payload.r };
+}
+
+/**
+ * Public self-service URL for a token (PUBLIC_BASE_URL must be set).
+ */
+function manageUrl(token) {
+  const base = process.env.PUBLIC_BASE_URL;
+  if (!token || !base) return null;
+  return `${base.replace(/\/$/, '')}/manage/${token}`;
+}
+
+/**
+ * Public .ics subscription URL for a feed token.
+ */
+function feedUrl(token) {
+  const base = process.env.PUBLIC_BASE_URL;
+  if (!token || !base) return null;
+  return `${base.replace(/\/$/, '')}/feeds/${token}.ics`;
+}
+
+module.exports = { issueToken, issueFeedToken, verifyToken, manageUrl, feedUrl };
@@ -0,0 +1,265 @@
+// ===============================================
+//  Waitlist
+//  Callers turned away with slot_full / slot_blocked /
+//  no_unit_available can wait for a window. When capacity frees up
+//  (cancellation, reschedule, inventory change) the earliest entry
+//  gets a time-limited offer.
+// ===============================================
+const { DateTime } = require('luxon');
+const supabase = require('./supabase');
+const { getConfig } = require('./settings');
+const { fetchBusy, computeSlots } = require('./availability');
+const { staffingFor, eligibleStaff, staffSchedule, staffBusy, freeStaff } = require('./staff');
+const { makeOf } = require('./inventory');
+
+// Rejections that put a caller on the waitlist (when the business enables it)
+const WAITLIST_REASONS = ['slot_full', 'slot_blocked', 'no_unit_available'];
+
+/**
+ * Add a caller to the waitlist.
+ *
+ * @param {object} entry
+ * @param {string} entry.business_id
+ * @param {'appointment'|'testdrive'} entry.kind
+ * @param {string} entry.windowStart  ISO — earliest acceptable start
+ * @param {string} entry.windowEnd    ISO — latest acceptable end
+ * @returns {Promise<{ id: string, position: number }>}
+ */
+async function joinWaitlist(entry) {
+  const row = {
+    business_id: entry.business_id,
+    kind: entry.kind,
+    appointment_type: entry.appointmentType || null,
+    name: entry.name,
+    email: entry.email?.trim()?.toLowerCase() || null,
+    phone: entry.phone || null,
+    model: entry.model || null,
+    preferred_trim: entry.trim || null,
+    require_exact_trim: !!entry.requireExactTrim,
+    calendar_id: entry.calendarId || null,
+    blocking_calendar_id: entry.blockingCalendarId || null,
+    window_start: entry.windowStart,
+    window_end: entry.windowEnd,
+    reason: entry.reason || null,
+    status: 'waiting'
+  };
+
+  const { data, error } = await supabase
+    .from('waitlist')
+    .insert([row])
+    .select('id, created_at')
+    .single();
+  if (error) throw error;
+
+  const { count } = await supabase
+    .from('waitlist')
+    .select('id', { count: 'exact', head: true })
+    .eq('business_id', entry.business_id)
+    .eq('status', 'waiting')
+    .lte('created_at', data.created_at);
+
+  console.log('[waitlist] joined', { businessId: entry.business_id, id: data.id, kind: entry.kind });
+  return { id: data.id, position: count || 1 };
+}
+
+/**
+ * Put a rejected caller on the waitlist if the business has it enabled
+ * and the rejection is one a freed slot could fix. Never throws — a
+ * waitlist failure must not change the rejection the caller gets.
+ *
+ * @returns {Promise<{ id: string, position: number } | null>}
+ */
+async function waitlistRejection(cfg, reason, entry) {
+  if (!cfg.waitlistEnabled || !WAITLIST_REASONS.includes(reason)) return null;
+  try {
+    return await joinWaitlist({ ...entry, reason });
+  } catch (e) {
+    console.error('[waitlist] join_failed', { businessId: entry.business_id, reason, e });
+    return null;
+  }
+}
+
+// Outstanding offers hold their slot (and unit) against later entries,
+// as do offers being booked right now (accepting)
+async function activeOffers(businessId) {
+  const { data, error } = await supabase
+    .from('waitlist')
+    .select('id, calendar_id, offered_start, offered_end, offered_car_unit_id')
+    .eq('business_id', businessId)
+    .in('status', ['offered', 'accepting'])
+    .gt('offer_expires_at', new Date().toISOString());
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Offer freed capacity to waiting callers, oldest entry first.
+ * Each entry gets the earliest free slot in its window; slots and car
+ * units already offered to someone else count as taken. When the
+ * business assigns staff, a slot also needs an eligible salesperson free.
+ *
+ * @returns {Promise<number>} offers made
+ */
+async function processWaitlist(businessId) {
+  const now = DateTime.now();
+  const { data: entries, error } = await supabase
+    .from('waitlist')
+    .select('*')
+    .eq('business_id', businessId)
+    .eq('status', 'waiting')
+    .gt('window_end', now.toISO())
+    .order('created_at', { ascending: true })
+    .limit(50);
+  if (error) throw error;
+  if (!entries?.length) return 0;
+
+  const offers = await activeOffers(businessId);
+  let made = 0;
+
+  for (const entry of entries) {
+    let cfg;
+    try {
+      cfg = await getConfig(businessId, {
+        calendarId: entry.calendar_id || undefined,
+        blockingCalendarId: entry.blocking_calendar_id || undefined
+      }, entry.appointment_type || (entry.kind === 'testdrive' ? 'testdrive' : undefined));
+    } catch (e) {
+      console.warn('[waitlist] skip entry, config', { id: entry.id, code: e.code });
+      continue;
+    }
+    if (!cfg.calendarId) continue;
+
+    const rangeStart = DateTime.max(DateTime.fromISO(entry.window_start), now).setZone(cfg.timezone);
+    const rangeEnd = DateTime.fromISO(entry.window_end).setZone(cfg.timezone);
+    if (rangeEnd <= rangeStart) continue;
+
+    const busyRange = {
+      timeMin: rangeStart.minus({ minutes: cfg.bufferBeforeMin }).toJSDate(),
+      timeMax: rangeEnd.plus({ minutes: cfg.bufferAfterMin }).toJSDate()
+    };
+    const { events, blocks } = await fetchBusy(cfg.calendar, {
+      calendarId: cfg.calendarId,
+      blockingId: cfg.blockingCalendarId,
+      timezone: cfg.timezone,
+      ...busyRange
+    });
+    // Only slots someone can take, as for /appointments/availability; the
+    // unit's make narrows it further once one is picked
+    const members = await staffingFor(cfg);
+    const staffBusyMap = members && await staffBusy(cfg.calendar, members, busyRange);
+    const offered = offers
+      .filter(o => (o.calendar_id || cfg.calendarId) === cfg.calendarId)
+      .map(o => ({ start: Date.parse(o.offered_start), end: Date.parse(o.offered_end) }));
+
+    const slots = computeSlots({
+      rangeStart, rangeEnd, timezone: cfg.timezone,
+      schedule: cfg.schedule,
+      durationMin: cfg.durationMin,
+      maxOverlaps: cfg.maxOverlaps,
+      bufferBeforeMin: cfg.bufferBeforeMin,
+      bufferAfterMin: cfg.bufferAfterMin,
+      events: [...events, ...offered],
+      blocks,
+      staff: members && members.map(m => ({ schedule: staffSchedule(m, cfg.schedule), busy: staffBusyMap.get(m.id) })),
+      notBefore: now.setZone(cfg.timezone).plus({ minutes: cfg.minLeadMin })
+    });
+
+    let pick = null;
+    for (const slot of slots) {
+      if (!entry.model) { pick = { slot, carId: null }; break; }
+
+      const heldStart = slot.start.minus({ minutes: cfg.bufferBeforeMin });
+      const heldEnd = slot.end.plus({ minutes: cfg.bufferAfterMin });
+      const { data: carId, error: rpcErr } = await supabase.rpc('pick_free_car', {
+        p_business_id: businessId,
+        p_model: entry.model,
+        p_start: heldStart.toUTC().toISO(),
+        p_end: heldEnd.toUTC().toISO(),
+        p_trim: entry.preferred_trim || null,
+        p_require_exact_trim: !!entry.require_exact_trim
+      });
+      if (rpcErr) {
+        console.error('[waitlist] pick_free_car error', { id: entry.id, rpcErr });
+        break;
+      }
+      const clash = offers.some(o => o.offered_car_unit_id && o.offered_car_unit_id === carId &&
+        Date.parse(o.offered_start) < heldEnd.toMillis() && Date.parse(o.offered_end) > heldStart.toMillis());
+      if (!carId || clash) continue;
+
+      const brand = members?.length ? await makeOf(businessId, carId) : null;
+      if (brand) {
+        const free = freeStaff(eligibleStaff(members, { type: cfg.appointmentType.key, brand }), cfg.schedule, staffBusyMap, {
+          start: slot.start.toJSDate(), end: slot.end.toJSDate(),
+          heldStart: heldStart.toJSDate(), heldEnd: heldEnd.toJSDate()
+        });
+        if (!free.length) continue;
+      }
+      pick = { slot, carId };
+      break;
+    }
+    if (!pick) continue;
+
+    const offer = {
+      status: 'offered',
+      offered_start: pick.slot.start.toUTC().toISO(),
+      offered_end: pick.slot.end.toUTC().toISO(),
+      offered_car_unit_id: pick.carId,
+      offered_at: now.toUTC().toISO(),
+      offer_expires_at: now.plus({ minutes: cfg.waitlistOfferTtlMin }).toUTC().toISO()
+    };
+    const { error: updErr } = await supabase
+      .from('waitlist')
+      .update(offer)
+      .eq('id', entry.id)
+      .eq('status', 'waiting');
+    if (updErr) {
+      console.error('[waitlist] offer_update_failed', { id: entry.id, updErr });
+      continue;
+    }
+
+    offers.push({ id: entry.id, calendar_id: cfg.calendarId, ...offer });
+    made++;
+    console.log('[waitlist] offered', { id: entry.id, start: offer.offered_start, expires: offer.offer_expires_at });
+  }
+
+  return made;
+}
+
+/**
+ * Fire-and-forget waitlist pass after capacity was freed.
+ */
+function notifyCapacityFreed(businessId) {
+  if (!businessId) return;
+  processWaitlist(businessId)
+    .catch(e => console.error('[waitlist] process_failed', { businessId, e }));
+}
+
+/**
+ * Expire lapsed offers and pass their slots on to the next callers.
+ * Runs on a timer (see jobs.js).
+ */
+async function expireOffers() {
+  const nowISO = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('waitlist')
+    .update({ status: 'expired' })
+    .eq('status', 'offered')
+    .lte('offer_expires_at', nowISO)
+    .select('business_id');
+  if (error) throw error;
+
+  const businesses = [...new Set((data || []).map(r => r.business_id))];
+  for (const businessId of businesses) {
+    await processWaitlist(businessId);
+  }
+  if (data?.length) console.log('[waitlist] expired offers', { count: data.length, businesses: businesses.length });
+}
+
+module.exports = {
+  WAITLIST_REASONS,
+  joinWaitlist,
+  waitlistRejection,
+  processWaitlist,
+  notifyCapacityFreed,
+  expireOffers
+};
@@ -0,0 +1,28 @@
+-- Per-business configuration read by book, cancel, findNearest and /testdrive.
+-- weekly_hours: { "mon": [{ "start": "09:00", "end": "17:00" }], ..., "sun": [] }
+-- appointment_durations: { "default": 15, "testdrive": 30, "<type>": <minutes> }
+create table if not exists public.business_settings (
+  business_id                 text primary key,
+  timezone                    text    not null default 'America/Vancouver',
+  weekly_hours                jsonb   not null default '{
+    "mon": [{"start": "09:00", "end": "17:00"}],
+    "tue": [{"start": "09:00", "end": "17:00"}],
+    "wed": [{"start": "09:00", "end": "17:00"}],
+    "thu": [{"start": "09:00", "end": "17:00"}],
+    "fri": [{"start": "09:00", "end": "17:00"}],
+    "sat": [{"start": "09:00", "end": "17:00"}],
+    "sun": [{"start": "09:00", "end": "17:00"}]
+  }'::jsonb,
+  appointment_durations       jsonb   not null default '{"default": 15, "testdrive": 30}'::jsonb,
+  min_lead_minutes            integer not null default 30 check (min_lead_minutes >= 0),
+  cancellation_cutoff_minutes integer not null default 60 check (cancellation_cutoff_minutes >= 0),
+  max_overlaps                integer not null default 5  check (max_overlaps >= 1),
+  calendar_id                 text,
+  blocking_calendar_id        text,
+  -- when true, agents may still pass timezone/officeStart/officeEnd/durationMin/maxOverlaps/calendarId
+  allow_request_overrides     boolean not null default false,
+  created_at                  timestamptz not null default now(),
+  updated_at                  timestamptz not null default now()
+);
+
+alter table public.business_settings enable row level security;
@@ -0,0 +1,8 @@
+-- Date-specific opening hours and closures (see functions/schedule.js).
+-- hour_exceptions: [{ "date": "2025-12-24", "hours": [{ "start": "09:00", "end": "13:00" }], "reason": "Christmas Eve" }]
+-- closures:        [{ "date": "2025-12-25", "reason": "Christmas Day" }, { "from": "2025-12-26", "to": "2025-12-28" }]
+-- weekly_hours intervals may now be split ("09:00"-"12:00", "13:00"-"17:00")
+-- and may cross midnight ("20:00"-"02:00").
+alter table public.business_settings
+  add column if not exists hour_exceptions jsonb not null default '[]'::jsonb,
+  add column if not exists closures        jsonb not null default '[]'::jsonb;
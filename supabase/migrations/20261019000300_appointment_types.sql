@@ -0,0 +1,25 @@
+-- Per-business appointment type catalogue (see functions/appointmentTypes.js).
+-- Businesses without rows keep the built-in "default" and "testdrive" types
+-- derived from business_settings.appointment_durations.
+create table if not exists public.appointment_types (
+  id                   uuid primary key default gen_random_uuid(),
+  business_id          text    not null,
+  key                  text    not null,             -- e.g. sales_consult, service_dropoff, testdrive, financing
+  name                 text    not null,
+  duration_min         integer not null check (duration_min > 0),
+  buffer_before_min    integer not null default 0 check (buffer_before_min >= 0),
+  buffer_after_min     integer not null default 0 check (buffer_after_min >= 0),
+  capacity             integer check (capacity is null or capacity >= 1), -- null = business max_overlaps
+  calendar_id          text,                         -- null = business calendar
+  blocking_calendar_id text,
+  resource             text check (resource is null or resource in ('car_unit')),
+  is_active            boolean not null default true,
+  created_at           timestamptz not null default now(),
+  updated_at           timestamptz not null default now(),
+  unique (business_id, key)
+);
+
+alter table public.appointment_types enable row level security;
+
+alter table public.appointments
+  add column if not exists appointment_type text;
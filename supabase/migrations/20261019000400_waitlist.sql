@@ -0,0 +1,40 @@
+-- Waitlist for callers turned away with slot_full / slot_blocked / no_unit_available.
+-- status: waiting -> offered -> accepted | expired | declined  (offered -> waiting if the booking fails)
+create table if not exists public.waitlist (
+  id                   uuid primary key default gen_random_uuid(),
+  business_id          text not null,
+  kind                 text not null check (kind in ('appointment', 'testdrive')),
+  appointment_type     text,
+  name                 text not null,
+  email                text,
+  phone                text,
+  model                text,
+  preferred_trim       text,
+  require_exact_trim   boolean not null default false,
+  calendar_id          text,
+  blocking_calendar_id text,
+  window_start         timestamptz not null,
+  window_end           timestamptz not null,
+  reason               text,
+  status               text not null default 'waiting'
+                       check (status in ('waiting', 'offered', 'accepted', 'expired', 'declined')),
+  offered_start        timestamptz,
+  offered_end          timestamptz,
+  offered_car_unit_id  uuid,
+  offered_at           timestamptz,
+  offer_expires_at     timestamptz,
+  booking_ref          text,
+  created_at           timestamptz not null default now(),
+  check (window_end > window_start)
+);
+
+create index if not exists waitlist_business_status_idx
+  on public.waitlist (business_id, status, created_at);
+create index if not exists waitlist_offer_expiry_idx
+  on public.waitlist (offer_expires_at) where status = 'offered';
+
+alter table public.waitlist enable row level security;
+
+alter table public.business_settings
+  add column if not exists waitlist_enabled           boolean not null default false,
+  add column if not exists waitlist_offer_ttl_minutes integer not null default 30 check (waitlist_offer_ttl_minutes > 0);
@@ -0,0 +1,35 @@
+-- Outbound customer messages (functions/notifications.js). Rows are rendered
+-- when queued and sent by a timer, so reminders survive restarts.
+create table if not exists public.notifications (
+  id              uuid primary key default gen_random_uuid(),
+  business_id     text not null,
+  appointment_ref text not null,        -- appointments.id (general booking or test drive)
+  kind            text not null check (kind in ('confirmation', 'reminder', 'reschedule', 'cancellation')),
+  channel         text not null check (channel in ('email', 'sms')),
+  recipient       text not null,
+  subject         text,
+  body            text not null,
+  send_at         timestamptz not null,
+  status          text not null default 'pending'
+                  check (status in ('pending', 'sending', 'sent', 'failed', 'cancelled')),
+  attempts        integer not null default 0,
+  last_error      text,
+  claimed_at      timestamptz,
+  sent_at         timestamptz,
+  transport       text,
+  provider_id     text,
+  created_at      timestamptz not null default now()
+);
+
+create index if not exists notifications_due_idx
+  on public.notifications (send_at) where status = 'pending';
+create index if not exists notifications_ref_idx
+  on public.notifications (appointment_ref);
+
+alter table public.notifications enable row level security;
+
+alter table public.business_settings
+  add column if not exists notifications_enabled  boolean not null default true,
+  add column if not exists reminder_lead_minutes  integer not null default 1440 check (reminder_lead_minutes > 0),
+  -- { "<kind>": { "email": { "subject": "...", "text": "..." }, "sms": { "text": "..." } } }
+  add column if not exists notification_templates jsonb   not null default '{}'::jsonb;
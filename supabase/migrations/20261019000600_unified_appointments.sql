@@ -0,0 +1,125 @@
+-- General bookings move from stats rows into appointments, the same model
+-- /testdrive uses (call_type 'booking' vs 'testdrive'). Rows are no longer
+-- deleted; status records what happened:
+--   booked -> cancelled | rescheduled | no_show | completed
+-- A reschedule closes the old row as 'rescheduled' and books a successor
+-- pointing back at it (rescheduled_from_id). Closed rows get '#<id>'
+-- appended to idem_key so the same caller can book that time again.
+-- The car-unit exclusion constraint and pick_free_car only consider
+-- status = 'booked' rows.
+alter table public.appointments
+  add column if not exists rescheduled_from_id uuid references public.appointments (id),
+  add column if not exists status_changed_at   timestamptz;
+
+alter table public.appointments drop constraint if exists appointments_status_check;
+alter table public.appointments add constraint appointments_status_check
+  check (status in ('booked', 'cancelled', 'rescheduled', 'no_show', 'completed'));
+
+create index if not exists appointments_lookup_idx
+  on public.appointments (business_id, call_type, status, starts_at);
+create index if not exists appointments_gcal_event_idx
+  on public.appointments (gcal_event_id);
+
+-- Close a booked row and insert its successor in one transaction.
+-- p_patch holds the changed columns (starts_at, ends_at, booking_time_local,
+-- idem_key, car_unit_id). Returns the new id, or null when the row is no
+-- longer booked at p_expected_start (moved or cancelled concurrently).
+create or replace function public.reschedule_appointment(
+  p_id uuid,
+  p_expected_start timestamptz,
+  p_patch jsonb
+) returns uuid
+language plpgsql
+as $$
+declare
+  v_old public.appointments;
+  v_new public.appointments;
+begin
+  update public.appointments
+     set status = 'rescheduled',
+         status_changed_at = now(),
+         idem_key = idem_key || '#' || id
+   where id = p_id
+     and status = 'booked'
+     and starts_at = p_expected_start
+  returning * into v_old;
+  if not found then
+    return null;
+  end if;
+
+  v_new := jsonb_populate_record(v_old, p_patch);
+  v_new.id := gen_random_uuid();
+  v_new.status := 'booked';
+  v_new.status_changed_at := now();
+  v_new.rescheduled_from_id := v_old.id;
+  insert into public.appointments select v_new.*;
+  return v_new.id;
+end;
+$$;
+
+-- Undo reschedule_appointment() when the calendar patch fails.
+create or replace function public.revert_reschedule(p_new_id uuid)
+returns void
+language plpgsql
+as $$
+declare
+  v_prev uuid;
+begin
+  delete from public.appointments
+   where id = p_new_id and status = 'booked'
+  returning rescheduled_from_id into v_prev;
+  if v_prev is null then
+    return;
+  end if;
+
+  update public.appointments
+     set status = 'booked',
+         status_changed_at = now(),
+         idem_key = regexp_replace(idem_key, '#[^#]*$', '')
+   where id = v_prev and status = 'rescheduled';
+end;
+$$;
+
+-- Existing general bookings: one appointments row per stats booking row.
+-- Cancelled bookings were hard-deleted before, so only live and past ones
+-- can be carried over; past ones are marked completed.
+insert into public.appointments (
+  idem_key, business_id, name, email, phone,
+  calendar_id, blocking_calendar_id, timezone, booking_time_local,
+  starts_at, ends_at, call_type, appointment_type,
+  status, status_changed_at, source, gcal_event_id
+)
+select
+  'legacy|' || s.id,
+  s.business_id,
+  coalesce(s.metadata->>'name', ''),
+  lower(nullif(s.metadata->>'email', '')),
+  coalesce(nullif(s.metadata->>'phone', ''), s.phone::text),
+  bs.calendar_id,
+  bs.blocking_calendar_id,
+  coalesce(s.metadata->>'timezone', bs.timezone, 'America/Vancouver'),
+  s.metadata->>'start',
+  (s.metadata->>'start')::timestamptz,
+  (s.metadata->>'end')::timestamptz,
+  'booking',
+  s.metadata->>'appointment_type',
+  case when (s.metadata->>'end')::timestamptz <= now() then 'completed' else 'booked' end,
+  now(),
+  'stats_migration',
+  s.appointment_id
+from public.stats s
+left join public.business_settings bs on bs.business_id = s.business_id
+where s.call_type = 'booking'
+  and s.appointment_id is not null
+  and s.metadata->>'start' is not null
+  and s.metadata->>'end' is not null
+  and not exists (select 1 from public.appointments a where a.gcal_event_id = s.appointment_id)
+on conflict (idem_key) do nothing;
+
+-- stats booking rows stay as the call log; point them at the appointment
+update public.stats s
+   set appointment_id = a.id::text
+  from public.appointments a
+ where s.call_type = 'booking'
+   and a.call_type = 'booking'
+   and a.gcal_event_id = s.appointment_id;
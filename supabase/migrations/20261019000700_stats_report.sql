@@ -0,0 +1,105 @@
+-- Aggregated analytics for POST /stats (functions/stats.js). Everything is
+-- counted here so the API never pulls raw stats rows into memory.
+--   calls / bookings / rejections: stats rows with "timestamp" in [p_from, p_to)
+--   appointment types, test drives: appointments with starts_at in [p_from, p_to)
+-- Buckets are local to p_timezone (week buckets start on Monday).
+create index if not exists stats_business_time_idx
+  on public.stats (business_id, "timestamp");
+
+create or replace function public.stats_report(
+  p_business_id text,
+  p_from        timestamptz,
+  p_to          timestamptz,
+  p_timezone    text default 'America/Vancouver',
+  p_bucket      text default 'day'
+) returns jsonb
+language sql
+stable
+as $$
+  with calls as (
+    select s.call_type, s.metadata, s."timestamp" as ts
+      from public.stats s
+     where s.business_id = p_business_id
+       and s."timestamp" >= p_from
+       and s."timestamp" <  p_to
+  ),
+  series as (
+    select date_trunc(p_bucket, ts at time zone p_timezone) as bucket,
+           count(*)                                      as calls,
+           count(*) filter (where call_type = 'booking')  as bookings,
+           count(*) filter (where call_type = 'rejected') as rejected
+      from calls
+     group by 1
+  ),
+  appts as (
+    -- rescheduled rows are superseded by their successor, don't count twice
+    select a.*
+      from public.appointments a
+     where a.business_id = p_business_id
+       and a.starts_at >= p_from
+       and a.starts_at <  p_to
+       and a.status <> 'rescheduled'
+  )
+  select jsonb_build_object(
+    'totals', (
+      select jsonb_build_object(
+        'calls',    count(*),
+        'bookings', count(*) filter (where call_type = 'booking'),
+        'rejected', count(*) filter (where call_type = 'rejected'))
+        from calls
+    ),
+    'series', coalesce((
+      select jsonb_agg(jsonb_build_object(
+               'bucket',   to_char(bucket, 'YYYY-MM-DD'),
+               'calls',    calls,
+               'bookings', bookings,
+               'rejected', rejected) order by bucket)
+        from series
+    ), '[]'::jsonb),
+    'rejection_reasons', coalesce((
+      select jsonb_object_agg(reason, n)
+        from (select coalesce(metadata->>'reason', 'unknown') as reason, count(*) as n
+                from calls
+               where call_type = 'rejected'
+               group by 1) r
+    ), '{}'::jsonb),
+    'appointment_types', coalesce((
+      select jsonb_agg(jsonb_build_object(
+               'type',      type,
+               'total',     total,
+               'booked',    booked,
+               'completed', completed,
+               'cancelled', cancelled,
+               'no_show',   no_show) order by total desc)
+        from (select coalesce(appointment_type, case when call_type = 'testdrive' then 'testdrive' else 'default' end) as type,
+                     count(*)                                    as total,
+                     count(*) filter (where status = 'booked')    as booked,
+                     count(*) filter (where status = 'completed') as completed,
+                     count(*) filter (where status = 'cancelled') as cancelled,
+                     count(*) filter (where status = 'no_show')   as no_show
+                from appts
+               group by 1) t
+    ), '[]'::jsonb),
+    'testdrives', coalesce((
+      select jsonb_agg(jsonb_build_object('model', model, 'trim', "trim", 'count', n) order by n desc, model)
+        from (select a.model, coalesce(c."trim", a.preferred_trim) as "trim", count(*) as n
+                from appts a
+                left join public.cars c on c.id = a.car_unit_id
+               where a.call_type = 'testdrive'
+                 and a.status <> 'cancelled'
+               group by 1, 2) d
+    ), '[]'::jsonb),
+    -- trailing windows ending now, independent of p_from/p_to
+    'recent_bookings', (
+      select jsonb_build_object(
+        'daily',   count(*) filter (where s."timestamp" > now() - interval '1 day'),
+        'weekly',  count(*) filter (where s."timestamp" > now() - interval '7 days'),
+        'monthly', count(*))
+        from public.stats s
+       where s.business_id = p_business_id
+         and s.call_type = 'booking'
+         and s."timestamp" >  now() - interval '30 days'
+         and s."timestamp" <= now()
+    )
+  );
+$$;
@@ -0,0 +1,4 @@
+-- VIN lookups for inventory create/update and dealer-feed imports
+-- (functions/inventory.js dedupes by upper-cased VIN per business).
+create index if not exists cars_business_vin_idx
+  on public.cars (business_id, upper(vin));
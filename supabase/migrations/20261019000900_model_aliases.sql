@@ -0,0 +1,17 @@
+-- Per-business spoken aliases for models and trims, used by the fuzzy
+-- matcher (functions/modelMatch.js). A row without a trim aliases the
+-- model ("arate" -> "Audi R8"); with a trim it aliases that trim of the
+-- model ("perf" -> "V10 Performance").
+create table if not exists public.model_aliases (
+  id          uuid primary key default gen_random_uuid(),
+  business_id text not null,
+  alias       text not null,
+  model       text not null,
+  "trim"      text,
+  created_at  timestamptz not null default now()
+);
+
+create unique index if not exists model_aliases_unique
+  on public.model_aliases (business_id, lower(alias), model, coalesce("trim", ''));
+
+alter table public.model_aliases enable row level security;
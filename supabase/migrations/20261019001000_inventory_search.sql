@@ -0,0 +1,30 @@
+-- Searchable unit attributes for GET /inventory/cars
+alter table public.cars
+  add column if not exists year      integer,
+  add column if not exists colour    text,
+  add column if not exists price     numeric(12, 2),
+  add column if not exists body_type text;
+
+alter table public.cars drop constraint if exists cars_year_check;
+alter table public.cars add constraint cars_year_check check (year is null or year between 1900 and 2100);
+alter table public.cars drop constraint if exists cars_price_check;
+alter table public.cars add constraint cars_price_check check (price is null or price >= 0);
+
+create index if not exists cars_business_active_model_idx
+  on public.cars (business_id, is_active, model);
+
+-- Units with a booked appointment overlapping [p_start, p_end). Same
+-- overlap rule as pick_free_car; callers pass the buffered window.
+create or replace function public.busy_car_units(
+  p_business_id text,
+  p_start timestamptz,
+  p_end timestamptz
+) returns table (car_id uuid)
+language sql stable as $$
+  select distinct a.car_unit_id
+  from public.appointments a
+  where a.business_id = p_business_id
+    and a.status = 'booked'
+    and a.car_unit_id is not null
+    and tstzrange(a.starts_at, a.ends_at, '[)') && tstzrange(p_start, p_end, '[)');
+$$;
@@ -0,0 +1,20 @@
+-- Per-business API keys for the voice agent (functions/apiKeys.js).
+-- Only the SHA-256 of a key is stored; prefix is kept for display.
+create table if not exists public.api_keys (
+  id           uuid primary key default gen_random_uuid(),
+  business_id  text not null,
+  name         text not null default 'Voice agent',
+  prefix       text not null,
+  key_hash     text not null unique,
+  created_by   uuid,
+  created_at   timestamptz not null default now(),
+  last_used_at timestamptz,
+  -- set on rotation with a grace period; the key stops working then
+  expires_at   timestamptz,
+  revoked_at   timestamptz,
+  replaced_by  uuid references public.api_keys (id)
+);
+
+create index if not exists api_keys_business_idx on public.api_keys (business_id, created_at desc);
+
+alter table public.api_keys enable row level security;
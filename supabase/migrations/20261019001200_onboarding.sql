@@ -0,0 +1,14 @@
+-- Onboarding progress (functions/onboarding.js). One row per completed
+-- step; /onboard re-runs unfinished steps.
+create table if not exists public.onboarding_steps (
+  business_id  text not null,
+  step         text not null check (step in ('business', 'settings', 'calendars', 'sharing', 'appointment_types', 'api_key')),
+  detail       jsonb not null default '{}'::jsonb,
+  completed_at timestamptz not null default now(),
+  primary key (business_id, step)
+);
+
+alter table public.onboarding_steps enable row level security;
+
+-- A business_id belongs to one account
+create unique index if not exists businesses_business_id_key on public.businesses (business_id);
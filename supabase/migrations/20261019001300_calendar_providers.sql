@@ -0,0 +1,7 @@
+-- Calendar provider per business (functions/calendars.js).
+-- calendar_provider_config holds provider credentials (Graph app secret,
+-- CalDAV password); business_settings is only read with the service role.
+alter table public.business_settings
+  add column if not exists calendar_provider text not null default 'google'
+    check (calendar_provider in ('google', 'outlook', 'caldav', 'memory')),
+  add column if not exists calendar_provider_config jsonb not null default '{}'::jsonb;
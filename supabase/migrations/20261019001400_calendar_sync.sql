@@ -0,0 +1,24 @@
+-- Two-way calendar sync (functions/calendarSync.js).
+-- One row per watched calendar: the Google push channel currently open
+-- for it and the syncToken incremental syncs continue from.
+create table if not exists public.calendar_watches (
+  business_id   text not null,
+  calendar_id   text not null,
+  channel_id    text unique,
+  resource_id   text,
+  channel_token text,
+  expires_at    timestamptz,
+  sync_token    text,
+  synced_at     timestamptz,
+  last_error    text,
+  updated_at    timestamptz not null default now(),
+  primary key (business_id, calendar_id)
+);
+
+alter table public.calendar_watches enable row level security;
+
+-- 'calendar' when sync cancelled the row, or moved it to its current
+-- time, after an edit made directly in the calendar; null otherwise
+alter table public.appointments
+  add column if not exists status_source text
+    check (status_source in ('calendar'));
@@ -0,0 +1,136 @@
+-- Booking side effects as durable jobs (functions/outbox.js).
+-- An appointment and the jobs for its calendar event / messages are
+-- written in one transaction; a job that runs out of attempts is 'dead'
+-- and its appointment is marked sync_state = 'failed'.
+create table if not exists public.outbox (
+  id              uuid primary key default gen_random_uuid(),
+  business_id     text not null,
+  appointment_id  uuid references public.appointments (id) on delete cascade,
+  kind            text not null check (kind in ('calendar_insert', 'calendar_delete', 'notify')),
+  idempotency_key text not null unique,  -- also passed on to the provider
+  payload         jsonb not null default '{}'::jsonb,
+  status          text not null default 'pending'
+                  check (status in ('pending', 'running', 'done', 'dead')),
+  attempts        integer not null default 0,
+  max_attempts    integer not null default 8,
+  run_at          timestamptz not null default now(),
+  claimed_at      timestamptz,
+  last_error      text,
+  result          jsonb,
+  created_at      timestamptz not null default now(),
+  completed_at    timestamptz
+);
+
+create index if not exists outbox_due_idx
+  on public.outbox (run_at) where status = 'pending';
+create index if not exists outbox_business_status_idx
+  on public.outbox (business_id, status);
+
+alter table public.outbox enable row level security;
+
+-- pending: calendar write queued; synced: calendar matches; failed: gave up
+alter table public.appointments
+  add column if not exists sync_state text not null default 'synced'
+    check (sync_state in ('pending', 'synced', 'failed'));
+
+-- Outbox retries re-queue messages under the same key
+alter table public.notifications
+  add column if not exists idempotency_key text unique;
+
+-- Jobs for one appointment; keys already queued are skipped.
+create or replace function public.enqueue_outbox(p_appointment_id uuid, p_business_id text, p_jobs jsonb)
+returns void
+language sql
+as $$
+  insert into public.outbox (business_id, appointment_id, kind, idempotency_key, payload, run_at)
+  select p_business_id,
+         p_appointment_id,
+         j->>'kind',
+         j->>'idempotency_key',
+         coalesce(j->'payload', '{}'::jsonb),
+         coalesce((j->>'run_at')::timestamptz, now())
+    from jsonb_array_elements(coalesce(p_jobs, '[]'::jsonb)) as j
+  on conflict (idempotency_key) do nothing;
+$$;
+
+-- Insert a booking (p_appointment holds the columns to set, id included)
+-- and its jobs. When a live booking with the same idem_key exists nothing
+-- is written and that booking's id comes back with created = false.
+create or replace function public.book_appointment(p_appointment jsonb, p_jobs jsonb default '[]'::jsonb)
+returns table (appointment_id uuid, created boolean)
+language plpgsql
+as $$
+declare
+  v_cols text;
+  v_id uuid;
+begin
+  select string_agg(quote_ident(k), ', ') into v_cols
+    from jsonb_object_keys(p_appointment) as k;
+
+  execute format(
+    'insert into public.appointments (%1$s)
+     select %1$s from jsonb_populate_record(null::public.appointments, $1)
+     on conflict (idem_key) do nothing
+     returning id', v_cols)
+    using p_appointment
+    into v_id;
+
+  if v_id is null then
+    return query
+      select a.id, false from public.appointments a where a.idem_key = p_appointment->>'idem_key';
+    return;
+  end if;
+
+  perform public.enqueue_outbox(v_id, p_appointment->>'business_id', p_jobs);
+  return query select v_id, true;
+end;
+$$;
+
+-- Cancel a booked row and queue its jobs. Returns false when the row is
+-- no longer booked.
+create or replace function public.cancel_appointment(p_id uuid, p_jobs jsonb default '[]'::jsonb)
+returns boolean
+language plpgsql
+as $$
+declare
+  v public.appointments;
+begin
+  update public.appointments
+     set status = 'cancelled',
+         status_changed_at = now(),
+         status_source = null,
+         idem_key = idem_key || '#' || id,
+         sync_state = case when p_jobs @> '[{"kind": "calendar_delete"}]'::jsonb then 'pending' else sync_state end
+   where id = p_id
+     and status = 'booked'
+  returning * into v;
+  if not found then
+    return false;
+  end if;
+
+  perform public.enqueue_outbox(v.id, v.business_id, p_jobs);
+  return true;
+end;
+$$;
+
+-- Jobs that gave up, with the booking they belong to
+create or replace view public.outbox_dead_letters
+with (security_invoker = true)
+as
+select o.id,
+       o.business_id,
+       o.appointment_id,
+       o.kind,
+       o.idempotency_key,
+       o.payload,
+       o.attempts,
+       o.last_error,
+       o.created_at,
+       o.completed_at as failed_at,
+       a.name,
+       a.starts_at,
+       a.status     as appointment_status,
+       a.sync_state
+  from public.outbox o
+  left join public.appointments a on a.id = o.appointment_id
+ where o.status = 'dead';
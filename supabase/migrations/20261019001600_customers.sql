@@ -0,0 +1,112 @@
+-- Customers / leads (functions/customers.js).
+-- One row per person per business. phone is E.164, email lowercased.
+-- A merged row keeps its contacts and points at the survivor through
+-- merged_into_id, so its old phone/email still resolve to the right
+-- person; only surviving rows are unique per contact.
+create table if not exists public.customers (
+  id             uuid primary key default gen_random_uuid(),
+  business_id    text not null,
+  name           text,
+  phone          text check (phone ~ '^\+[1-9][0-9]{7,14}$'),
+  email          text check (email = lower(email)),
+  first_seen_at  timestamptz not null default now(),
+  last_seen_at   timestamptz not null default now(),
+  merged_into_id uuid references public.customers (id),
+  created_at     timestamptz not null default now(),
+  updated_at     timestamptz not null default now()
+);
+
+create unique index if not exists customers_business_phone_uniq
+  on public.customers (business_id, phone)
+  where merged_into_id is null and phone is not null;
+create unique index if not exists customers_business_email_uniq
+  on public.customers (business_id, email)
+  where merged_into_id is null and email is not null;
+-- merged rows are looked up by contact too
+create index if not exists customers_business_phone_idx on public.customers (business_id, phone);
+create index if not exists customers_business_email_idx on public.customers (business_id, email);
+
+alter table public.customers enable row level security;
+
+alter table public.appointments
+  add column if not exists customer_id uuid references public.customers (id);
+create index if not exists appointments_customer_idx
+  on public.appointments (customer_id, starts_at);
+
+alter table public.stats
+  add column if not exists customer_id uuid references public.customers (id);
+create index if not exists stats_customer_idx
+  on public.stats (customer_id, "timestamp");
+
+-- Calling code national numbers are read in (no "+")
+alter table public.business_settings
+  add column if not exists phone_country_code text not null default '1'
+    check (phone_country_code ~ '^[1-9][0-9]{0,2}$');
+
+-- Fold p_merge into p_keep: their appointments and calls move over, the
+-- survivor's missing name/contacts are filled from them (oldest first)
+-- and earlier merges into them are re-pointed. Raises no_data_found
+-- (P0002) when p_keep isn't a surviving customer of the business.
+create or replace function public.merge_customers(p_business_id text, p_keep uuid, p_merge uuid[])
+returns public.customers
+language plpgsql
+as $$
+declare
+  v_keep public.customers;
+  v_merged public.customers[];
+  m public.customers;
+begin
+  select * into v_keep
+    from public.customers
+   where id = p_keep and business_id = p_business_id and merged_into_id is null
+   for update;
+  if not found then
+    raise exception 'customer % not found', p_keep using errcode = 'P0002';
+  end if;
+
+  select coalesce(array_agg(c order by c.first_seen_at), '{}') into v_merged
+    from public.customers c
+   where c.id = any (p_merge)
+     and c.id <> p_keep
+     and c.business_id = p_business_id
+     and c.merged_into_id is null;
+
+  if cardinality(v_merged) = 0 then
+    return v_keep;
+  end if;
+
+  -- Contacts stay on the merged rows, which drop out of the unique indexes
+  update public.customers
+     set merged_into_id = p_keep, updated_at = now()
+   where id in (select (x).id from unnest(v_merged) as x);
+  update public.customers
+     set merged_into_id = p_keep, updated_at = now()
+   where merged_into_id in (select (x).id from unnest(v_merged) as x);
+
+  update public.appointments
+     set customer_id = p_keep
+   where customer_id in (select (x).id from unnest(v_merged) as x);
+  update public.stats
+     set customer_id = p_keep
+   where customer_id in (select (x).id from unnest(v_merged) as x);
+
+  foreach m in array v_merged loop
+    v_keep.name := coalesce(v_keep.name, m.name);
+    v_keep.phone := coalesce(v_keep.phone, m.phone);
+    v_keep.email := coalesce(v_keep.email, m.email);
+    v_keep.first_seen_at := least(v_keep.first_seen_at, m.first_seen_at);
+    v_keep.last_seen_at := greatest(v_keep.last_seen_at, m.last_seen_at);
+  end loop;
+
+  update public.customers
+     set name = v_keep.name,
+         phone = v_keep.phone,
+         email = v_keep.email,
+         first_seen_at = v_keep.first_seen_at,
+         last_seen_at = v_keep.last_seen_at,
+         updated_at = now()
+   where id = p_keep
+  returning * into v_keep;
+  return v_keep;
+end;
+$$;
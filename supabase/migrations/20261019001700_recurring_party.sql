@@ -0,0 +1,152 @@
+-- Recurring and multi-person bookings.
+-- A series is one RRULE booked as individual appointments (one calendar
+-- event each), so every occurrence is capacity-checked, moved and
+-- cancelled on its own. party_size is how many people come to one
+-- booking; the booking still takes one slot against max_overlaps.
+create table if not exists public.appointment_series (
+  id               uuid primary key default gen_random_uuid(),
+  business_id      text not null,
+  customer_id      uuid references public.customers (id),
+  idem_key         text not null unique,
+  rrule            text not null,
+  timezone         text not null,
+  first_start      timestamptz not null,
+  appointment_type text,
+  occurrences      integer not null default 0,   -- booked when created
+  truncated        boolean not null default false, -- rule goes on past what was booked
+  status           text not null default 'active' check (status in ('active', 'cancelled')),
+  created_at       timestamptz not null default now(),
+  cancelled_at     timestamptz
+);
+
+create index if not exists appointment_series_business_idx
+  on public.appointment_series (business_id, created_at);
+
+alter table public.appointment_series enable row level security;
+
+-- attendees: [{ "name": "...", "email": "...", "phone": "..." }], the
+-- booker not included
+alter table public.appointments
+  add column if not exists series_id uuid references public.appointment_series (id),
+  add column if not exists party_size integer not null default 1 check (party_size >= 1),
+  add column if not exists attendees jsonb not null default '[]'::jsonb;
+
+create index if not exists appointments_series_idx
+  on public.appointments (series_id, starts_at) where series_id is not null;
+
+-- null = no limit
+alter table public.appointment_types
+  add column if not exists max_party_size integer check (max_party_size is null or max_party_size >= 1);
+
+-- stats_report() gains attendees (total and per type) and recurring
+create or replace function public.stats_report(
+  p_business_id text,
+  p_from        timestamptz,
+  p_to          timestamptz,
+  p_timezone    text default 'America/Vancouver',
+  p_bucket      text default 'day'
+) returns jsonb
+language sql
+stable
+as $$
+  with calls as (
+    select s.call_type, s.metadata, s."timestamp" as ts
+      from public.stats s
+     where s.business_id = p_business_id
+       and s."timestamp" >= p_from
+       and s."timestamp" <  p_to
+  ),
+  series as (
+    select date_trunc(p_bucket, ts at time zone p_timezone) as bucket,
+           count(*)                                      as calls,
+           count(*) filter (where call_type = 'booking')  as bookings,
+           count(*) filter (where call_type = 'rejected') as rejected
+      from calls
+     group by 1
+  ),
+  appts as (
+    -- rescheduled rows are superseded by their successor, don't count twice
+    select a.*
+      from public.appointments a
+     where a.business_id = p_business_id
+       and a.starts_at >= p_from
+       and a.starts_at <  p_to
+       and a.status <> 'rescheduled'
+  )
+  select jsonb_build_object(
+    'totals', (
+      select jsonb_build_object(
+        'calls',    count(*),
+        'bookings', count(*) filter (where call_type = 'booking'),
+        'rejected', count(*) filter (where call_type = 'rejected'))
+        from calls
+    ),
+    'series', coalesce((
+      select jsonb_agg(jsonb_build_object(
+               'bucket',   to_char(bucket, 'YYYY-MM-DD'),
+               'calls',    calls,
+               'bookings', bookings,
+               'rejected', rejected) order by bucket)
+        from series
+    ), '[]'::jsonb),
+    'rejection_reasons', coalesce((
+      select jsonb_object_agg(reason, n)
+        from (select coalesce(metadata->>'reason', 'unknown') as reason, count(*) as n
+                from calls
+               where call_type = 'rejected'
+               group by 1) r
+    ), '{}'::jsonb),
+    'appointment_types', coalesce((
+      select jsonb_agg(jsonb_build_object(
+               'type',      type,
+               'total',     total,
+               'booked',    booked,
+               'completed', completed,
+               'cancelled', cancelled,
+               'no_show',   no_show,
+               'attendees', attendees) order by total desc)
+        from (select coalesce(appointment_type, case when call_type = 'testdrive' then 'testdrive' else 'default' end) as type,
+                     count(*)                                    as total,
+                     count(*) filter (where status = 'booked')    as booked,
+                     count(*) filter (where status = 'completed') as completed,
+                     count(*) filter (where status = 'cancelled') as cancelled,
+                     count(*) filter (where status = 'no_show')   as no_show,
+                     coalesce(sum(party_size) filter (where status <> 'cancelled'), 0) as attendees
+                from appts
+               group by 1) t
+    ), '[]'::jsonb),
+    -- people expected: a party of four counts four here, once in bookings
+    'attendees', (
+      select coalesce(sum(party_size), 0) from appts where status <> 'cancelled'
+    ),
+    'recurring', (
+      select jsonb_build_object(
+        'series',      count(distinct series_id),
+        'occurrences', count(*))
+        from appts
+       where series_id is not null
+         and status <> 'cancelled'
+    ),
+    'testdrives', coalesce((
+      select jsonb_agg(jsonb_build_object('model', model, 'trim', "trim", 'count', n) order by n desc, model)
+        from (select a.model, coalesce(c."trim", a.preferred_trim) as "trim", count(*) as n
+                from appts a
+                left join public.cars c on c.id = a.car_unit_id
+               where a.call_type = 'testdrive'
+                 and a.status <> 'cancelled'
+               group by 1, 2) d
+    ), '[]'::jsonb),
+    -- trailing windows ending now, independent of p_from/p_to
+    'recent_bookings', (
+      select jsonb_build_object(
+        'daily',   count(*) filter (where s."timestamp" > now() - interval '1 day'),
+        'weekly',  count(*) filter (where s."timestamp" > now() - interval '7 days'),
+        'monthly', count(*))
+        from public.stats s
+       where s.business_id = p_business_id
+         and s.call_type = 'booking'
+         and s."timestamp" >  now() - interval '30 days'
+         and s."timestamp" <= now()
+    )
+  );
+$$;
@@ -0,0 +1,46 @@
+-- Staff / salespeople (functions/staff.js).
+-- Each person has their own calendar (busy time only; bookings stay on
+-- the business calendar and invite them), optional working hours within
+-- the business's, and the appointment types and car makes they handle.
+-- An empty appointment_types / brands list means "all".
+create table if not exists public.staff (
+  id                uuid primary key default gen_random_uuid(),
+  business_id       text not null,
+  name              text not null,
+  email             text check (email = lower(email)),
+  phone             text,
+  calendar_id       text,                   -- null = only their bookings count as busy
+  weekly_hours      jsonb,                  -- null = business hours; same shape as business_settings.weekly_hours
+  appointment_types text[] not null default '{}',
+  brands            text[] not null default '{}',
+  is_active         boolean not null default true,
+  last_assigned_at  timestamptz,            -- round robin picks the longest-waiting person
+  created_at        timestamptz not null default now(),
+  updated_at        timestamptz not null default now()
+);
+
+create index if not exists staff_business_active_idx on public.staff (business_id, is_active);
+
+alter table public.staff enable row level security;
+
+alter table public.appointments
+  add column if not exists staff_id uuid references public.staff (id);
+create index if not exists appointments_staff_idx
+  on public.appointments (staff_id, starts_at);
+
+-- One booked appointment per person at a time (same rule as car units)
+create extension if not exists btree_gist;
+alter table public.appointments drop constraint if exists appointments_staff_no_overlap;
+alter table public.appointments add constraint appointments_staff_no_overlap
+  exclude using gist (staff_id with =, tstzrange(starts_at, ends_at, '[)') with &&)
+  where (status = 'booked' and staff_id is not null);
+
+-- 'none' keeps bookings unassigned (the default, and what a business
+-- without active staff gets regardless)
+alter table public.business_settings
+  add column if not exists staff_assignment text not null default 'none'
+    check (staff_assignment in ('none', 'round_robin', 'least_loaded', 'preferred'));
+
+-- Brand routing matches staff.brands against the unit's make
+alter table public.cars
+  add column if not exists make text;
@@ -0,0 +1,297 @@
+-- What happened at an appointment, recorded from the dashboard
+-- (POST /appointments/:id/outcome):
+--   attended -> status 'completed'
+--   sold     -> status 'completed' (attended and bought)
+--   no_show  -> status 'no_show'
+-- Booked appointments that are over now wait in 'awaiting_outcome'
+-- instead of being closed as 'completed' unseen. Rows the old job already
+-- completed keep outcome null and stay out of the show/sale rates.
+alter table public.appointments
+  add column if not exists outcome       text check (outcome in ('attended', 'no_show', 'sold')),
+  add column if not exists outcome_notes text,
+  add column if not exists outcome_at    timestamptz,
+  add column if not exists outcome_by    text;          -- dashboard user id
+
+alter table public.appointments drop constraint if exists appointments_status_check;
+alter table public.appointments add constraint appointments_status_check
+  check (status in ('booked', 'cancelled', 'rescheduled', 'no_show', 'completed', 'awaiting_outcome'));
+
+create index if not exists appointments_awaiting_outcome_idx
+  on public.appointments (business_id, ends_at) where status = 'awaiting_outcome';
+
+-- Recorded no-shows per customer, for the agent (customer lookup).
+-- Off: outcomes are still recorded, the count is left alone and not shown.
+alter table public.customers
+  add column if not exists no_show_count integer not null default 0;
+alter table public.business_settings
+  add column if not exists track_no_shows boolean not null default true;
+
+-- Record (or correct) an outcome. Only appointments that have started and
+-- weren't cancelled or moved take one: P0002 when there is no such
+-- appointment, 55000 when it can't be closed.
+create or replace function public.record_outcome(
+  p_business_id    text,
+  p_id             uuid,
+  p_outcome        text,
+  p_notes          text default null,
+  p_by             text default null,
+  p_count_no_shows boolean default true
+) returns public.appointments
+language plpgsql
+as $$
+declare
+  v_status text := case when p_outcome = 'no_show' then 'no_show' else 'completed' end;
+  v_appt public.appointments;
+begin
+  update public.appointments
+     set outcome = p_outcome,
+         outcome_notes = coalesce(p_notes, outcome_notes),
+         outcome_at = now(),
+         outcome_by = p_by,
+         status_changed_at = case when status = v_status then status_changed_at else now() end,
+         status = v_status
+   where id = p_id
+     and business_id = p_business_id
+     and status in ('booked', 'awaiting_outcome', 'completed', 'no_show')
+     and starts_at <= now()
+  returning * into v_appt;
+
+  if not found then
+    if exists (select 1 from public.appointments where id = p_id and business_id = p_business_id) then
+      raise exception 'appointment % cannot take an outcome', p_id using errcode = '55000';
+    end if;
+    raise exception 'appointment % not found', p_id using errcode = 'P0002';
+  end if;
+
+  -- recounted rather than incremented, so corrections don't drift
+  if p_count_no_shows and v_appt.customer_id is not null then
+    update public.customers
+       set no_show_count = (select count(*)
+                              from public.appointments
+                             where customer_id = v_appt.customer_id
+                               and status = 'no_show'),
+           updated_at = now()
+     where id = v_appt.customer_id;
+  end if;
+
+  return v_appt;
+end;
+$$;
+
+-- merge_customers() adds up no_show_count
+create or replace function public.merge_customers(p_business_id text, p_keep uuid, p_merge uuid[])
+returns public.customers
+language plpgsql
+as $$
+declare
+  v_keep public.customers;
+  v_merged public.customers[];
+  m public.customers;
+begin
+  select * into v_keep
+    from public.customers
+   where id = p_keep and business_id = p_business_id and merged_into_id is null
+   for update;
+  if not found then
+    raise exception 'customer % not found', p_keep using errcode = 'P0002';
+  end if;
+
+  select coalesce(array_agg(c order by c.first_seen_at), '{}') into v_merged
+    from public.customers c
+   where c.id = any (p_merge)
+     and c.id <> p_keep
+     and c.business_id = p_business_id
+     and c.merged_into_id is null;
+
+  if cardinality(v_merged) = 0 then
+    return v_keep;
+  end if;
+
+  -- Contacts stay on the merged rows, which drop out of the unique indexes
+  update public.customers
+     set merged_into_id = p_keep, updated_at = now()
+   where id in (select (x).id from unnest(v_merged) as x);
+  update public.customers
+     set merged_into_id = p_keep, updated_at = now()
+   where merged_into_id in (select (x).id from unnest(v_merged) as x);
+
+  update public.appointments
+     set customer_id = p_keep
+   where customer_id in (select (x).id from unnest(v_merged) as x);
+  update public.stats
+     set customer_id = p_keep
+   where customer_id in (select (x).id from unnest(v_merged) as x);
+
+  foreach m in array v_merged loop
+    v_keep.name := coalesce(v_keep.name, m.name);
+    v_keep.phone := coalesce(v_keep.phone, m.phone);
+    v_keep.email := coalesce(v_keep.email, m.email);
+    v_keep.first_seen_at := least(v_keep.first_seen_at, m.first_seen_at);
+    v_keep.last_seen_at := greatest(v_keep.last_seen_at, m.last_seen_at);
+    v_keep.no_show_count := v_keep.no_show_count + m.no_show_count;
+  end loop;
+
+  update public.customers
+     set name = v_keep.name,
+         phone = v_keep.phone,
+         email = v_keep.email,
+         first_seen_at = v_keep.first_seen_at,
+         last_seen_at = v_keep.last_seen_at,
+         no_show_count = v_keep.no_show_count,
+         updated_at = now()
+   where id = p_keep
+  returning * into v_keep;
+  return v_keep;
+end;
+$$;
+
+-- stats_report() gains outcomes (overall and per test-drive model) and
+-- awaiting_outcome / sold per appointment type
+create or replace function public.stats_report(
+  p_business_id text,
+  p_from        timestamptz,
+  p_to          timestamptz,
+  p_timezone    text default 'America/Vancouver',
+  p_bucket      text default 'day'
+) returns jsonb
+language sql
+stable
+as $$
+  with calls as (
+    select s.call_type, s.metadata, s."timestamp" as ts
+      from public.stats s
+     where s.business_id = p_business_id
+       and s."timestamp" >= p_from
+       and s."timestamp" <  p_to
+  ),
+  series as (
+    select date_trunc(p_bucket, ts at time zone p_timezone) as bucket,
+           count(*)                                      as calls,
+           count(*) filter (where call_type = 'booking')  as bookings,
+           count(*) filter (where call_type = 'rejected') as rejected
+      from calls
+     group by 1
+  ),
+  appts as (
+    -- rescheduled rows are superseded by their successor, don't count twice
+    select a.*
+      from public.appointments a
+     where a.business_id = p_business_id
+       and a.starts_at >= p_from
+       and a.starts_at <  p_to
+       and a.status <> 'rescheduled'
+  )
+  select jsonb_build_object(
+    'totals', (
+      select jsonb_build_object(
+        'calls',    count(*),
+        'bookings', count(*) filter (where call_type = 'booking'),
+        'rejected', count(*) filter (where call_type = 'rejected'))
+        from calls
+    ),
+    'series', coalesce((
+      select jsonb_agg(jsonb_build_object(
+               'bucket',   to_char(bucket, 'YYYY-MM-DD'),
+               'calls',    calls,
+               'bookings', bookings,
+               'rejected', rejected) order by bucket)
+        from series
+    ), '[]'::jsonb),
+    'rejection_reasons', coalesce((
+      select jsonb_object_agg(reason, n)
+        from (select coalesce(metadata->>'reason', 'unknown') as reason, count(*) as n
+                from calls
+               where call_type = 'rejected'
+               group by 1) r
+    ), '{}'::jsonb),
+    'appointment_types', coalesce((
+      select jsonb_agg(jsonb_build_object(
+               'type',             type,
+               'total',            total,
+               'booked',           booked,
+               'completed',        completed,
+               'cancelled',        cancelled,
+               'no_show',          no_show,
+               'awaiting_outcome', awaiting_outcome,
+               'sold',             sold,
+               'attendees',        attendees) order by total desc)
+        from (select coalesce(appointment_type, case when call_type = 'testdrive' then 'testdrive' else 'default' end) as type,
+                     count(*)                                           as total,
+                     count(*) filter (where status = 'booked')           as booked,
+                     count(*) filter (where status = 'completed')        as completed,
+                     count(*) filter (where status = 'cancelled')        as cancelled,
+                     count(*) filter (where status = 'no_show')          as no_show,
+                     count(*) filter (where status = 'awaiting_outcome') as awaiting_outcome,
+                     count(*) filter (where outcome = 'sold')            as sold,
+                     coalesce(sum(party_size) filter (where status <> 'cancelled'), 0) as attendees
+                from appts
+               group by 1) t
+    ), '[]'::jsonb),
+    -- people expected: a party of four counts four here, once in bookings
+    'attendees', (
+      select coalesce(sum(party_size), 0) from appts where status <> 'cancelled'
+    ),
+    'recurring', (
+      select jsonb_build_object(
+        'series',      count(distinct series_id),
+        'occurrences', count(*))
+        from appts
+       where series_id is not null
+         and status <> 'cancelled'
+    ),
+    'testdrives', coalesce((
+      select jsonb_agg(jsonb_build_object('model', model, 'trim', "trim", 'count', n) order by n desc, model)
+        from (select a.model, coalesce(c."trim", a.preferred_trim) as "trim", count(*) as n
+                from appts a
+                left join public.cars c on c.id = a.car_unit_id
+               where a.call_type = 'testdrive'
+                 and a.status <> 'cancelled'
+               group by 1, 2) d
+    ), '[]'::jsonb),
+    -- held = started and not cancelled; attended includes sold
+    'outcomes', (
+      select jsonb_build_object(
+        'held',     count(*),
+        'attended', count(*) filter (where outcome in ('attended', 'sold')),
+        'no_show',  count(*) filter (where outcome = 'no_show'),
+        'sold',     count(*) filter (where outcome = 'sold'),
+        'awaiting', count(*) filter (where status = 'awaiting_outcome'))
+        from appts
+       where status <> 'cancelled'
+         and starts_at <= now()
+    ),
+    'testdrive_outcomes', coalesce((
+      select jsonb_agg(jsonb_build_object(
+               'model',    model,
+               'held',     held,
+               'attended', attended,
+               'no_show',  no_show,
+               'sold',     sold,
+               'awaiting', awaiting) order by held desc, model)
+        from (select model,
+                     count(*)                                                as held,
+                     count(*) filter (where outcome in ('attended', 'sold')) as attended,
+                     count(*) filter (where outcome = 'no_show')             as no_show,
+                     count(*) filter (where outcome = 'sold')                as sold,
+                     count(*) filter (where status = 'awaiting_outcome')     as awaiting
+                from appts
+               where call_type = 'testdrive'
+                 and model is not null
+                 and status <> 'cancelled'
+                 and starts_at <= now()
+               group by 1) m
+    ), '[]'::jsonb),
+    -- trailing windows ending now, independent of p_from/p_to
+    'recent_bookings', (
+      select jsonb_build_object(
+        'daily',   count(*) filter (where s."timestamp" > now() - interval '1 day'),
+        'weekly',  count(*) filter (where s."timestamp" > now() - interval '7 days'),
+        'monthly', count(*))
+        from public.stats s
+       where s.business_id = p_business_id
+         and s.call_type = 'booking'
+         and s."timestamp" >  now() - interval '30 days'
+         and s."timestamp" <= now()
+    )
+  );
+$$;
@@ -0,0 +1,55 @@
+-- Tentative holds on test drives (functions/holds.js).
+-- A hold is a booked appointment with hold_state 'held': the car-unit and
+-- staff exclusion constraints, pick_free_car and freebusy see it like any
+-- booking, so the unit and the slot are taken while the caller decides.
+-- Its calendar event is tentative and no confirmation is sent. It ends
+--   confirmed -> stays booked, event confirmed, confirmation sent
+--   released  -> cancelled through the API
+--   expired   -> cancelled once hold_expires_at passes (timer)
+alter table public.appointments
+  add column if not exists hold_state      text check (hold_state in ('held', 'confirmed', 'released', 'expired')),
+  add column if not exists hold_expires_at timestamptz;
+
+create index if not exists appointments_holds_due_idx
+  on public.appointments (hold_expires_at) where hold_state = 'held' and status = 'booked';
+
+-- How long a hold lasts (never past the appointment's start)
+alter table public.business_settings
+  add column if not exists hold_ttl_minutes integer not null default 15
+    check (hold_ttl_minutes between 1 and 1440);
+
+-- cancel_appointment() for a hold: closes it as released or expired and
+-- queues p_jobs (the calendar delete) in the same transaction. 'expired'
+-- only applies once hold_expires_at has passed. Returns false when it is
+-- no longer held (confirmed, or already released).
+create or replace function public.release_hold(p_id uuid, p_state text, p_jobs jsonb default '[]'::jsonb)
+returns boolean
+language plpgsql
+as $$
+declare
+  v public.appointments;
+begin
+  if p_state not in ('released', 'expired') then
+    raise exception 'invalid hold state %', p_state using errcode = '22023';
+  end if;
+
+  update public.appointments
+     set status = 'cancelled',
+         hold_state = p_state,
+         status_changed_at = now(),
+         status_source = null,
+         idem_key = idem_key || '#' || id,
+         sync_state = case when p_jobs @> '[{"kind": "calendar_delete"}]'::jsonb then 'pending' else sync_state end
+   where id = p_id
+     and status = 'booked'
+     and hold_state = 'held'
+     and (p_state <> 'expired' or hold_expires_at <= now())
+  returning * into v;
+  if not found then
+    return false;
+  end if;
+
+  perform public.enqueue_outbox(v.id, v.business_id, p_jobs);
+  return true;
+end;
+$$;
@@ -0,0 +1,69 @@
+-- revert_reschedule() puts the original row back exactly as it was,
+-- status_changed_at included (calendarSync's settle guard reads it).
+-- The successor carries the original's value until the move sticks.
+alter table public.appointments
+  add column if not exists replaced_status_changed_at timestamptz;  -- of rescheduled_from_id, before the move
+
+create or replace function public.reschedule_appointment(
+  p_id uuid,
+  p_expected_start timestamptz,
+  p_patch jsonb
+) returns uuid
+language plpgsql
+as $$
+declare
+  v_changed_at timestamptz;
+  v_old public.appointments;
+  v_new public.appointments;
+begin
+  select status_changed_at into v_changed_at
+    from public.appointments
+   where id = p_id
+     and status = 'booked'
+     and starts_at = p_expected_start
+   for update;
+  if not found then
+    return null;
+  end if;
+
+  update public.appointments
+     set status = 'rescheduled',
+         status_changed_at = now(),
+         idem_key = idem_key || '#' || id
+   where id = p_id
+  returning * into v_old;
+
+  v_new := jsonb_populate_record(v_old, p_patch);
+  v_new.id := gen_random_uuid();
+  v_new.status := 'booked';
+  v_new.status_changed_at := now();
+  v_new.rescheduled_from_id := v_old.id;
+  v_new.replaced_status_changed_at := v_changed_at;
+  insert into public.appointments select v_new.*;
+  return v_new.id;
+end;
+$$;
+
+-- Undo reschedule_appointment() when the calendar patch fails.
+create or replace function public.revert_reschedule(p_new_id uuid)
+returns void
+language plpgsql
+as $$
+declare
+  v_prev uuid;
+  v_changed_at timestamptz;
+begin
+  delete from public.appointments
+   where id = p_new_id and status = 'booked'
+  returning rescheduled_from_id, replaced_status_changed_at into v_prev, v_changed_at;
+  if v_prev is null then
+    return;
+  end if;
+
+  update public.appointments
+     set status = 'booked',
+         status_changed_at = v_changed_at,
+         idem_key = regexp_replace(idem_key, '#[^#]*$', '')
+   where id = v_prev and status = 'rescheduled';
+end;
+$$;
@@ -0,0 +1,58 @@
+-- Closed rows (cancelled, rescheduled, no_show, completed,
+-- awaiting_outcome) stay in appointments since 20261019000600, so the
+-- car-unit exclusion constraint and pick_free_car must only count booked
+-- rows, the same filter busy_car_units uses. Otherwise a cancelled test
+-- drive keeps its unit locked and a reschedule over the old slot hits
+-- 23P01.
+
+-- The baseline constraint's name isn't fixed across projects; drop any
+-- exclusion constraint on car_unit_id and recreate it under one name.
+create extension if not exists btree_gist;
+do $$
+declare
+  v_name text;
+begin
+  for v_name in
+    select conname
+      from pg_constraint
+     where conrelid = 'public.appointments'::regclass
+       and contype = 'x'
+       and pg_get_constraintdef(oid) like '%car_unit_id%'
+  loop
+    execute format('alter table public.appointments drop constraint %I', v_name);
+  end loop;
+end $$;
+
+alter table public.appointments add constraint appointments_car_unit_no_overlap
+  exclude using gist (car_unit_id with =, tstzrange(starts_at, ends_at, '[)') with &&)
+  where (status = 'booked' and car_unit_id is not null);
+
+-- A free active unit of p_model for [p_start, p_end) (callers pass the
+-- buffered window), preferring p_trim; only p_trim when
+-- p_require_exact_trim. Null when none is free.
+create or replace function public.pick_free_car(
+  p_business_id text,
+  p_model text,
+  p_start timestamptz,
+  p_end timestamptz,
+  p_trim text default null,
+  p_require_exact_trim boolean default false
+) returns uuid
+language sql stable as $$
+  select c.id
+  from public.cars c
+  where c.business_id = p_business_id
+    and c.is_active
+    and c.model = p_model
+    and (not coalesce(p_require_exact_trim, false) or p_trim is null or c.trim = p_trim)
+    and not exists (
+      select 1
+      from public.appointments a
+      where a.business_id = p_business_id
+        and a.status = 'booked'
+        and a.car_unit_id = c.id
+        and tstzrange(a.starts_at, a.ends_at, '[)') && tstzrange(p_start, p_end, '[)')
+    )
+  order by (p_trim is not null and c.trim = p_trim) desc, c.id
+  limit 1;
+$$;
@@ -0,0 +1,6 @@
+-- POST /waitlist/:id/accept claims the offer (offered -> accepting) before
+-- booking, so two accepts, or an accept and the expiry timer, can't both
+-- act on it. It ends accepted, or back at waiting if the booking fails.
+alter table public.waitlist drop constraint if exists waitlist_status_check;
+alter table public.waitlist add constraint waitlist_status_check
+  check (status in ('waiting', 'offered', 'accepting', 'accepted', 'expired', 'declined'));
@@ -0,0 +1,24 @@
+-- Before business_settings, /testdrive ran on its own hardcoded defaults
+-- (America/Chicago, 07:30-20:00 every day, 30 minute drives, 3 at a
+-- time) while general bookings used America/Vancouver, 09:00-17:00 and 5.
+-- A business without a settings row now gets the general ones for both
+-- (DEFAULT_SETTINGS in functions/settings.js). Seed a row for every
+-- business that has taken test drives so its hours and timezone don't
+-- change on deploy. Businesses that also take general bookings get the
+-- test-drive values for those too; review their rows.
+insert into public.business_settings (business_id, timezone, weekly_hours, max_overlaps)
+select distinct a.business_id,
+       'America/Chicago',
+       '{
+         "mon": [{"start": "07:30", "end": "20:00"}],
+         "tue": [{"start": "07:30", "end": "20:00"}],
+         "wed": [{"start": "07:30", "end": "20:00"}],
+         "thu": [{"start": "07:30", "end": "20:00"}],
+         "fri": [{"start": "07:30", "end": "20:00"}],
+         "sat": [{"start": "07:30", "end": "20:00"}],
+         "sun": [{"start": "07:30", "end": "20:00"}]
+       }'::jsonb,
+       3
+from public.appointments a
+where a.call_type = 'testdrive'
+on conflict (business_id) do nothing;